@@ -11,7 +11,7 @@
 // - 同时附带一个前端面板：查看“我改了什么”、选择版本一键回滚（不必通过 AI 调用）
 //
 // 重要说明：
-// - 本示例通过 window.STAgentSkills.register(...) 注册技能，这就是基座的唯一公开 API。
+// - 本示例通过 window.STAgentSkills.register(...) 注册技能，写技能只需要这一个 API。
 // - 基座会负责：提示词注入、[CALL: ...] 解析、队列执行、try/catch 错误隔离、结果回传与触发 generate()。
 // - 本示例只负责：拿到参数 → 修改世界书 → 写入版本记录 → 返回结果对象。
 //
@@ -875,26 +875,59 @@
   // -----------------------------
   // 5) 注册到基座（这就是“如何利用 STAgentSkills”）
   // -----------------------------
+  // 参数 Schema：交给基座做类型转换/默认值/枚举校验，并渲染进注入提示词。
+  // 注意：entry 仍兼容 id/comment 等别名（面板直接调用核心逻辑时也会用到），因此不声明 required。
+  const entryParam = { type: ['string', 'integer'], description: '条目 uid/id、name/comment 或 keys 片段' };
+  const bookNameParam = { type: 'string', description: '指定世界书名（不填 = 角色绑定书）' };
+
   const registerSkills = () => {
     // 关键点：这里不需要监听事件、不需要解析文本、不需要 generate()。
     // 因为这些都由 st-agentskills 基座自动完成。
     window.STAgentSkills.register({
       name: 'worldbook.apply_patch',
-      description:
-        '修改世界书条目并记录版本（默认角色绑定书）。参数：entry(id/name/comment/keys片段), mode=replace|append|prepend, text(content), bookName(可选指定书名), dryRun(可选)。返回：versionId、预览。',
+      description: '修改世界书条目并记录版本（默认角色绑定书）。返回：versionId、预览。',
+      // 会写入世界书：执行前由基座弹窗确认，预览直接复用 dryRun
+      risk: 'write',
+      preview: async ({ args }) => applyPatch({ ...args, dryRun: true }),
+      parameters: {
+        type: 'object',
+        properties: {
+          entry: entryParam,
+          mode: { enum: ['replace', 'append', 'prepend'], default: 'replace' },
+          text: { type: 'string', description: '新内容（也兼容 content）' },
+          bookName: bookNameParam,
+          dryRun: { type: 'boolean', default: false, description: '只预览不写入' },
+        },
+      },
       action: async ({ args }) => applyPatch(args),
     });
 
     window.STAgentSkills.register({
       name: 'worldbook.history',
-      description: '查看某世界书条目的版本历史（默认角色绑定书）。参数：entry, limit(可选), bookName(可选)。',
+      description: '查看某世界书条目的版本历史（默认角色绑定书）。',
+      parameters: {
+        type: 'object',
+        properties: {
+          entry: entryParam,
+          limit: { type: 'integer', default: 20, minimum: 1 },
+          bookName: bookNameParam,
+        },
+      },
       action: async ({ args }) => history(args),
     });
 
     window.STAgentSkills.register({
       name: 'worldbook.restore',
-      description:
-        '还原世界书条目到某版本（默认角色绑定书）。参数：entry, versionId(可选：填=回到该版本；不填=撤销最近一次记录回到 before), bookName(可选)。',
+      description: '还原世界书条目到某版本（默认角色绑定书）。',
+      risk: 'write',
+      parameters: {
+        type: 'object',
+        properties: {
+          entry: entryParam,
+          versionId: { type: 'integer', description: '填 = 回到该版本；不填 = 撤销最近一次记录（回到 before）' },
+          bookName: bookNameParam,
+        },
+      },
       action: async ({ args }) => restore(args),
     });
   };
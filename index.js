@@ -4,7 +4,8 @@
  * 设计理念："Internal Tank, External Wheelchair"（内繁外简）
  *
  * 外部（API）：window.STAgentSkills.register({ name, description, action })
- * - 只暴露一个方法，降低学习成本
+ * - 写技能只需要这一个方法，降低学习成本
+ * - 扩展间协作：on(event, handler) 观察/拦截调用生命周期（call:before 可改参/否决，call:after 可改结果）
  * - 接受“不完美”的配置：缺字段自动补默认值，只告警不抛错（轮椅级）
  *
  * 内部（执行引擎）：极端防御性
@@ -70,6 +71,25 @@
     }
   };
 
+  // 键顺序无关的序列化：用于判断“同一调用”（相同技能 + 相同参数）
+  const stableStringify = (value) => {
+    const seen = new WeakSet();
+    const walk = (v) => {
+      if (!v || typeof v !== 'object') return v;
+      if (seen.has(v)) return '[Circular]';
+      seen.add(v);
+      if (Array.isArray(v)) return v.map(walk);
+      const out = {};
+      for (const k of Object.keys(v).sort()) out[k] = walk(v[k]);
+      return out;
+    };
+    try {
+      return JSON.stringify(walk(value)) ?? '';
+    } catch {
+      return safeString(value);
+    }
+  };
+
   const nowMs = () => {
     try {
       return Date.now();
@@ -88,10 +108,89 @@
       }
     });
 
+  // -----------------------------
+  // 生命周期事件（供其它扩展观察/拦截调用）
+  // -----------------------------
+
+  const events = (() => {
+    const EVENT_NAMES = [
+      'call:parsed', // { call, source: 'text' | 'native' }
+      'call:before', // { skillName, args, rawArgs, rawTag } → 可返回 { args } 改写参数；返回 false / { veto } 否决
+      'call:after', // { skillName, args, result } → 可返回 { result } 改写结果
+      'call:error', // { skillName, args, outcome, error }
+      'breaker:tripped', // { reason, detail, at }
+      'prompt:injected', // { mode, target, systemPrompt, depthNote }
+    ];
+    const handlers = new Map(EVENT_NAMES.map((name) => [name, new Set()]));
+
+    const off = (name, handler) => {
+      handlers.get(name)?.delete(handler);
+    };
+
+    // 返回取消订阅函数；未知事件名只告警不抛错
+    const on = (name, handler) => {
+      const set = handlers.get(name);
+      if (!set || typeof handler !== 'function') {
+        safeConsole.warn(`on(): unknown event "${safeString(name)}" or handler is not a function (ignored)`);
+        return () => {};
+      }
+      set.add(handler);
+      return () => off(name, handler);
+    };
+
+    // 通知型：同步调用全部监听器，返回值忽略，异常隔离
+    const emit = (name, payload) => {
+      for (const handler of handlers.get(name) || []) {
+        try {
+          const ret = handler(payload);
+          if (ret && typeof ret.catch === 'function') {
+            ret.catch((err) => safeConsole.warn(`${name} listener failed (ignored)`, err));
+          }
+        } catch (err) {
+          safeConsole.warn(`${name} listener failed (ignored)`, err);
+        }
+      }
+    };
+
+    // 拦截型：按注册顺序串行 await，把每个监听器的返回值交给 reduce 合并；
+    // 监听器抛错只告警，不影响调用（也不算否决）
+    const intercept = async (name, payload, reduce) => {
+      let current = payload;
+      for (const handler of Array.from(handlers.get(name) || [])) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const ret = await handler({ ...current });
+          const next = reduce(current, ret);
+          if (!next) return { vetoed: true, payload: current, ret };
+          current = next;
+        } catch (err) {
+          safeConsole.warn(`${name} listener failed (ignored)`, err);
+        }
+      }
+      return { vetoed: false, payload: current };
+    };
+
+    return { EVENT_NAMES, on, off, emit, intercept };
+  })();
+
   // -----------------------------
   // 最小 UI（零依赖）
   // -----------------------------
 
+  // 极简 DOM 构造器（面板/弹窗共用）
+  const el = (tag, attrs = {}, children = []) => {
+    const node = document.createElement(tag);
+    for (const [k, v] of Object.entries(attrs)) {
+      if (k === 'class') node.className = v;
+      else if (k === 'text') node.textContent = v;
+      else if (k === 'html') node.innerHTML = v;
+      else if (k.startsWith('on') && typeof v === 'function') node.addEventListener(k.slice(2), v);
+      else if (v !== undefined) node.setAttribute(k, String(v));
+    }
+    for (const c of children) node.appendChild(c);
+    return node;
+  };
+
   const ui = (() => {
     const ROOT_ID = 'st-agentskills-toast-root';
 
@@ -108,11 +207,14 @@
       }
     };
 
-    const show = ({ title, subtitle = '', level = 'info', timeoutMs = 1800 } = {}) => {
+    // actions：[{ label, onClick }]，用于 Toast 上的操作按钮（如“取消”）；带按钮时总是使用自带 Toast
+    const show = ({ title, subtitle = '', level = 'info', timeoutMs = 1800, actions = [] } = {}) => {
+      const buttons = Array.isArray(actions) ? actions.filter((a) => a && typeof a.onClick === 'function') : [];
+
       // 优先使用 SillyTavern 的 toastr（如果存在）；否则使用本插件自带的最小 Toast。
       try {
         const toastr = window.toastr;
-        if (toastr && typeof toastr.info === 'function') {
+        if (!buttons.length && toastr && typeof toastr.info === 'function') {
           const text = subtitle ? `${title}\n${subtitle}` : title;
           if (level === 'error' && typeof toastr.error === 'function') toastr.error(text);
           else toastr.info(text);
@@ -143,7 +245,6 @@
 
       el.appendChild(dot);
       el.appendChild(textWrap);
-      root.appendChild(el);
 
       let disposed = false;
       const dispose = () => {
@@ -154,6 +255,22 @@
         } catch {}
       };
 
+      for (const a of buttons) {
+        const btn = document.createElement('button');
+        btn.className = 'st-agentskills-toast-action';
+        btn.textContent = safeString(a.label, 'OK');
+        btn.addEventListener('click', () => {
+          try {
+            a.onClick();
+          } catch (err) {
+            safeConsole.warn('toast action failed (ignored)', err);
+          }
+        });
+        el.appendChild(btn);
+      }
+
+      root.appendChild(el);
+
       if (timeoutMs > 0) {
         try {
           window.setTimeout(dispose, timeoutMs);
@@ -176,6 +293,11 @@
       eventTypes: null,
       addSystemMessage: null,
       triggerGenerate: null,
+      stopGeneration: null,
+      getContext: null,
+      getConnectionKey: null,
+      getChatId: null,
+      getPromptScopes: null,
     };
 
     // 防御性：尝试多个已知 import 路径；任何失败都吞掉，绝不硬崩。
@@ -209,7 +331,19 @@
         window?.event_types ||
         Object.freeze({
           CHAT_COMPLETION_PROMPT_READY: 'CHAT_COMPLETION_PROMPT_READY',
+          GENERATE_AFTER_COMBINE_PROMPTS: 'GENERATE_AFTER_COMBINE_PROMPTS',
           MESSAGE_RECEIVED: 'MESSAGE_RECEIVED',
+          GENERATION_STARTED: 'GENERATION_STARTED',
+          GENERATION_STOPPED: 'GENERATION_STOPPED',
+          GENERATION_ENDED: 'GENERATION_ENDED',
+          STREAM_TOKEN_RECEIVED: 'STREAM_TOKEN_RECEIVED',
+          MESSAGE_SENT: 'MESSAGE_SENT',
+          MESSAGE_EDITED: 'MESSAGE_EDITED',
+          MESSAGE_UPDATED: 'MESSAGE_UPDATED',
+          MESSAGE_SWIPED: 'MESSAGE_SWIPED',
+          MESSAGE_DELETED: 'MESSAGE_DELETED',
+          CHARACTER_MESSAGE_RENDERED: 'CHARACTER_MESSAGE_RENDERED',
+          CHAT_CHANGED: 'CHAT_CHANGED',
         });
 
       // 插入系统消息：尝试兼容 SillyTavern 的多种常见实现/签名
@@ -246,6 +380,7 @@
                 is_user: false,
                 is_system: true,
                 mes: text,
+                extra: { [EXT_ID]: true },
               }),
             () => addOneMessage(text, 'system'),
             () => addOneMessage(text),
@@ -264,17 +399,116 @@
         // 3）最后兜底：如果存在 window.chat，则直接 push（不保证所有版本都生效）
         if (Array.isArray(window?.chat)) {
           try {
-            window.chat.push({ role: 'system', content: text });
+            window.chat.push({ role: 'system', content: text, extra: { [EXT_ID]: true } });
           } catch {}
         }
       };
 
-      api.triggerGenerate = async () => {
-        const generate = window?.generate || mod?.generate;
+      // ST 上下文：新版本挂在 window.SillyTavern.getContext()；旧版本可能直接导出 getContext
+      api.getContext = () => {
+        const candidates = [window?.SillyTavern?.getContext, mod?.getContext, window?.getContext];
+        for (const fn of candidates) {
+          if (typeof fn !== 'function') continue;
+          try {
+            const ctx = fn();
+            if (ctx && typeof ctx === 'object') return ctx;
+          } catch {
+            // 继续尝试下一个候选
+          }
+        }
+        return null;
+      };
+
+      // 当前聊天 ID（取不到时返回空字符串）
+      api.getChatId = () => {
+        try {
+          const ctx = api.getContext();
+          const id =
+            ctx?.chatId ??
+            (typeof ctx?.getCurrentChatId === 'function' ? ctx.getCurrentChatId() : undefined) ??
+            (typeof window?.getCurrentChatId === 'function' ? window.getCurrentChatId() : undefined);
+          return safeString(id, '');
+        } catch {
+          return '';
+        }
+      };
+
+      // 当前连接的标识：main_api（+ Chat Completion 的来源），用于按连接区分设置
+      api.getConnectionKey = () => {
+        try {
+          const ctx = api.getContext();
+          const mainApi = safeString(ctx?.mainApi ?? window?.main_api ?? mod?.main_api, '').trim() || 'unknown';
+          const source = safeString(
+            ctx?.chatCompletionSettings?.chat_completion_source ?? window?.oai_settings?.chat_completion_source,
+            '',
+          ).trim();
+          return mainApi === 'openai' && source ? `${mainApi}/${source}` : mainApi;
+        } catch {
+          return 'unknown';
+        }
+      };
+
+      // 停止当前生成（等同点击停止按钮）；返回是否找到了可用的实现
+      api.stopGeneration = () => {
+        const candidates = [api.getContext()?.stopGeneration, mod?.stopGeneration, window?.stopGeneration];
+        for (const fn of candidates) {
+          if (typeof fn !== 'function') continue;
+          try {
+            fn();
+            return true;
+          } catch {
+            // 继续尝试下一个候选
+          }
+        }
+        try {
+          const btn = document.getElementById('mes_stop');
+          if (btn) {
+            btn.click();
+            return true;
+          }
+        } catch {}
+        return false;
+      };
+
+      // 当前角色（群聊时为群组）与当前预设：用于按角色/预设覆盖提示词模板。取不到的项为 null
+      api.getPromptScopes = () => {
+        const scopes = { character: null, preset: null };
+        try {
+          const ctx = api.getContext();
+          if (ctx?.groupId) {
+            const group = Array.isArray(ctx.groups) ? ctx.groups.find((g) => g?.id === ctx.groupId) : null;
+            scopes.character = { key: `group:${ctx.groupId}`, label: safeString(group?.name, ctx.groupId) };
+          } else {
+            const ch = ctx?.characters?.[ctx?.characterId];
+            if (ch?.avatar) scopes.character = { key: `char:${ch.avatar}`, label: safeString(ch.name, ch.avatar) };
+          }
+
+          let presetName = '';
+          try {
+            presetName = safeString(ctx?.getPresetManager?.()?.getSelectedPresetName?.(), '').trim();
+          } catch {
+            // 旧版本没有 PresetManager：退回 Chat Completion 的预设名
+          }
+          if (!presetName) presetName = safeString(ctx?.chatCompletionSettings?.preset_settings_openai, '').trim();
+          if (presetName) {
+            // 不同 API 的预设各自独立，同名也不是同一个
+            const mainApi = api.getConnectionKey().split('/')[0];
+            scopes.preset = { key: `preset:${mainApi}:${presetName}`, label: presetName };
+          }
+        } catch {
+          // 忽略：没有覆盖可用
+        }
+        return scopes;
+      };
+
+      // type：省略 = 新的一轮回复；'continue' = 续写最后一条消息
+      api.triggerGenerate = async (type) => {
+        const generate = window?.generate || mod?.generate || window?.Generate || mod?.Generate;
         if (typeof generate !== 'function') return;
         try {
           // ST 的 generate() 签名可能变化；通常无参调用最安全
-          await generate();
+          if (type) await generate(type);
+          else await generate();
         } catch (err) {
           safeConsole.warn('generate() failed (ignored)', err);
         }
@@ -296,12 +530,367 @@
     return { api, init };
   })();
 
+  /**
+   * 按聊天保存的一项扩展数据：chat_metadata[EXT_ID][key]（随聊天保存）；取不到 chat_metadata 时只记在内存里（仅本次会话）。
+   * - init()：初始值（数组 / 普通对象）；省略时不建默认值，value 可能为 undefined
+   * - 返回 slot()，每次取当前聊天的 { value, set(v), save() }；set(undefined) 删除该项
+   * - 保存优先用 saveMetadataDebounced，没有时才用 saveMetadata（防抖版本返回 undefined，不能用 ?? 串起来）
+   */
+  const metaSlot = (key, init) => {
+    const memory = new Map();
+    const sameShape = (value, fresh) => (Array.isArray(fresh) ? Array.isArray(value) : isPlainObject(value));
+
+    return () => {
+      const ctx = stApi.api.getContext?.();
+      const meta = ctx?.chatMetadata;
+      if (meta && typeof meta === 'object') {
+        if (!isPlainObject(meta[EXT_ID])) meta[EXT_ID] = {};
+        const own = meta[EXT_ID];
+        if (init) {
+          const fresh = init();
+          if (!sameShape(own[key], fresh)) own[key] = fresh;
+        }
+        const save = () => {
+          if (typeof ctx.saveMetadataDebounced === 'function') ctx.saveMetadataDebounced();
+          else ctx.saveMetadata?.();
+        };
+        return {
+          value: own[key],
+          set: (value) => {
+            if (value === undefined) delete own[key];
+            else own[key] = value;
+            save();
+          },
+          save,
+        };
+      }
+
+      const chatId = stApi.api.getChatId?.() || '';
+      if (init && !memory.has(chatId)) memory.set(chatId, init());
+      return {
+        value: memory.get(chatId),
+        set: (value) => (value === undefined ? memory.delete(chatId) : memory.set(chatId, value)),
+        save: () => {},
+      };
+    };
+  };
+
+  // -----------------------------
+  // 参数 Schema（JSON Schema 子集：校验 + 宽松类型转换）
+  // -----------------------------
+
+  const paramSchema = (() => {
+    const typeOf = (value) => {
+      if (value === null) return 'null';
+      if (Array.isArray(value)) return 'array';
+      if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+      return typeof value;
+    };
+
+    const matchesType = (value, type) => {
+      switch (type) {
+        case 'string':
+          return typeof value === 'string';
+        case 'number':
+          return typeof value === 'number' && Number.isFinite(value);
+        case 'integer':
+          return Number.isInteger(value);
+        case 'boolean':
+          return typeof value === 'boolean';
+        case 'null':
+          return value === null;
+        case 'array':
+          return Array.isArray(value);
+        case 'object':
+          return isPlainObject(value);
+        default:
+          // 未知类型：不做约束（宽松）
+          return true;
+      }
+    };
+
+    const tryJson = (text) => {
+      try {
+        return { ok: true, value: JSON.parse(text) };
+      } catch {
+        return { ok: false };
+      }
+    };
+
+    // 模型输出的参数经常“类型不对但意思对”（如 "3"、"true"），这里尽力转换而不是直接拒绝
+    const coerceTo = (value, type) => {
+      const str = typeof value === 'string' ? value.trim() : null;
+      switch (type) {
+        case 'string':
+          if (typeof value === 'number' || typeof value === 'boolean') return { ok: true, value: String(value) };
+          return { ok: false };
+        case 'number':
+        case 'integer': {
+          let n = NaN;
+          if (str !== null && str !== '' && /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(str)) n = Number(str);
+          else if (typeof value === 'boolean') n = value ? 1 : 0;
+          if (!Number.isFinite(n)) return { ok: false };
+          if (type === 'integer' && !Number.isInteger(n)) return { ok: false };
+          return { ok: true, value: n };
+        }
+        case 'boolean':
+          if (str !== null && /^(true|yes|on|1)$/i.test(str)) return { ok: true, value: true };
+          if (str !== null && /^(false|no|off|0)$/i.test(str)) return { ok: true, value: false };
+          if (value === 1 || value === 0) return { ok: true, value: value === 1 };
+          return { ok: false };
+        case 'null':
+          if (str !== null && (str === '' || /^null$/i.test(str))) return { ok: true, value: null };
+          return { ok: false };
+        case 'array': {
+          if (str !== null && str.startsWith('[')) {
+            const r = tryJson(str);
+            if (r.ok && Array.isArray(r.value)) return r;
+          }
+          // 单值 → 单元素数组
+          if (value !== undefined && value !== null && !isPlainObject(value)) return { ok: true, value: [value] };
+          return { ok: false };
+        }
+        case 'object': {
+          if (str !== null && str.startsWith('{')) {
+            const r = tryJson(str);
+            if (r.ok && isPlainObject(r.value)) return r;
+          }
+          return { ok: false };
+        }
+        default:
+          return { ok: false };
+      }
+    };
+
+    const cloneDefault = (value) => {
+      try {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+      } catch {
+        return value;
+      }
+    };
+
+    const sameValue = (a, b) => {
+      if (a === b) return true;
+      try {
+        return JSON.stringify(a) === JSON.stringify(b);
+      } catch {
+        return false;
+      }
+    };
+
+    const joinPath = (base, key) => (base ? `${base}.${key}` : String(key));
+
+    const typesOf = (schema) => {
+      if (Array.isArray(schema.type)) return schema.type.map((t) => safeString(t, '')).filter(Boolean);
+      if (typeof schema.type === 'string' && schema.type) return [schema.type];
+      if (isPlainObject(schema.properties)) return ['object'];
+      return [];
+    };
+
+    const walk = (schema, value, path, errors) => {
+      if (!isPlainObject(schema)) return value;
+
+      let v = value;
+      const types = typesOf(schema);
+
+      if (types.length && !types.some((t) => matchesType(v, t))) {
+        let coerced = false;
+        for (const t of types) {
+          const r = coerceTo(v, t);
+          if (r.ok) {
+            v = r.value;
+            coerced = true;
+            break;
+          }
+        }
+        if (!coerced) {
+          errors.push({ path: path || '(root)', message: `expected ${types.join(' | ')}, got ${typeOf(v)}` });
+          return v;
+        }
+      }
+
+      if (Array.isArray(schema.enum) && schema.enum.length) {
+        if (!schema.enum.some((e) => sameValue(e, v))) {
+          // 宽松：字符串枚举允许大小写不一致
+          const loose =
+            typeof v === 'string'
+              ? schema.enum.find((e) => typeof e === 'string' && e.toLowerCase() === v.trim().toLowerCase())
+              : undefined;
+          if (loose !== undefined) v = loose;
+          else errors.push({ path: path || '(root)', message: `must be one of ${JSON.stringify(schema.enum)}` });
+        }
+      }
+
+      if (typeof v === 'string') {
+        if (Number.isFinite(schema.minLength) && v.length < schema.minLength) {
+          errors.push({ path: path || '(root)', message: `must be at least ${schema.minLength} characters` });
+        }
+        if (Number.isFinite(schema.maxLength) && v.length > schema.maxLength) {
+          errors.push({ path: path || '(root)', message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (typeof schema.pattern === 'string' && schema.pattern) {
+          try {
+            if (!new RegExp(schema.pattern).test(v)) {
+              errors.push({ path: path || '(root)', message: `must match /${schema.pattern}/` });
+            }
+          } catch {
+            // 忽略：非法正则不应阻断调用
+          }
+        }
+      }
+
+      if (typeof v === 'number') {
+        if (Number.isFinite(schema.minimum) && v < schema.minimum) {
+          errors.push({ path: path || '(root)', message: `must be >= ${schema.minimum}` });
+        }
+        if (Number.isFinite(schema.maximum) && v > schema.maximum) {
+          errors.push({ path: path || '(root)', message: `must be <= ${schema.maximum}` });
+        }
+      }
+
+      if (Array.isArray(v) && isPlainObject(schema.items)) {
+        v = v.map((item, i) => walk(schema.items, item, joinPath(path, i), errors));
+      }
+
+      if (isPlainObject(v)) {
+        const props = isPlainObject(schema.properties) ? schema.properties : {};
+        const out = { ...v };
+        for (const [key, sub] of Object.entries(props)) {
+          if (out[key] === undefined) {
+            if (isPlainObject(sub) && sub.default !== undefined) out[key] = cloneDefault(sub.default);
+            continue;
+          }
+          out[key] = walk(sub, out[key], joinPath(path, key), errors);
+        }
+        const required = Array.isArray(schema.required) ? schema.required : [];
+        for (const key of required) {
+          if (out[key] === undefined) errors.push({ path: joinPath(path, key), message: 'is required' });
+        }
+        if (schema.additionalProperties === false) {
+          for (const key of Object.keys(out)) {
+            if (!(key in props)) errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+          }
+        }
+        v = out;
+      }
+
+      return v;
+    };
+
+    /**
+     * 按 schema 校验并转换参数。
+     * 永不抛错：返回 { ok, value, errors }，value 为转换/补默认值后的参数。
+     */
+    const validate = (schema, args) => {
+      if (!isPlainObject(schema)) return { ok: true, value: args, errors: [] };
+      const errors = [];
+      try {
+        let input = args;
+        // 根为对象时：缺参数视为空对象，以便补默认值与检查 required
+        if (typesOf(schema).includes('object') && (input === undefined || input === null || input === '')) input = {};
+        const value = walk(schema, input, '', errors);
+        return { ok: errors.length === 0, value, errors };
+      } catch (err) {
+        safeConsole.warn('parameter validation crashed (ignored)', err);
+        return { ok: true, value: args, errors: [] };
+      }
+    };
+
+    // 紧凑类型描述：给模型看的“参数形状”
+    const describeType = (schema) => {
+      if (!isPlainObject(schema)) return 'any';
+      if (Array.isArray(schema.enum) && schema.enum.length) {
+        return schema.enum.map((e) => JSON.stringify(e)).join(' | ');
+      }
+      const types = typesOf(schema);
+      if (types.includes('array') && isPlainObject(schema.items)) return `${describeType(schema.items)}[]`;
+      if (types.includes('object') && isPlainObject(schema.properties)) {
+        const required = Array.isArray(schema.required) ? schema.required : [];
+        const inner = Object.entries(schema.properties).map(
+          ([k, sub]) => `${k}${required.includes(k) ? '' : '?'}: ${describeType(sub)}`,
+        );
+        return `{ ${inner.join(', ')} }`;
+      }
+      return types.length ? types.join(' | ') : 'any';
+    };
+
+    const describeLines = (schema) => {
+      if (!isPlainObject(schema)) return [];
+      const props = isPlainObject(schema.properties) ? schema.properties : null;
+      if (!props) return [`args: ${describeType(schema)}`];
+
+      const required = Array.isArray(schema.required) ? schema.required : [];
+      const lines = [];
+      for (const [key, sub] of Object.entries(props)) {
+        const s = isPlainObject(sub) ? sub : {};
+        const notes = [describeType(s), required.includes(key) ? 'required' : 'optional'];
+        if (s.default !== undefined) notes.push(`default ${JSON.stringify(s.default)}`);
+        if (Number.isFinite(s.minimum) || Number.isFinite(s.maximum)) {
+          const lo = Number.isFinite(s.minimum) ? s.minimum : '';
+          const hi = Number.isFinite(s.maximum) ? s.maximum : '';
+          notes.push(`range ${lo}..${hi}`);
+        }
+        const desc = safeString(s.description, '').trim();
+        lines.push(`${key} (${notes.join(', ')})${desc ? `: ${desc}` : ''}`);
+      }
+      return lines;
+    };
+
+    return { validate, describeType, describeLines };
+  })();
+
   // -----------------------------
   // 技能注册表（轮椅级 API）
   // -----------------------------
 
   const registry = (() => {
     const skills = new Map();
+    const RESULT_MODES = ['visible', 'hidden', 'continue'];
+    // 每个技能最多保留几条示例（注入多少条另由全局设置 maxPromptExamples 控制）
+    const MAX_EXAMPLES = 10;
+
+    // 示例调用：[{ args, result?, note? }]。args 必须是对象；result 可以是任意可 JSON 化的值
+    const normalizeExamples = (list) =>
+      (Array.isArray(list) ? list : [])
+        .filter((e) => isPlainObject(e) && (e.args === undefined || isPlainObject(e.args)))
+        .slice(0, MAX_EXAMPLES)
+        .map((e) => {
+          const example = { args: isPlainObject(e.args) ? e.args : {} };
+          if (e.result !== undefined) example.result = e.result;
+          const note = safeString(e.note, '').trim();
+          if (note) example.note = note;
+          return example;
+        });
+
+    // 并发：serial = 与同一条消息里的其它调用依次执行（默认）；parallel = 可与其它调用同时执行；
+    // 其它名字 = 锁分组（如 worldbook）：同组调用依次执行，与其它调用同时执行
+    const normalizeConcurrency = (value) => {
+      const v = safeString(value, '').trim();
+      return /^[\w.-]{1,64}$/.test(v) ? v : 'serial';
+    };
+
+    // 失败类别（引擎据此决定是否重试）；未声明 retryOn 时只重试临时性错误
+    const ERROR_CLASSES = ['timeout', 'network', 'http_429', 'http_5xx', 'http_4xx', 'transient', 'error'];
+    const TRANSIENT_CLASSES = ['timeout', 'network', 'http_429', 'http_5xx', 'transient'];
+
+    // 重试策略：数字 = 最多尝试次数；对象 = { maxAttempts, backoffMs, maxBackoffMs, retryOn }；
+    // 最多只尝试 1 次（或未声明）时返回 null
+    const normalizeRetry = (value) => {
+      const cfg = typeof value === 'number' ? { maxAttempts: value } : value;
+      if (!isPlainObject(cfg)) return null;
+      const int = (v, fallback, min, max) =>
+        Number.isFinite(Number(v)) ? Math.min(max, Math.max(min, Math.floor(Number(v)))) : fallback;
+      const maxAttempts = int(cfg.maxAttempts, 3, 1, 10);
+      if (maxAttempts <= 1) return null;
+      const retryOn = (Array.isArray(cfg.retryOn) ? cfg.retryOn : []).filter((c) => ERROR_CLASSES.includes(c));
+      return {
+        maxAttempts,
+        backoffMs: int(cfg.backoffMs, 1000, 0, 600_000),
+        maxBackoffMs: int(cfg.maxBackoffMs, 30_000, 0, 600_000),
+        retryOn: retryOn.length ? retryOn : TRANSIENT_CLASSES.slice(),
+      };
+    };
 
     const normalizeConfig = (skillConfig) => {
       const cfg = isPlainObject(skillConfig) ? skillConfig : {};
@@ -325,9 +914,87 @@
 
       const enabled = typeof cfg.enabled === 'boolean' ? cfg.enabled : true;
 
-      return { name, description, action, enabled };
+      // 可选：JSON Schema 参数声明（基座负责校验/转换，并渲染进注入提示词）
+      let parameters = null;
+      if (cfg.parameters !== undefined && cfg.parameters !== null) {
+        if (isPlainObject(cfg.parameters)) parameters = cfg.parameters;
+        else safeConsole.warn('register() `parameters` must be a JSON Schema object; ignored for:', name);
+      }
+
+      // 可选：单次调用超时（毫秒）；未声明则使用基座设置里的默认值，0 = 不限时
+      const timeoutMs =
+        typeof cfg.timeoutMs === 'number' && Number.isFinite(cfg.timeoutMs) && cfg.timeoutMs >= 0
+          ? cfg.timeoutMs
+          : null;
+
+      // 可选：技能级限流 { maxCalls, windowMs }（在全局熔断之外单独计数）
+      let rateLimit = null;
+      if (isPlainObject(cfg.rateLimit)) {
+        const maxCalls = Math.floor(Number(cfg.rateLimit.maxCalls));
+        const windowMs = Math.floor(Number(cfg.rateLimit.windowMs));
+        if (maxCalls > 0 && windowMs > 0) rateLimit = { maxCalls, windowMs };
+        else safeConsole.warn('register() `rateLimit` needs positive maxCalls/windowMs; ignored for:', name);
+      }
+
+      // 可选：风险等级与确认门（low = 只读/无副作用；write = 修改本地数据；network = 访问外部网络）
+      const risk = ['low', 'write', 'network'].includes(cfg.risk) ? cfg.risk : 'low';
+      const requiresConfirmation = typeof cfg.requiresConfirmation === 'boolean' ? cfg.requiresConfirmation : null;
+      // 可选：确认弹窗里展示的预览/差异（如 dryRun 结果）
+      const preview = typeof cfg.preview === 'function' ? cfg.preview : null;
+      // 可选：幂等（重复执行无副作用）。swipe / 重新生成时幂等技能直接重跑，否则重放缓存结果或询问用户。
+      // 未声明时按风险等级推断：只有 low 视为幂等
+      const idempotent = typeof cfg.idempotent === 'boolean' ? cfg.idempotent : risk === 'low';
+      // 可选：结果回传方式。visible = 可见的 System Message；hidden = 不显示，只在下一次请求时发给模型；
+      // continue = 不显示，并让模型续写刚才那条回复（而不是新开一轮）
+      const resultMode = RESULT_MODES.includes(cfg.resultMode) ? cfg.resultMode : 'visible';
+      // 可选：回传后是否触发生成。只给用户看的结果（如骰子卡片）可设为 false
+      const autoContinue = typeof cfg.autoContinue === 'boolean' ? cfg.autoContinue : true;
+      // 可选：单次结果发给模型的最大字符数；未声明则使用基座设置，0 = 不限
+      const maxResultChars =
+        typeof cfg.maxResultChars === 'number' && Number.isFinite(cfg.maxResultChars) && cfg.maxResultChars >= 0
+          ? Math.floor(cfg.maxResultChars)
+          : null;
+      // 可选：注入提示词时的取舍。priority 越大越靠前、越晚被预算裁掉；pinned = 总是列出（不受关键词与预算限制）；
+      // keywords = 最近的聊天提到其中任一词时才列出（类似世界书触发），"/.../flags" 形式按正则匹配，留空 = 总是候选
+      const priority = Number.isFinite(Number(cfg.priority)) ? Number(cfg.priority) : 0;
+      const pinned = cfg.pinned === true;
+      const keywords = (Array.isArray(cfg.keywords) ? cfg.keywords : [])
+        .map((k) => safeString(k, '').trim())
+        .filter(Boolean);
+      // 可选：few-shot 示例，渲染进注入提示词（让模型照着写参数）
+      if (cfg.examples !== undefined && !Array.isArray(cfg.examples)) {
+        safeConsole.warn('register() `examples` must be an array; ignored for:', name);
+      }
+      const examples = normalizeExamples(cfg.examples);
+      const concurrency = normalizeConcurrency(cfg.concurrency);
+      // 可选：临时性失败（429 / 5xx / 超时 / 网络错误）自动重试，指数退避
+      const retry = normalizeRetry(cfg.retry);
+
+      return {
+        name,
+        description,
+        action,
+        enabled,
+        parameters,
+        timeoutMs,
+        rateLimit,
+        risk,
+        requiresConfirmation,
+        preview,
+        idempotent,
+        resultMode,
+        autoContinue,
+        maxResultChars,
+        priority,
+        pinned,
+        keywords,
+        examples,
+        concurrency,
+        retry,
+      };
     };
 
+    // 返回最终技能名（可能是自动生成的），失败为 null；取消注册用 remove(name)
     const register = (skillConfig) => {
       try {
         const normalized = normalizeConfig(skillConfig);
@@ -343,6 +1010,15 @@
       }
     };
 
+    // 同 register，但返回 disposer：热重载的技能包可在卸载时清理自己。
+    // 只移除“本次注册的那个”技能：同名技能已被后来者覆盖时，旧 disposer 不会误删新技能
+    const registerWithDisposer = (skillConfig) => {
+      const name = register(skillConfig);
+      if (!name) return () => false;
+      const registered = skills.get(name);
+      return () => (skills.get(name) === registered ? remove(name) : false);
+    };
+
     const listEnabled = () => {
       const out = [];
       for (const s of skills.values()) {
@@ -361,46 +1037,516 @@
       }
     };
 
-    return { register, listEnabled, get, remove };
+    // 对外元数据：不暴露 action/preview 等函数本体
+    const describe = (skill) => ({
+      name: skill.name,
+      description: skill.description,
+      enabled: skill.enabled,
+      parameters: skill.parameters,
+      timeoutMs: skill.timeoutMs,
+      rateLimit: skill.rateLimit,
+      risk: skill.risk,
+      requiresConfirmation: skill.requiresConfirmation,
+      hasPreview: Boolean(skill.preview),
+      idempotent: skill.idempotent,
+      resultMode: skill.resultMode,
+      autoContinue: skill.autoContinue,
+      maxResultChars: skill.maxResultChars,
+      priority: skill.priority,
+      pinned: skill.pinned,
+      keywords: [...skill.keywords],
+      examples: skill.examples.map((e) => ({ ...e })),
+      concurrency: skill.concurrency,
+      retry: skill.retry ? { ...skill.retry, retryOn: [...skill.retry.retryOn] } : null,
+    });
+
+    const list = ({ includeDisabled = false } = {}) => {
+      const out = [];
+      for (const s of skills.values()) {
+        if (s && (includeDisabled || s.enabled)) out.push(describe(s));
+      }
+      return out;
+    };
+
+    const getInfo = (name) => {
+      const skill = skills.get(safeString(name, '').trim());
+      return skill ? describe(skill) : null;
+    };
+
+    // 仅影响运行期注册表（创作者技能的持久开关仍以面板为准）
+    const setEnabled = (name, enabled) => {
+      const skill = skills.get(safeString(name, '').trim());
+      if (!skill) return false;
+      skill.enabled = Boolean(enabled);
+      return true;
+    };
+
+    return {
+      register,
+      registerWithDisposer,
+      listEnabled,
+      get,
+      remove,
+      list,
+      getInfo,
+      setEnabled,
+      normalizeExamples,
+      normalizeConcurrency,
+      RESULT_MODES,
+    };
   })();
 
   // -----------------------------
-  // 前端持久化：创作者技能（无需改代码）
+  // 前端持久化：基座设置
   // -----------------------------
 
-  const creatorStore = (() => {
-    const STORAGE_KEY = 'st-agentskills.creatorSkills.v1';
-
-    const defaultSkill = () => ({
-      name: '',
-      description: '',
-      enabled: true,
-      type: 'static', // static | js | http
-      staticText: 'ok',
-      jsCode: 'return { ok: true, args };',
-      http: {
-        url: '',
-        method: 'POST',
-        headersJson: '{"Content-Type":"application/json"}',
-        bodyJson: '{"args": {{json args}} }',
-        responseType: 'json', // json | text
-        timeoutMs: 15000,
-      },
+  const settingsStore = (() => {
+    const STORAGE_KEY = 'st-agentskills.settings.v1';
+
+    const defaults = () => ({
+      // 一条消息里出现多个调用标签时：first = 只执行第一个；all = 全部执行；max = 最多执行 N 个
+      callMode: 'all',
+      maxCallsPerMessage: 3,
+      // 调用协议：text = 只用 [CALL: ...] 文本标签；native = 只用原生 tools；hybrid = 原生优先，文本兜底
+      protocolMode: 'text',
+      // 按连接覆盖（key 见 stApi.getConnectionKey），未设置的连接使用 protocolMode
+      protocolModeByConnection: {},
+      // 单次技能调用的默认超时（毫秒）；0 = 不限时。技能可在 register() 时用 timeoutMs 覆盖
+      defaultTimeoutMs: 60_000,
+      // 熔断：窗口内最多允许多少次调用（一条消息里的每个调用各算一次）
+      breakerWindowMs: 30_000,
+      breakerMaxCalls: 5,
+      // 同一用户回合内：相同技能 + 相同参数最多执行几次；最多连续几轮技能调用（深度）
+      maxRepeatSameCall: 2,
+      maxDepthPerTurn: 8,
+      // 哪些风险等级的技能在执行前需要用户确认（low | write | network）
+      confirmRisks: ['write', 'network'],
+      // swipe / 重新生成时，非幂等技能遇到同一条消息里已执行过的调用：replay = 重放缓存结果；ask = 询问用户
+      repeatPolicy: 'replay',
+      // 单次结果发给模型的最大字符数（超出时智能截断）；0 = 不限。技能可在 register() 时用 maxResultChars 覆盖
+      maxResultChars: 4000,
+      // 注入的技能列表的 token 预算（粗略估算）；超出时低优先级技能先降级为一行简介，再省略。0 = 不限
+      promptTokenBudget: 1500,
+      // 关键词触发时扫描最近几条聊天消息
+      keywordScanDepth: 4,
+      // 调用格式识别器（按优先级）：call = [CALL: ...]；xml = <tool_call>；json = ```json 围栏；func = 单独一行的 name(args)。
+      // 提示词按第一个教给模型；聊天可在 chat_metadata 里单独覆盖
+      recognizers: ['call'],
+      // 注入提示词里最多带几条技能示例（按技能的排序依次取，0 = 不注入示例）
+      maxPromptExamples: 4,
+      // 系统提示词块的位置：end = 追加在最后；top = 最前；before_history = 聊天记录之前；depth = 倒数第 N 条消息之前
+      systemPosition: 'end',
+      systemDepth: 4,
+      // 深度提醒：append_user = 追加到最后一条用户消息末尾；depth = 作为单独一条消息插到倒数第 N 条之前（同 ST 作者注释）
+      depthNotePosition: 'append_user',
+      depthNoteDepth: 1,
+      depthNoteRole: 'system',
+      // 注入提示词模板（'' = 内置默认）；支持 {{skills}} {{skill_names}} {{format}} {{format_short}} {{examples}}
+      promptTemplates: { system: '', depthNote: '' },
+      // 按角色/预设覆盖模板（key 见 stApi.getPromptScopes），角色优先于预设；未覆盖的字段沿用全局
+      promptTemplateOverrides: {},
+      // 消息里已执行的调用标签：raw = 原样显示；chip = 显示为可折叠的调用卡片（不改聊天原文）
+      tagDisplay: 'raw',
+      // 发送给模型的历史消息里删除调用标签（只影响 prompt，不改聊天原文）
+      stripTagsInPrompt: false,
+      // 流式输出时：调用标签一闭合就停止生成、截掉标签之后的内容并立即执行（模拟原生 tool use 的 stop sequence）
+      stopOnStreamedCall: false,
     });
 
-    const safeRead = () => {
-      try {
-        const raw = window.localStorage?.getItem(STORAGE_KEY);
-        if (!raw) return [];
-        const parsed = JSON.parse(raw);
-        return Array.isArray(parsed) ? parsed : [];
-      } catch (err) {
-        safeConsole.warn('读取创作者技能配置失败（忽略）', err);
-        return [];
-      }
-    };
+    const RISK_LEVELS = ['low', 'write', 'network'];
 
-    const safeWrite = (list) => {
+    const PROTOCOL_MODES = ['text', 'native', 'hybrid'];
+
+    const TEMPLATE_KINDS = ['system', 'depthNote'];
+
+    const SYSTEM_POSITIONS = ['end', 'top', 'before_history', 'depth'];
+    const NOTE_ROLES = ['system', 'user', 'assistant'];
+
+    // 模板对象只保留已知字段；overrides 里全空的条目直接丢弃
+    const sanitizeTemplates = (maybe) => {
+      const t = isPlainObject(maybe) ? maybe : {};
+      return Object.fromEntries(TEMPLATE_KINDS.map((k) => [k, safeString(t[k], '').slice(0, 20_000)]));
+    };
+
+    const clampInt = (value, min, max, fallback) => {
+      const n = Math.floor(Number(value));
+      if (!Number.isFinite(n)) return fallback;
+      return Math.min(max, Math.max(min, n));
+    };
+
+    const sanitize = (maybe) => {
+      const base = defaults();
+      const s = isPlainObject(maybe) ? maybe : {};
+      return {
+        callMode: ['first', 'all', 'max'].includes(s.callMode) ? s.callMode : base.callMode,
+        maxCallsPerMessage: clampInt(s.maxCallsPerMessage, 1, 20, base.maxCallsPerMessage),
+        protocolMode: PROTOCOL_MODES.includes(s.protocolMode) ? s.protocolMode : base.protocolMode,
+        protocolModeByConnection: isPlainObject(s.protocolModeByConnection)
+          ? Object.fromEntries(
+              Object.entries(s.protocolModeByConnection).filter(
+                ([k, v]) => safeString(k, '').trim() && PROTOCOL_MODES.includes(v),
+              ),
+            )
+          : {},
+        defaultTimeoutMs: clampInt(s.defaultTimeoutMs, 0, 600_000, base.defaultTimeoutMs),
+        breakerWindowMs: clampInt(s.breakerWindowMs, 1_000, 3_600_000, base.breakerWindowMs),
+        breakerMaxCalls: clampInt(s.breakerMaxCalls, 1, 100, base.breakerMaxCalls),
+        maxRepeatSameCall: clampInt(s.maxRepeatSameCall, 1, 50, base.maxRepeatSameCall),
+        maxDepthPerTurn: clampInt(s.maxDepthPerTurn, 1, 100, base.maxDepthPerTurn),
+        confirmRisks: Array.isArray(s.confirmRisks)
+          ? RISK_LEVELS.filter((r) => s.confirmRisks.includes(r))
+          : base.confirmRisks,
+        repeatPolicy: ['replay', 'ask'].includes(s.repeatPolicy) ? s.repeatPolicy : base.repeatPolicy,
+        maxResultChars: clampInt(s.maxResultChars, 0, 200_000, base.maxResultChars),
+        promptTokenBudget: clampInt(s.promptTokenBudget, 0, 100_000, base.promptTokenBudget),
+        keywordScanDepth: clampInt(s.keywordScanDepth, 1, 50, base.keywordScanDepth),
+        maxPromptExamples: clampInt(s.maxPromptExamples, 0, 50, base.maxPromptExamples),
+        recognizers:
+          Array.isArray(s.recognizers) && s.recognizers.some((id) => safeString(id, '').trim())
+            ? [...new Set(s.recognizers.map((id) => safeString(id, '').trim()).filter(Boolean))].slice(0, 20)
+            : base.recognizers,
+        systemPosition: SYSTEM_POSITIONS.includes(s.systemPosition) ? s.systemPosition : base.systemPosition,
+        systemDepth: clampInt(s.systemDepth, 0, 100, base.systemDepth),
+        depthNotePosition: ['append_user', 'depth'].includes(s.depthNotePosition)
+          ? s.depthNotePosition
+          : base.depthNotePosition,
+        depthNoteDepth: clampInt(s.depthNoteDepth, 0, 100, base.depthNoteDepth),
+        depthNoteRole: NOTE_ROLES.includes(s.depthNoteRole) ? s.depthNoteRole : base.depthNoteRole,
+        promptTemplates: sanitizeTemplates(s.promptTemplates),
+        promptTemplateOverrides: isPlainObject(s.promptTemplateOverrides)
+          ? Object.fromEntries(
+              Object.entries(s.promptTemplateOverrides)
+                .filter(([k]) => safeString(k, '').trim())
+                .map(([k, v]) => [k, sanitizeTemplates(v)])
+                .filter(([, v]) => TEMPLATE_KINDS.some((kind) => v[kind])),
+            )
+          : {},
+        tagDisplay: ['raw', 'chip'].includes(s.tagDisplay) ? s.tagDisplay : base.tagDisplay,
+        stripTagsInPrompt: typeof s.stripTagsInPrompt === 'boolean' ? s.stripTagsInPrompt : base.stripTagsInPrompt,
+        stopOnStreamedCall:
+          typeof s.stopOnStreamedCall === 'boolean' ? s.stopOnStreamedCall : base.stopOnStreamedCall,
+      };
+    };
+
+    let cache = null;
+
+    const get = () => {
+      if (cache) return cache;
+      try {
+        const raw = window.localStorage?.getItem(STORAGE_KEY);
+        cache = sanitize(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        safeConsole.warn('读取基座设置失败（使用默认值）', err);
+        cache = defaults();
+      }
+      return cache;
+    };
+
+    const update = (patch) => {
+      const next = sanitize({ ...get(), ...(isPlainObject(patch) ? patch : {}) });
+      cache = next;
+      try {
+        window.localStorage?.setItem(STORAGE_KEY, JSON.stringify(next));
+      } catch (err) {
+        safeConsole.warn('保存基座设置失败（仅本次会话生效）', err);
+      }
+      return next;
+    };
+
+    // 当前连接实际生效的调用协议
+    const protocolModeFor = (connectionKey) => {
+      const current = get();
+      return current.protocolModeByConnection[connectionKey] || current.protocolMode;
+    };
+
+    const setProtocolModeFor = (connectionKey, mode) => {
+      const key = safeString(connectionKey, '').trim();
+      if (!key) return get();
+      const map = { ...get().protocolModeByConnection };
+      if (PROTOCOL_MODES.includes(mode)) map[key] = mode;
+      else delete map[key];
+      return update({ protocolModeByConnection: map });
+    };
+
+    // 设置/清除某个角色或预设的模板覆盖（templates 里为空的字段 = 沿用全局）
+    const setTemplateOverride = (scopeKey, templates) => {
+      const key = safeString(scopeKey, '').trim();
+      if (!key) return get();
+      const map = { ...get().promptTemplateOverrides };
+      if (isPlainObject(templates)) map[key] = templates;
+      else delete map[key];
+      return update({ promptTemplateOverrides: map });
+    };
+
+    return {
+      defaults,
+      get,
+      update,
+      clampInt,
+      protocolModeFor,
+      setProtocolModeFor,
+      setTemplateOverride,
+      PROTOCOL_MODES,
+      RISK_LEVELS,
+      TEMPLATE_KINDS,
+      SYSTEM_POSITIONS,
+      NOTE_ROLES,
+    };
+  })();
+
+  // -----------------------------
+  // 前端持久化：调用日志（IndexedDB，容量有上限）
+  // -----------------------------
+
+  const callLog = (() => {
+    const DB_NAME = 'st-agentskills';
+    const STORE = 'calls';
+    const MAX_RECORDS = 2000;
+    const MAX_TEXT = 2000;
+
+    // IndexedDB 不可用时退化为内存日志（仅本次会话）
+    const memory = [];
+    let dbPromise = null;
+
+    const openDb = () => {
+      if (dbPromise) return dbPromise;
+      dbPromise = new Promise((resolve) => {
+        try {
+          if (!window.indexedDB) {
+            resolve(null);
+            return;
+          }
+          const req = window.indexedDB.open(DB_NAME, 1);
+          req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+              const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+              store.createIndex('ts', 'ts');
+            }
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => {
+            safeConsole.warn('IndexedDB open failed; call log kept in memory', req.error);
+            resolve(null);
+          };
+        } catch (err) {
+          safeConsole.warn('IndexedDB unavailable; call log kept in memory', err);
+          resolve(null);
+        }
+      });
+      return dbPromise;
+    };
+
+    const tx = async (mode, fn) => {
+      const db = await openDb();
+      if (!db) return null;
+      return new Promise((resolve) => {
+        try {
+          const t = db.transaction(STORE, mode);
+          const store = t.objectStore(STORE);
+          let result = null;
+          Promise.resolve(fn(store)).then((r) => {
+            result = r;
+          });
+          t.oncomplete = () => resolve(result);
+          t.onerror = () => resolve(null);
+          t.onabort = () => resolve(null);
+        } catch (err) {
+          safeConsole.warn('call log transaction failed (ignored)', err);
+          resolve(null);
+        }
+      });
+    };
+
+    const reqToPromise = (req) =>
+      new Promise((resolve) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+      });
+
+    const truncate = (text) => {
+      const s = safeString(text, '');
+      return s.length > MAX_TEXT ? `${s.slice(0, MAX_TEXT)}…(+${s.length - MAX_TEXT} chars)` : s;
+    };
+
+    const add = async (entry) => {
+      try {
+        const db = await openDb();
+        if (!db) {
+          memory.push({ ...entry, id: memory.length ? memory[memory.length - 1].id + 1 : 1 });
+          if (memory.length > MAX_RECORDS) memory.splice(0, memory.length - MAX_RECORDS);
+          return;
+        }
+        await tx('readwrite', async (store) => {
+          store.add(entry);
+          // 超出上限：按时间删除最旧的记录
+          const count = await reqToPromise(store.count());
+          let extra = (Number(count) || 0) - MAX_RECORDS;
+          if (extra <= 0) return;
+          const cursorReq = store.index('ts').openCursor();
+          cursorReq.onsuccess = () => {
+            const cursor = cursorReq.result;
+            if (!cursor || extra <= 0) return;
+            cursor.delete();
+            extra -= 1;
+            cursor.continue();
+          };
+        });
+      } catch (err) {
+        safeConsole.warn('call log write failed (ignored)', err);
+      }
+    };
+
+    // 引擎侧入口：同步返回，后台写入
+    const record = (call, outcome, durationMs) => {
+      try {
+        add({
+          ts: nowMs(),
+          chatId: stApi.api.getChatId?.() || '',
+          skill: safeString(call?.skillName, ''),
+          source: call?.source || (call?.native ? 'native' : 'text'),
+          rawTag: truncate(call?.rawTag),
+          rawArgs: truncate(call?.rawArgs),
+          args: truncate(safeJsonStringify(call?.args ?? {})),
+          durationMs: Math.max(0, Math.round(Number(durationMs) || 0)),
+          outcome: safeString(outcome?.outcome, outcome?.ok ? 'ok' : 'error'),
+          result: truncate(outcome?.result),
+          // 异常的调用栈只记在日志里（不发给模型）
+          error: truncate([outcome?.error, outcome?.stack].filter(Boolean).join('\n')),
+          attempts: Math.max(1, Number(outcome?.attempts) || 1),
+        });
+      } catch (err) {
+        safeConsole.warn('call log record failed (ignored)', err);
+      }
+    };
+
+    const matches = (r, { query, skill, outcome }) => {
+      if (skill && r.skill !== skill) return false;
+      if (outcome && r.outcome !== outcome) return false;
+      if (query) {
+        const q = query.toLowerCase();
+        const hay = [r.skill, r.chatId, r.rawTag, r.args, r.result, r.error].join('\n').toLowerCase();
+        if (!hay.includes(q)) return false;
+      }
+      return true;
+    };
+
+    // 新的在前
+    const list = async ({ query = '', skill = '', outcome = '', limit = 500 } = {}) => {
+      const filter = { query: safeString(query, '').trim(), skill, outcome };
+      const db = await openDb();
+      let all = [];
+      if (!db) all = memory.slice();
+      else all = (await tx('readonly', (store) => reqToPromise(store.getAll()))) || [];
+      return all
+        .filter((r) => matches(r, filter))
+        .sort((a, b) => b.ts - a.ts || b.id - a.id)
+        .slice(0, Math.max(1, Number(limit) || 500));
+    };
+
+    const clear = async () => {
+      memory.length = 0;
+      await tx('readwrite', (store) => {
+        store.clear();
+      });
+    };
+
+    const COLUMNS = [
+      'ts',
+      'chatId',
+      'skill',
+      'source',
+      'outcome',
+      'durationMs',
+      'attempts',
+      'rawTag',
+      'args',
+      'result',
+      'error',
+    ];
+
+    const toCsv = (records) => {
+      const cell = (v) => {
+        const s = safeString(v, '');
+        return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+      };
+      const rows = records.map((r) =>
+        COLUMNS.map((c) => cell(c === 'ts' ? new Date(r.ts).toISOString() : r[c])).join(','),
+      );
+      return [COLUMNS.join(','), ...rows].join('\r\n');
+    };
+
+    const toJson = (records) => safeJsonStringify(records);
+
+    return { record, list, clear, toCsv, toJson };
+  })();
+
+  // -----------------------------
+  // 前端持久化：创作者技能（无需改代码）
+  // -----------------------------
+
+  const creatorStore = (() => {
+    const STORAGE_KEY = 'st-agentskills.creatorSkills.v1';
+
+    const defaultSkill = () => ({
+      name: '',
+      description: '',
+      enabled: true,
+      type: 'static', // static | js | http | pipeline
+      staticText: 'ok',
+      jsCode: 'return { ok: true, args };',
+      trusted: false, // js：false = 沙箱运行；true = 页面内运行（完全权限）
+      risk: '', // '' = 按类型自动（static=low, js=write, http=network, pipeline=各步骤中最高）| low | write | network
+      resultMode: 'visible', // visible | hidden | continue
+      autoContinue: true, // false = 只回传结果，不触发生成
+      keywords: [], // 最近聊天提到其中任一词时才介绍给模型；空 = 总是
+      pinned: false, // true = 总是介绍（不受关键词与预算限制）
+      priority: 0, // 越大越靠前，预算不够时越晚被省略
+      examples: [], // [{ args, result?, note? }]：注入提示词的示例调用
+      concurrency: 'serial', // serial | parallel | 锁分组名
+      http: {
+        url: '',
+        method: 'POST',
+        headersJson: '{"Content-Type":"application/json"}',
+        bodyJson: '{"args": {{json args}} }',
+        responseType: 'json', // json | text
+        timeoutMs: 15000,
+        // 429 / 5xx / 超时 / 网络错误时的重试次数；null = 自动（GET 或风险为 low 时重试 2 次，其它不重试）；0 = 不重试
+        retries: null,
+      },
+      // pipeline：按顺序调用已注册的技能；output 为空时把各步结果合并回传
+      pipeline: {
+        steps: [], // [{ id, skill, args, onOk, onError }]
+        output: '',
+      },
+    });
+
+    // 流水线步骤：skill 必填；id 缺省为 step1、step2…；
+    // onOk 缺省 next，onError 缺省 fail（可填 next / end / fail 或另一步的 id）
+    const normalizePipelineSteps = (steps) =>
+      (Array.isArray(steps) ? steps : [])
+        .filter((step) => isPlainObject(step) && safeString(step.skill, '').trim())
+        .map((step, i) => ({
+          id: safeString(step.id, '').trim() || `step${i + 1}`,
+          skill: safeString(step.skill, '').trim(),
+          args: isPlainObject(step.args) || typeof step.args === 'string' ? step.args : {},
+          onOk: safeString(step.onOk, '').trim() || 'next',
+          onError: safeString(step.onError, '').trim() || 'fail',
+        }));
+
+    const safeRead = () => {
+      try {
+        const raw = window.localStorage?.getItem(STORAGE_KEY);
+        if (!raw) return [];
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (err) {
+        safeConsole.warn('读取创作者技能配置失败（忽略）', err);
+        return [];
+      }
+    };
+
+    const safeWrite = (list) => {
       try {
         if (!Array.isArray(list)) return false;
         window.localStorage?.setItem(STORAGE_KEY, JSON.stringify(list));
@@ -417,10 +1563,22 @@
       const name = safeString(s.name, '').trim();
       const description = safeString(s.description, '').trim();
       const enabled = typeof s.enabled === 'boolean' ? s.enabled : true;
-      const type = ['static', 'js', 'http'].includes(s.type) ? s.type : 'static';
+      const type = ['static', 'js', 'http', 'pipeline'].includes(s.type) ? s.type : 'static';
       const staticText = safeString(s.staticText, base.staticText);
       const jsCode = safeString(s.jsCode, base.jsCode);
+      const trusted = s.trusted === true;
+      const risk = ['low', 'write', 'network'].includes(s.risk) ? s.risk : '';
+      const resultMode = registry.RESULT_MODES.includes(s.resultMode) ? s.resultMode : base.resultMode;
+      const autoContinue = typeof s.autoContinue === 'boolean' ? s.autoContinue : base.autoContinue;
+      const keywords = (Array.isArray(s.keywords) ? s.keywords : [])
+        .map((k) => safeString(k, '').trim())
+        .filter(Boolean);
+      const pinned = s.pinned === true;
+      const priority = Number.isFinite(Number(s.priority)) ? Number(s.priority) : base.priority;
+      const examples = registry.normalizeExamples(s.examples);
+      const concurrency = registry.normalizeConcurrency(s.concurrency);
       const http = isPlainObject(s.http) ? s.http : {};
+      const pipeline = isPlainObject(s.pipeline) ? s.pipeline : {};
       return {
         name,
         description,
@@ -428,6 +1586,15 @@
         type,
         staticText,
         jsCode,
+        trusted,
+        risk,
+        resultMode,
+        autoContinue,
+        keywords,
+        pinned,
+        priority,
+        examples,
+        concurrency,
         http: {
           url: safeString(http.url, base.http.url),
           method: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(String(http.method || '').toUpperCase())
@@ -437,6 +1604,14 @@
           bodyJson: safeString(http.bodyJson, base.http.bodyJson),
           responseType: http.responseType === 'text' ? 'text' : base.http.responseType,
           timeoutMs: Number.isFinite(Number(http.timeoutMs)) ? Number(http.timeoutMs) : base.http.timeoutMs,
+          retries:
+            http.retries !== null && http.retries !== '' && Number.isFinite(Number(http.retries))
+              ? Math.min(9, Math.max(0, Math.floor(Number(http.retries))))
+              : base.http.retries,
+        },
+        pipeline: {
+          steps: normalizePipelineSteps(pipeline.steps),
+          output: safeString(pipeline.output, base.pipeline.output),
         },
       };
     };
@@ -462,9 +1637,13 @@
       return { ok: true };
     };
 
+    // 导入：来自他人的 JSON 一律不信任（trusted 重置为 false，需本地手动开启）
     const replaceAll = (skills) => {
       if (!Array.isArray(skills)) return { ok: false, error: '必须是数组' };
-      const sanitized = skills.map(sanitizeSkill).filter((s) => s.name);
+      const sanitized = skills
+        .map(sanitizeSkill)
+        .filter((s) => s.name)
+        .map((s) => ({ ...s, trusted: false }));
       safeWrite(sanitized);
       return { ok: true, count: sanitized.length };
     };
@@ -477,22 +1656,261 @@
       }
     };
 
-    return { defaultSkill, list, upsert, remove, replaceAll, exportJson };
+    return { defaultSkill, normalizePipelineSteps, list, upsert, remove, replaceAll, exportJson };
+  })();
+
+  // -----------------------------
+  // 沙箱：创作者 "js" 技能在不透明源的 iframe 里的 Worker 中运行
+  // -----------------------------
+
+  const sandbox = (() => {
+    // 单次运行的硬上限：即使引擎不限时，也会终止死循环的代码
+    const TIME_LIMIT_MS = 20_000;
+
+    const NO_WORKER_ERROR =
+      '当前浏览器不允许在沙箱里创建 Worker，无法终止失控的代码，已拒绝运行；如确认可信，可将该技能设为“页面内运行（受信任）”。';
+
+    // 沙箱文档的 CSP：禁止一切网络请求（fetch/XHR/WebSocket/WebTransport/图片……），只允许内联脚本、eval 与 blob Worker
+    const CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:";
+
+    /**
+     * 运行器（整体 toString 后放进沙箱运行，不能引用外部变量）。
+     * - 只通过 port（MessagePort）与页面通信：收 run/abort/rpc_result，发 rpc/done/error
+     * - helpers 通过 rpc 桥接回页面（renderTemplate、safeFetch）
+     */
+    const runnerMain = (port) => {
+      const post = port.postMessage.bind(port);
+      const pending = new Map();
+      const abortController = new AbortController();
+      let seq = 0;
+
+      const rpc = (method, params) =>
+        new Promise((resolve, reject) => {
+          seq += 1;
+          pending.set(seq, { resolve, reject });
+          post({ type: 'rpc', id: seq, method, params });
+        });
+
+      const toCloneable = (value) => {
+        try {
+          return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+        } catch {
+          return String(value);
+        }
+      };
+
+      const run = async ({ code, context }) => {
+        const helpers = Object.freeze({
+          sleep: (ms) => new Promise((r) => setTimeout(r, Math.max(0, Number(ms) || 0))),
+          renderTemplate: (tpl) => rpc('renderTemplate', [tpl]),
+          safeFetch: async (url, options, timeoutMs) => {
+            const r = await rpc('safeFetch', [url, options, timeoutMs]);
+            return {
+              ok: r.ok,
+              status: r.status,
+              headers: { get: (k) => r.headers[String(k).toLowerCase()] ?? null },
+              text: async () => r.body,
+              json: async () => JSON.parse(r.body),
+            };
+          },
+        });
+        try {
+          // eslint-disable-next-line no-new-func
+          const fn = new Function('context', 'helpers', `"use strict"; return (async () => { ${code}\n })();`);
+          const result = await fn(Object.freeze({ ...context, signal: abortController.signal }), helpers);
+          post({ type: 'done', result: toCloneable(result) });
+        } catch (err) {
+          post({ type: 'error', error: err instanceof Error ? `${err.name}: ${err.message}` : String(err) });
+        }
+      };
+
+      port.onmessage = (e) => {
+        const msg = e.data || {};
+        if (msg.type === 'run') run(msg);
+        else if (msg.type === 'abort') abortController.abort();
+        else if (msg.type === 'rpc_result') {
+          const p = pending.get(msg.id);
+          if (!p) return;
+          pending.delete(msg.id);
+          if (msg.ok) p.resolve(msg.value);
+          else p.reject(new Error(msg.error || 'rpc failed'));
+        }
+      };
+    };
+
+    /**
+     * iframe 文档（sandbox="allow-scripts"，不带 allow-same-origin → 不透明源：没有 Cookie/localStorage，
+     * 也碰不到页面的 window/DOM）。收到页面转来的 port 后：
+     * - 在 blob Worker 里运行（Worker 继承 iframe 的源与 CSP）：超时移除 iframe 时 Worker 随之终止，死循环也能被打断
+     * - 浏览器不允许在沙箱 iframe 里建 Worker 时拒绝运行：在 iframe 自己的线程里，死循环会让超时计时器永远等不到触发
+     *   （需要在这种浏览器里运行的技能只能设为“页面内运行（受信任）”）
+     */
+    let srcdoc = null;
+    const getSrcdoc = () => {
+      if (srcdoc) return srcdoc;
+      const runner = `(${runnerMain.toString()})`;
+      const workerSrc = `self.onmessage = (e) => {
+  if (e.data?.type === 'port' && e.ports[0]) ${runner}(e.ports[0]);
+};`;
+      const boot = `(() => {
+  addEventListener('message', (e) => {
+    const port = e.ports && e.ports[0];
+    if (!port) return;
+    try {
+      const url = URL.createObjectURL(new Blob([${JSON.stringify(workerSrc)}], { type: 'text/javascript' }));
+      const worker = new Worker(url);
+      worker.onerror = (ev) => {
+        ev.preventDefault();
+        port.postMessage({ type: 'error', error: ev.message || 'sandbox error' });
+      };
+      worker.postMessage({ type: 'port' }, [port]);
+    } catch {
+      port.postMessage({ type: 'error', error: ${JSON.stringify(NO_WORKER_ERROR)} });
+    }
+  }, { once: true });
+})();`;
+      // 脚本里的 "</" 转义，避免提前闭合 <script>
+      srcdoc =
+        `<!doctype html><meta http-equiv="Content-Security-Policy" content="${CSP}">` +
+        `<script>${boot.replace(/<\//g, '<\\/')}</script>`;
+      return srcdoc;
+    };
+
+    const isAvailable = () =>
+      typeof MessageChannel === 'function' && typeof document?.createElement === 'function' && Boolean(document.body);
+
+    /**
+     * 在一次性的沙箱 iframe 中运行 jsCode（函数体），返回技能结果。
+     * - bridge：页面侧白名单 helpers 的实现 { renderTemplate(tpl), safeFetch(url, options, timeoutMs) }
+     * - signal：引擎的取消信号；触发后先通知沙箱，再移除 iframe（其中的 Worker 随之终止）
+     */
+    const run = ({ code, context, bridge, signal, timeLimitMs = TIME_LIMIT_MS }) =>
+      new Promise((resolve) => {
+        if (!isAvailable()) {
+          resolve({ ok: false, error: '当前环境不支持沙箱；如确认可信，可将该技能设为“页面内运行（受信任）”。' });
+          return;
+        }
+
+        let frame = null;
+        let port = null;
+        let timer = null;
+        let settled = false;
+        const finish = (value) => {
+          if (settled) return;
+          settled = true;
+          try {
+            if (timer) window.clearTimeout(timer);
+            signal?.removeEventListener?.('abort', onAbort);
+            port?.close();
+            frame?.remove();
+          } catch {}
+          resolve(value);
+        };
+        const onAbort = () => {
+          try {
+            port?.postMessage({ type: 'abort' });
+          } catch {}
+          finish({ ok: false, error: 'aborted' });
+        };
+
+        let payload = null;
+        try {
+          // context 必须可结构化克隆；signal 由沙箱内部自己的 AbortController 代替
+          payload = { type: 'run', code, context: JSON.parse(JSON.stringify(context || {})) };
+        } catch (err) {
+          finish({ ok: false, error: `参数无法传入沙箱：${err instanceof Error ? err.message : safeString(err)}` });
+          return;
+        }
+
+        const limit = Math.max(1, Number(timeLimitMs) || TIME_LIMIT_MS);
+        timer = window.setTimeout(() => finish({ ok: false, error: `沙箱运行超时（${limit}ms），已终止` }), limit);
+        if (signal?.aborted) {
+          onAbort();
+          return;
+        }
+        signal?.addEventListener?.('abort', onAbort, { once: true });
+
+        const channel = new MessageChannel();
+        port = channel.port1;
+
+        const handleRpc = async ({ id, method, params }) => {
+          const reply = (body) => {
+            try {
+              port.postMessage({ type: 'rpc_result', id, ...body });
+            } catch {}
+          };
+          try {
+            const args = Array.isArray(params) ? params : [];
+            if (method === 'renderTemplate') {
+              reply({ ok: true, value: await bridge.renderTemplate(args[0]) });
+            } else if (method === 'safeFetch') {
+              const res = await bridge.safeFetch(args[0], args[1], args[2]);
+              const headers = {};
+              try {
+                res.headers?.forEach?.((v, k) => {
+                  headers[String(k).toLowerCase()] = v;
+                });
+              } catch {}
+              reply({ ok: true, value: { ok: !!res.ok, status: res.status, headers, body: await res.text() } });
+            } else {
+              reply({ ok: false, error: `helper not allowed: ${safeString(method)}` });
+            }
+          } catch (err) {
+            reply({ ok: false, error: err instanceof Error ? `${err.name}: ${err.message}` : safeString(err) });
+          }
+        };
+
+        port.onmessage = (e) => {
+          const msg = e.data || {};
+          if (msg.type === 'rpc') handleRpc(msg);
+          else if (msg.type === 'done') finish(msg.result);
+          else if (msg.type === 'error') finish({ ok: false, error: safeString(msg.error, 'unknown error') });
+        };
+
+        try {
+          frame = document.createElement('iframe');
+          frame.setAttribute('sandbox', 'allow-scripts');
+          frame.setAttribute('aria-hidden', 'true');
+          frame.style.display = 'none';
+          frame.srcdoc = getSrcdoc();
+          frame.addEventListener(
+            'load',
+            () => {
+              try {
+                // 不透明源只能用 "*"；发过去的只有 port，不含任何页面数据
+                frame.contentWindow.postMessage({ type: 'init' }, '*', [channel.port2]);
+                port.postMessage(payload);
+              } catch (err) {
+                finish({ ok: false, error: `无法启动沙箱：${err instanceof Error ? err.message : safeString(err)}` });
+              }
+            },
+            { once: true },
+          );
+          document.body.appendChild(frame);
+        } catch (err) {
+          finish({ ok: false, error: `无法启动沙箱：${err instanceof Error ? err.message : safeString(err)}` });
+        }
+      });
+
+    return { run, isAvailable };
   })();
 
   const creatorSkillRuntime = (() => {
     let registeredNames = new Set();
 
+    // a.b.c 形式的路径取值；取不到时为 undefined
+    const lookup = (scope, key) =>
+      scope && typeof scope === 'object'
+        ? key.split('.').reduce((acc, k) => (acc && typeof acc === 'object' ? acc[k] : undefined), scope)
+        : undefined;
+
     // 简单模板：支持 {{key}}、{{json key}}；key 从 ctx.args 里取
     const renderTemplate = (tpl, ctx) => {
       const s = safeString(tpl, '');
       const args = ctx?.args;
       return s.replace(/\{\{\s*(json\s+)?([a-zA-Z0-9_.-]+)\s*\}\}/g, (_m, jsonFlag, key) => {
         try {
-          const val =
-            args && typeof args === 'object'
-              ? key.split('.').reduce((acc, k) => (acc && typeof acc === 'object' ? acc[k] : undefined), args)
-              : undefined;
+          const val = lookup(args, key);
           if (jsonFlag) return JSON.stringify(val ?? null);
           return safeString(val ?? '');
         } catch {
@@ -501,8 +1919,16 @@
       });
     };
 
-    const safeFetch = async (url, options, timeoutMs = 15000) => {
+    // signal：外部取消信号（如引擎超时/用户取消），与自身超时任一触发即中止请求
+    const safeFetch = async (url, options, timeoutMs = 15000, signal = null) => {
       const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const onExternalAbort = () => {
+        try {
+          controller?.abort();
+        } catch {}
+      };
+      if (signal?.aborted) onExternalAbort();
+      else signal?.addEventListener?.('abort', onExternalAbort, { once: true });
       const timer = controller
         ? window.setTimeout(() => {
             try {
@@ -517,13 +1943,123 @@
       } finally {
         try {
           if (timer) window.clearTimeout(timer);
+          signal?.removeEventListener?.('abort', onExternalAbort);
         } catch {}
       }
     };
 
+    // 沙箱代码的 helpers.safeFetch：代码不可信，只放行跨域的绝对 http(s) 地址，且一律不带 Cookie/凭据
+    // （否则沙箱可以借页面的登录态访问 ST 自己的接口）
+    const sandboxFetch = (url, options, timeoutMs, signal) => {
+      let target = null;
+      try {
+        target = new URL(safeString(url, ''));
+      } catch {
+        // 相对地址（/api/...）没有 base 会解析失败
+      }
+      if (!target || !['http:', 'https:'].includes(target.protocol)) {
+        throw new Error(`safeFetch: only absolute http(s) URLs are allowed in the sandbox (${safeString(url)})`);
+      }
+      if (target.origin === window.location?.origin) {
+        throw new Error('safeFetch: same-origin URLs are not allowed in the sandbox');
+      }
+      const rest = isPlainObject(options) ? { ...options } : {};
+      delete rest.credentials;
+      return safeFetch(target.href, { ...rest, credentials: 'omit' }, timeoutMs, signal);
+    };
+
+    // 流水线步骤的参数：对象里的字符串逐个套模板；整个值只有一个 {{key}} 时保留原类型（对象/数字不会变成字符串）。
+    // 参数也可以是一整段 JSON 模板（同 HTTP Body 模板），渲染后再解析
+    const SOLE_PLACEHOLDER = /^\{\{\s*(?:json\s+)?([a-zA-Z0-9_.-]+)\s*\}\}$/;
+    const renderArgs = (tpl, scope) => {
+      if (typeof tpl === 'string') {
+        const sole = tpl.trim().match(SOLE_PLACEHOLDER);
+        if (sole) return lookup(scope, sole[1]);
+        if (tpl !== '' && ['{', '['].includes(tpl.trim()[0])) {
+          const text = renderTemplate(tpl, { args: scope });
+          try {
+            return JSON.parse(text);
+          } catch {
+            return text;
+          }
+        }
+        return renderTemplate(tpl, { args: scope });
+      }
+      if (Array.isArray(tpl)) return tpl.map((v) => renderArgs(v, scope));
+      if (isPlainObject(tpl)) {
+        const out = {};
+        for (const [k, v] of Object.entries(tpl)) out[k] = renderArgs(v, scope);
+        return out;
+      }
+      return tpl;
+    };
+
+    // 跳转死循环兜底：一次流水线最多执行的步数
+    const MAX_PIPELINE_RUNS = 50;
+
+    // 流水线：每一步都通过 engine.invoke() 执行（参数校验、事件、确认、超时、隔离、日志与模型调用一致），
+    // 上一步的结果用模板映射进下一步的参数；按 ok / 失败分支跳转，最后合并为一个结果回传给模型。
+    // chain：本次运行的调用链（各次运行互不影响）；步骤再调用链上的技能（直接或间接递归）时直接判失败
+    const runPipeline = async (s, { args, signal, chain = [] }) => {
+      const steps = s.pipeline?.steps || [];
+      if (!steps.length) return { ok: false, error: 'pipeline.steps 不能为空' };
+
+      const indexOf = new Map(steps.map((step, i) => [step.id, i]));
+      const results = {};
+      const scope = { args: isPlainObject(args) ? args : {}, prev: null, steps: results };
+      // 分支目标 → 下一步的下标；-1 = 结束；null = 目标不存在（导入的配置未经编辑器校验）
+      const jump = (target, i) => {
+        if (target === 'next') return i + 1 < steps.length ? i + 1 : -1;
+        if (target === 'end') return -1;
+        return indexOf.has(target) ? indexOf.get(target) : null;
+      };
+      const running = [...chain, s.name];
+
+      let i = 0;
+      let runs = 0;
+      let last = null;
+      while (i >= 0) {
+        if (signal?.aborted) return { ok: false, error: 'cancelled', data: results };
+        if (runs >= MAX_PIPELINE_RUNS) {
+          const error = `more than ${MAX_PIPELINE_RUNS} steps; check onOk/onError for loops`;
+          return { ok: false, error, data: results };
+        }
+        runs += 1;
+        const step = steps[i];
+        const r = running.includes(step.skill)
+          ? { ok: false, outcome: 'recursive', error: `"${step.skill}" is already running in this call chain` }
+          : // eslint-disable-next-line no-await-in-loop
+            await engine.invoke(step.skill, renderArgs(step.args, scope), { signal, chain: running });
+        last = r.ok
+          ? { ok: true, data: r.data }
+          : { ok: false, outcome: r.outcome, error: safeString(r.error, r.outcome), data: r.data };
+        results[step.id] = last;
+        scope.prev = last;
+
+        const target = r.ok ? step.onOk : step.onError;
+        if (!r.ok && target === 'fail') {
+          return { ok: false, error: `step "${step.id}" (${step.skill}) failed: ${last.error}`, data: results };
+        }
+        const nextIndex = jump(target, i);
+        if (nextIndex === null) {
+          return { ok: false, error: `step "${step.id}": jump target "${target}" does not exist`, data: results };
+        }
+        i = nextIndex;
+      }
+
+      const output = safeString(s.pipeline?.output, '').trim();
+      if (!output) return { ok: true, data: results };
+      const sole = output.match(SOLE_PLACEHOLDER);
+      return { ok: true, data: sole ? lookup(scope, sole[1]) : renderTemplate(output, { args: scope }) };
+    };
+
     const buildAction = (creatorSkill) => {
       const s = creatorSkill;
 
+      if (s.type === 'pipeline') {
+        return async ({ args, signal, chain }) => runPipeline(s, { args, signal, chain });
+      }
+
       if (s.type === 'static') {
         return async ({ args }) => {
           const text = renderTemplate(s.staticText, { args });
@@ -532,7 +2068,7 @@
       }
 
       if (s.type === 'http') {
-        return async ({ args }) => {
+        return async ({ args, signal }) => {
           const url = safeString(s.http?.url, '').trim();
           if (!url) return { ok: false, error: 'http.url 不能为空' };
 
@@ -550,7 +2086,19 @@
           const options = { method, headers };
           if (!['GET', 'HEAD'].includes(method)) options.body = bodyText;
 
-          const res = await safeFetch(url, options, Number(s.http?.timeoutMs) || 15000);
+          const res = await safeFetch(url, options, Number(s.http?.timeoutMs) || 15000, signal);
+          // 非 2xx：错误以 "HTTP <status>" 开头，引擎据此判断是否值得重试（429 / 5xx）
+          if (res.ok === false) {
+            let body = '';
+            try {
+              body = await res.text();
+            } catch {}
+            return {
+              ok: false,
+              error: `HTTP ${res.status} ${safeString(res.statusText, '')}`.trim(),
+              data: body ? body.slice(0, 2000) : undefined,
+            };
+          }
           const ct = safeString(res.headers?.get?.('content-type'), '');
           const preferText = s.http?.responseType === 'text';
 
@@ -566,27 +2114,40 @@
       }
 
       // s.type === 'js'
-      return async ({ name, args, rawArgs }) => {
+      return async ({ name, args, rawArgs, signal }) => {
         const code = safeString(s.jsCode, '').trim();
         if (!code) return { ok: false, error: 'jsCode 不能为空' };
 
+        // 默认：沙箱（不透明源，无 window/DOM/Cookie/localStorage/ST API，不能联网，只能通过白名单 helpers 与页面交互）
+        if (!s.trusted) {
+          return sandbox.run({
+            code,
+            context: { name, args, rawArgs },
+            signal,
+            bridge: {
+              renderTemplate: (tpl) => renderTemplate(tpl, { args }),
+              safeFetch: (url, options, timeoutMs) => sandboxFetch(url, options, timeoutMs, signal),
+            },
+          });
+        }
+
         const helpers = Object.freeze({
           sleep,
           renderTemplate: (tpl) => renderTemplate(tpl, { args }),
-          safeFetch,
+          safeFetch: (url, options, timeoutMs) => safeFetch(url, options, timeoutMs, signal),
         });
 
         try {
           // 约定：jsCode 是“函数体”，可直接写 return ...
           // 运行环境：提供 context 与 helpers
-          // 注意：这里不做强沙箱（浏览器同域环境）；定位是“创作者自用/自担风险”。
+          // 注意：trusted = 页面内运行，不做沙箱（浏览器同域环境）；仅供创作者自用/自担风险。
           // eslint-disable-next-line no-new-func
           const fn = new Function(
             'context',
             'helpers',
             `"use strict"; return (async () => { ${code}\n })();`,
           );
-          return await fn({ name, args, rawArgs }, helpers);
+          return await fn({ name, args, rawArgs, signal }, helpers);
         } catch (err) {
           return {
             ok: false,
@@ -596,6 +2157,43 @@
       };
     };
 
+    const DEFAULT_RISK_BY_TYPE = { static: 'low', js: 'write', http: 'network' };
+
+    // HTTP 技能的重试次数：未填写时只有 GET（或标为 low 的技能）自动重试，
+    // POST / PUT / PATCH / DELETE 重发可能造成重复写入
+    const AUTO_HTTP_RETRIES = 2;
+    const httpRetries = (s) => s.http.retries ?? (s.http.method === 'GET' || s.risk === 'low' ? AUTO_HTTP_RETRIES : 0);
+    // 风险从低到高
+    const RISK_ORDER = ['low', 'write', 'network'];
+
+    /**
+     * 流水线的风险与幂等取自各步骤：风险取最危险的一步（与手填的风险比较取高者），全部步骤幂等才算幂等。
+     * 步骤是创作者技能时按其配置推算（嵌套流水线递归），否则看运行期注册表；
+     * 找不到的技能（如稍后才注册的外部技能）按 write / 非幂等处理。
+     * 没有手填风险时流水线本身不再额外确认：每一步执行时按各自的风险等级确认
+     */
+    const pipelineTraits = (s, byName, seen = new Set()) => {
+      let risk = RISK_ORDER.includes(s.risk) ? s.risk : 'low';
+      let idempotent = true;
+      const next = new Set([...seen, s.name]);
+      for (const step of s.pipeline?.steps || []) {
+        const creator = byName.get(step.skill);
+        let traits;
+        if (creator?.type === 'pipeline') {
+          traits = next.has(creator.name) ? { risk: 'low', idempotent: true } : pipelineTraits(creator, byName, next);
+        } else if (creator) {
+          const r = creator.risk || DEFAULT_RISK_BY_TYPE[creator.type] || 'low';
+          traits = { risk: r, idempotent: r === 'low' };
+        } else {
+          const skill = registry.get(step.skill);
+          traits = skill ? { risk: skill.risk, idempotent: skill.idempotent } : { risk: 'write', idempotent: false };
+        }
+        if (RISK_ORDER.indexOf(traits.risk) > RISK_ORDER.indexOf(risk)) risk = traits.risk;
+        if (!traits.idempotent) idempotent = false;
+      }
+      return { risk, idempotent };
+    };
+
     const registerAll = () => {
       const all = creatorStore.list();
 
@@ -610,12 +2208,27 @@
         // 忽略：继续注册即可（最坏情况是残留一个旧技能）
       }
 
+      const byName = new Map(all.filter((s) => s.name).map((s) => [s.name, s]));
       for (const s of all) {
         if (!s.name) continue;
+        const traits = s.type === 'pipeline' ? pipelineTraits(s, byName) : null;
         registry.register({
           name: s.name,
           description: s.description || '(no description)',
           enabled: !!s.enabled,
+          risk: traits ? traits.risk : s.risk || DEFAULT_RISK_BY_TYPE[s.type] || 'low',
+          idempotent: traits ? traits.idempotent : undefined,
+          requiresConfirmation: traits && !s.risk ? false : undefined,
+          // 流水线的每一步各有超时，整体不限时（仍可取消）
+          timeoutMs: s.type === 'pipeline' ? 0 : undefined,
+          resultMode: s.resultMode,
+          autoContinue: s.autoContinue,
+          keywords: s.keywords,
+          pinned: s.pinned,
+          priority: s.priority,
+          examples: s.examples,
+          concurrency: s.concurrency,
+          retry: s.type === 'http' ? httpRetries(s) + 1 : undefined,
           action: buildAction(s),
         });
       }
@@ -631,19 +2244,8 @@
     let backdropEl = null;
     let modalEl = null;
     let exportBoxEl = null;
-
-    const el = (tag, attrs = {}, children = []) => {
-      const node = document.createElement(tag);
-      for (const [k, v] of Object.entries(attrs)) {
-        if (k === 'class') node.className = v;
-        else if (k === 'text') node.textContent = v;
-        else if (k === 'html') node.innerHTML = v;
-        else if (k.startsWith('on') && typeof v === 'function') node.addEventListener(k.slice(2), v);
-        else if (v !== undefined) node.setAttribute(k, String(v));
-      }
-      for (const c of children) node.appendChild(c);
-      return node;
-    };
+    // 面板打开期间的订阅（关闭时释放）
+    const disposers = [];
 
     const close = () => {
       try {
@@ -653,7 +2255,17 @@
       modalEl = null;
       backdropEl = null;
       exportBoxEl = null;
-    };
+      while (disposers.length) {
+        try {
+          disposers.pop()();
+        } catch {}
+      }
+    };
+
+    const describeBreaker = (st) =>
+      st?.tripped
+        ? `已触发（${st.tripped.reason}）：${st.tripped.detail}`
+        : `正常（本回合已调用 ${st?.turnDepth ?? 0} 轮）`;
 
     const tryClipboardWrite = async (text) => {
       try {
@@ -682,7 +2294,10 @@
           'data-kind': s.enabled ? 'enabled' : 'disabled',
           text: s.enabled ? '启用' : '禁用',
         });
-        const typePill = el('span', { class: 'st-agentskills-pill', text: `type:${s.type}` });
+        const typePill = el('span', {
+          class: 'st-agentskills-pill',
+          text: s.type === 'js' && s.trusted ? 'type:js (trusted)' : `type:${s.type}`,
+        });
 
         const meta = el('div', { class: 'st-agentskills-skillmeta' }, [
           el('div', { class: 'st-agentskills-skillname' }, [
@@ -725,6 +2340,651 @@
       }
     };
 
+    // 基座设置（即时保存到 localStorage）
+    const renderSettings = () => {
+      const current = settingsStore.get();
+
+      const callModeSelect = el(
+        'select',
+        {},
+        [
+          el('option', { value: 'first', text: '只执行第一个' }),
+          el('option', { value: 'all', text: '全部执行' }),
+          el('option', { value: 'max', text: '最多执行 N 个' }),
+        ],
+      );
+      callModeSelect.value = current.callMode;
+
+      const maxCallsInput = el('input', {
+        type: 'number',
+        min: '1',
+        max: '20',
+        value: String(current.maxCallsPerMessage),
+      });
+
+      const refresh = () => {
+        maxCallsInput.disabled = callModeSelect.value !== 'max';
+      };
+      const save = () => {
+        const next = settingsStore.update({
+          callMode: callModeSelect.value,
+          maxCallsPerMessage: maxCallsInput.value,
+        });
+        maxCallsInput.value = String(next.maxCallsPerMessage);
+        refresh();
+      };
+      callModeSelect.addEventListener('change', save);
+      maxCallsInput.addEventListener('change', save);
+      refresh();
+
+      // 调用协议：全局默认 + 当前连接覆盖
+      const protocolOptions = () => [
+        el('option', { value: 'text', text: '仅文本标签 [CALL: ...]' }),
+        el('option', { value: 'native', text: '仅原生 tool calling' }),
+        el('option', { value: 'hybrid', text: '原生优先，文本兜底' }),
+      ];
+      const connectionKey = stApi.api.getConnectionKey?.() || 'unknown';
+      const defaultProtocolSelect = el('select', {}, protocolOptions());
+      defaultProtocolSelect.value = current.protocolMode;
+      defaultProtocolSelect.addEventListener('change', () => {
+        settingsStore.update({ protocolMode: defaultProtocolSelect.value });
+      });
+      const connProtocolSelect = el('select', {}, [el('option', { value: '', text: '跟随默认' }), ...protocolOptions()]);
+      connProtocolSelect.value = current.protocolModeByConnection[connectionKey] || '';
+      connProtocolSelect.addEventListener('change', () => {
+        settingsStore.setProtocolModeFor(connectionKey, connProtocolSelect.value);
+      });
+
+      const repeatPolicySelect = el('select', {}, [
+        el('option', { value: 'replay', text: '重放上次结果（不重新执行）' }),
+        el('option', { value: 'ask', text: '每次询问' }),
+      ]);
+      repeatPolicySelect.value = current.repeatPolicy;
+      repeatPolicySelect.addEventListener('change', () => {
+        settingsStore.update({ repeatPolicy: repeatPolicySelect.value });
+      });
+
+      // 调用标签显示：切换时立即重绘/还原当前聊天
+      const tagDisplaySelect = el('select', {}, [
+        el('option', { value: 'raw', text: '原样显示 [CALL: ...]' }),
+        el('option', { value: 'chip', text: '显示为可折叠的调用卡片' }),
+      ]);
+      tagDisplaySelect.value = current.tagDisplay;
+      tagDisplaySelect.addEventListener('change', () => {
+        const next = settingsStore.update({ tagDisplay: tagDisplaySelect.value });
+        if (next.tagDisplay === 'chip') tagView.renderAll();
+        else tagView.restoreAll();
+      });
+      const stripTagsBox = el('input', { type: 'checkbox' });
+      stripTagsBox.checked = current.stripTagsInPrompt;
+      stripTagsBox.addEventListener('change', () => {
+        settingsStore.update({ stripTagsInPrompt: stripTagsBox.checked });
+      });
+      // 流式检测：只在下一次生成开始时生效
+      const streamStopBox = el('input', { type: 'checkbox' });
+      streamStopBox.checked = current.stopOnStreamedCall;
+      streamStopBox.addEventListener('change', () => {
+        settingsStore.update({ stopOnStreamedCall: streamStopBox.checked });
+      });
+
+      const maxResultInput = el('input', {
+        type: 'number',
+        min: '0',
+        step: '500',
+        value: String(current.maxResultChars),
+      });
+      maxResultInput.addEventListener('change', () => {
+        const next = settingsStore.update({ maxResultChars: maxResultInput.value });
+        maxResultInput.value = String(next.maxResultChars);
+      });
+
+      const timeoutInput = el('input', {
+        type: 'number',
+        min: '0',
+        step: '1000',
+        value: String(current.defaultTimeoutMs),
+      });
+      timeoutInput.addEventListener('change', () => {
+        const next = settingsStore.update({ defaultTimeoutMs: timeoutInput.value });
+        timeoutInput.value = String(next.defaultTimeoutMs);
+      });
+
+      // 熔断阈值
+      const numberSetting = (key, attrs = {}) => {
+        const input = el('input', { type: 'number', min: '1', ...attrs, value: String(current[key]) });
+        input.addEventListener('change', () => {
+          const next = settingsStore.update({ [key]: input.value });
+          input.value = String(next[key]);
+        });
+        return input;
+      };
+      const breakerWindowInput = numberSetting('breakerWindowMs', { step: '1000' });
+      const breakerMaxInput = numberSetting('breakerMaxCalls');
+      const repeatInput = numberSetting('maxRepeatSameCall');
+      const depthInput = numberSetting('maxDepthPerTurn');
+      const promptBudgetInput = numberSetting('promptTokenBudget', { min: '0', step: '100' });
+      const scanDepthInput = numberSetting('keywordScanDepth');
+      const maxExamplesInput = numberSetting('maxPromptExamples', { min: '0' });
+
+      // 确认门：哪些风险等级需要用户确认
+      const riskCheckbox = (risk) => {
+        const box = el('input', { type: 'checkbox' });
+        box.checked = current.confirmRisks.includes(risk);
+        box.addEventListener('change', () => {
+          const set = new Set(settingsStore.get().confirmRisks);
+          if (box.checked) set.add(risk);
+          else set.delete(risk);
+          settingsStore.update({ confirmRisks: [...set] });
+        });
+        return box;
+      };
+      const riskLabels = { low: '只读(low)', write: '写入(write)', network: '联网(network)' };
+      const confirmRow = el(
+        'div',
+        { class: 'st-agentskills-actions' },
+        [
+          el('span', { class: 'st-agentskills-help', text: '执行前需要确认：' }),
+          ...settingsStore.RISK_LEVELS.map((r) =>
+            el('label', {}, [riskCheckbox(r), el('span', { text: ` ${riskLabels[r]}` })]),
+          ),
+        ],
+      );
+
+      const breakerStatus = el('div', { class: 'st-agentskills-help', text: describeBreaker(breaker.status()) });
+      disposers.push(
+        breaker.subscribe((st) => {
+          breakerStatus.textContent = describeBreaker(st);
+          breakerStatus.classList.toggle('st-agentskills-danger', !!st.tripped);
+        }),
+      );
+      const resetBreakerBtn = el('button', {
+        text: '重置熔断',
+        onclick: () => {
+          breaker.reset();
+          ui.show({ title: '熔断已重置', level: 'info', timeoutMs: 1200 });
+        },
+      });
+
+      return el('div', {}, [
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '一条消息包含多个调用时' }), callModeSelect]),
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: 'N（最多执行个数）' }), maxCallsInput]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '调用协议（默认）' }), defaultProtocolSelect]),
+          el('div', { class: 'st-agentskills-field' }, [
+            el('label', {
+              // 原生调用依赖 ST 的函数调用（预设里需开启）；不可用时按文本标签处理
+              text: `调用协议（当前连接：${connectionKey}${nativeTools.available() ? '' : '；原生不可用，按文本处理'}）`,
+            }),
+            connProtocolSelect,
+          ]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '技能默认超时(ms，0=不限)' }), timeoutInput]),
+          el('div', { class: 'st-agentskills-field' }, [
+            el('label', { text: 'swipe/重新生成遇到已执行的调用（非幂等技能）' }),
+            repeatPolicySelect,
+          ]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '熔断窗口(ms)' }), breakerWindowInput]),
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '窗口内最多调用次数' }), breakerMaxInput]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '同一回合相同调用最多次数' }), repeatInput]),
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '同一回合最多调用轮数' }), depthInput]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [
+            el('label', { text: '单次结果最大字符数（0=不限，超出智能截断）' }),
+            maxResultInput,
+          ]),
+          el('div', { class: 'st-agentskills-field' }, [
+            el('label', { text: '提示词里最多注入几条技能示例（0=不注入）' }),
+            maxExamplesInput,
+          ]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [
+            el('label', { text: '技能列表 token 预算（0=不限，超出时低优先级技能先降级/省略）' }),
+            promptBudgetInput,
+          ]),
+          el('div', { class: 'st-agentskills-field' }, [
+            el('label', { text: '关键词触发：扫描最近几条消息' }),
+            scanDepthInput,
+          ]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '消息里的调用标签' }), tagDisplaySelect]),
+          el('div', { class: 'st-agentskills-field' }, [
+            el('label', {}, [stripTagsBox, el('span', { text: ' 发送给模型的历史消息里删除调用标签' })]),
+            el('label', {}, [
+              streamStopBox,
+              el('span', { text: ' 流式输出时调用标签一闭合就停止生成并立即执行' }),
+            ]),
+          ]),
+        ]),
+        confirmRow,
+        el('div', { class: 'st-agentskills-actions' }, [
+          el('span', { class: 'st-agentskills-help', text: '熔断状态：' }),
+          breakerStatus,
+          resetBreakerBtn,
+        ]),
+      ]);
+    };
+
+    // 提示词模板：全局 / 当前角色 / 当前预设三个作用域，编辑时实时预览当前聊天实际注入的内容
+    const renderPromptTemplates = () => {
+      const scopeSelect = el('select', {});
+      const systemBox = el('textarea', {});
+      const depthBox = el('textarea', {});
+      systemBox.style.minHeight = '180px';
+      const previewEl = el('pre', { class: 'st-agentskills-preview' });
+      const statusEl = el('div', { class: 'st-agentskills-help' });
+
+      // 当前作用域：'' = 全局，否则为 override key
+      const scopeKey = () => scopeSelect.value;
+
+      const loadScope = () => {
+        const current = settingsStore.get();
+        const key = scopeKey();
+        const stored = key ? current.promptTemplateOverrides[key] || {} : current.promptTemplates;
+        const defaults = promptBuilder.DEFAULT_TEMPLATES;
+        systemBox.value = stored.system || (key ? '' : defaults.system);
+        depthBox.value = stored.depthNote || (key ? '' : defaults.depthNote);
+        systemBox.placeholder = key ? '留空 = 沿用全局模板' : defaults.system;
+        depthBox.placeholder = key ? '留空 = 沿用全局模板' : defaults.depthNote;
+      };
+
+      const updatePreview = () => {
+        const draft = { system: systemBox.value, depthNote: depthBox.value };
+        const system = promptBuilder.buildSystemPrompt(draft);
+        const depth = promptBuilder.buildDepthNote(draft);
+        const tokens = promptBuilder.estimateTokens(system) + promptBuilder.estimateTokens(depth);
+        previewEl.textContent = system
+          ? `${system}\n\n----- 深度提醒 -----\n${depth}`
+          : '（当前聊天没有需要介绍给模型的技能）';
+        statusEl.textContent = `预览基于当前聊天；约 ${tokens} tokens（粗略估算）`;
+      };
+
+      const refresh = () => {
+        const { character, preset } = stApi.api.getPromptScopes?.() || {};
+        const previous = scopeKey();
+        scopeSelect.replaceChildren(
+          ...[
+            el('option', { value: '', text: '全局' }),
+            character && el('option', { value: character.key, text: `当前角色：${character.label}` }),
+            preset && el('option', { value: preset.key, text: `当前预设：${preset.label}` }),
+          ].filter(Boolean),
+        );
+        if ([...scopeSelect.options].some((o) => o.value === previous)) scopeSelect.value = previous;
+        loadScope();
+        renderFormatList();
+        updatePreview();
+      };
+
+      const save = () => {
+        const key = scopeKey();
+        const isDefault = (kind, box) => box.value.trim() === promptBuilder.DEFAULT_TEMPLATES[kind].trim();
+        const templates = {
+          // 全局模板与内置默认相同时存空字符串，以后内置默认更新时自动跟随
+          system: !key && isDefault('system', systemBox) ? '' : systemBox.value,
+          depthNote: !key && isDefault('depthNote', depthBox) ? '' : depthBox.value,
+        };
+        if (key) settingsStore.setTemplateOverride(key, templates);
+        else settingsStore.update({ promptTemplates: templates });
+        const scopeLabel = scopeSelect.selectedOptions[0]?.text || '';
+        ui.show({ title: '模板已保存', subtitle: scopeLabel, level: 'info', timeoutMs: 1200 });
+        updatePreview();
+      };
+
+      const reset = () => {
+        const key = scopeKey();
+        if (key) settingsStore.setTemplateOverride(key, null);
+        else settingsStore.update({ promptTemplates: { system: '', depthNote: '' } });
+        loadScope();
+        updatePreview();
+      };
+
+      scopeSelect.addEventListener('change', () => {
+        loadScope();
+        updatePreview();
+      });
+      let timer = null;
+      const schedulePreview = () => {
+        if (timer) window.clearTimeout(timer);
+        timer = window.setTimeout(updatePreview, 250);
+      };
+      systemBox.addEventListener('input', schedulePreview);
+      depthBox.addEventListener('input', schedulePreview);
+
+      // 注入位置：改动立即生效
+      const current = settingsStore.get();
+      const bindSetting = (input, key) => {
+        input.value = String(current[key]);
+        input.addEventListener('change', () => {
+          const next = settingsStore.update({ [key]: input.value });
+          input.value = String(next[key]);
+          refreshDepthInputs();
+        });
+        return input;
+      };
+      const systemPositionSelect = bindSetting(
+        el('select', {}, [
+          el('option', { value: 'end', text: '追加在最后' }),
+          el('option', { value: 'top', text: '最前面' }),
+          el('option', { value: 'before_history', text: '聊天记录之前' }),
+          el('option', { value: 'depth', text: '深度 N（倒数第 N 条消息之前）' }),
+        ]),
+        'systemPosition',
+      );
+      const systemDepthInput = bindSetting(el('input', { type: 'number', min: '0', step: '1' }), 'systemDepth');
+      const notePositionSelect = bindSetting(
+        el('select', {}, [
+          el('option', { value: 'append_user', text: '追加到最后一条用户消息末尾' }),
+          el('option', { value: 'depth', text: '单独一条消息，深度 N' }),
+        ]),
+        'depthNotePosition',
+      );
+      const noteDepthInput = bindSetting(el('input', { type: 'number', min: '0', step: '1' }), 'depthNoteDepth');
+      const noteRoleSelect = bindSetting(
+        el('select', {}, settingsStore.NOTE_ROLES.map((r) => el('option', { value: r, text: r }))),
+        'depthNoteRole',
+      );
+      const refreshDepthInputs = () => {
+        systemDepthInput.disabled = systemPositionSelect.value !== 'depth';
+        noteDepthInput.disabled = notePositionSelect.value !== 'depth';
+        noteRoleSelect.disabled = notePositionSelect.value !== 'depth';
+      };
+      refreshDepthInputs();
+
+      // 调用格式：识别器的启用与优先级（第一个会教给模型），可只改当前聊天
+      const formatScopeSelect = el('select', {}, [
+        el('option', { value: 'global', text: '全局' }),
+        el('option', { value: 'chat', text: '仅当前聊天' }),
+      ]);
+      const formatList = el('div', {});
+      const formatOrder = () => {
+        const known = new Set(parser.listRecognizers().map((r) => r.id));
+        const global = settingsStore.get().recognizers;
+        const ids = formatScopeSelect.value === 'chat' ? parser.chatRecognizerOrder() || global : global;
+        return ids.filter((id) => known.has(id));
+      };
+      const saveFormatOrder = (ids) => {
+        if (formatScopeSelect.value === 'chat') parser.setChatRecognizerOrder(ids);
+        else settingsStore.update({ recognizers: ids });
+        renderFormatList();
+        updatePreview();
+      };
+      const renderFormatList = () => {
+        const enabled = formatOrder();
+        const all = parser.listRecognizers();
+        // 已启用的按优先级在前，未启用的在后
+        const ordered = enabled
+          .map((id) => all.find((r) => r.id === id))
+          .concat(all.filter((r) => !enabled.includes(r.id)));
+        formatList.replaceChildren(
+          ...ordered.map((r) => {
+            const box = el('input', { type: 'checkbox' });
+            box.checked = enabled.includes(r.id);
+            box.addEventListener('change', () => {
+              const next = box.checked ? [...enabled, r.id] : enabled.filter((id) => id !== r.id);
+              if (!next.length) {
+                box.checked = true;
+                ui.show({ title: '至少保留一种调用格式', level: 'info', timeoutMs: 1600 });
+                return;
+              }
+              saveFormatOrder(next);
+            });
+            const index = enabled.indexOf(r.id);
+            const upBtn = el('button', {
+              text: '↑ 提前',
+              onclick: () => {
+                const next = [...enabled];
+                [next[index - 1], next[index]] = [next[index], next[index - 1]];
+                saveFormatOrder(next);
+              },
+            });
+            upBtn.disabled = index <= 0;
+            return el('div', { class: 'st-agentskills-actions' }, [
+              el('label', {}, [box, el('span', { class: 'st-agentskills-inline', text: ` ${r.label}` })]),
+              upBtn,
+            ]);
+          }),
+        );
+      };
+      formatScopeSelect.addEventListener('change', renderFormatList);
+      const resetChatFormatBtn = el('button', {
+        text: '本聊天改回全局设置',
+        onclick: () => {
+          parser.setChatRecognizerOrder(null);
+          renderFormatList();
+          updatePreview();
+        },
+      });
+
+      const node = el('div', {}, [
+        el('div', { class: 'st-agentskills-field' }, [
+          el('label', { text: '调用格式（勾选的都会识别；同一条消息按优先级取第一种识别出调用的格式，第一种会教给模型）' }),
+          el('div', { class: 'st-agentskills-actions' }, [formatScopeSelect, resetChatFormatBtn]),
+          formatList,
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '系统提示词位置' }), systemPositionSelect]),
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '深度 N（0=最后一条之后）' }), systemDepthInput]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '深度提醒位置' }), notePositionSelect]),
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '深度 N（0=最后一条之后）' }), noteDepthInput]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [
+            el('label', { text: '深度提醒的角色（文本补全 API 不区分角色）' }),
+            noteRoleSelect,
+          ]),
+        ]),
+        el('div', {
+          class: 'st-agentskills-help',
+          text:
+            '宏：{{skills}} 技能列表（受 token 预算限制）、{{skill_names}} 技能名、{{format}} 调用格式说明、' +
+            '{{format_short}} 一句话格式提醒、{{examples}} 示例调用；也支持 ST 自己的 {{char}}、{{user}} 等。' +
+            '角色覆盖优先于预设覆盖，留空的字段沿用全局。',
+        }),
+        el('div', { class: 'st-agentskills-field' }, [el('label', { text: '作用域' }), scopeSelect]),
+        el('div', { class: 'st-agentskills-field' }, [el('label', { text: '系统提示词模板' }), systemBox]),
+        el('div', { class: 'st-agentskills-field' }, [el('label', { text: '深度提醒模板' }), depthBox]),
+        el('div', { class: 'st-agentskills-actions' }, [
+          el('button', { text: '保存模板', onclick: save }),
+          el('button', { text: '恢复默认', onclick: reset }),
+        ]),
+        el('div', { class: 'st-agentskills-field' }, [el('label', { text: '实时预览' }), previewEl, statusEl]),
+      ]);
+
+      return { node, refresh };
+    };
+
+    // 顶部标签页：只切换 pane 的显示，不重建内容（表单草稿不丢）
+    const renderTabs = (tabs) => {
+      const bar = el('div', { class: 'st-agentskills-tabs' });
+      const select = (active) => {
+        for (const t of tabs) {
+          t.pane.style.display = t === active ? '' : 'none';
+          t.button.dataset.active = t === active ? 'true' : 'false';
+        }
+        try {
+          active.onShow?.();
+        } catch {}
+      };
+      for (const t of tabs) {
+        t.button = el('button', { text: t.label, onclick: () => select(t) });
+        bar.appendChild(t.button);
+      }
+      select(tabs[0]);
+      return bar;
+    };
+
+    const formatTime = (ts) => {
+      try {
+        return new Date(ts).toLocaleString();
+      } catch {
+        return safeString(ts);
+      }
+    };
+
+    const downloadText = (filename, text, mime) => {
+      try {
+        const url = URL.createObjectURL(new Blob([text], { type: mime }));
+        const a = el('a', { href: url, download: filename });
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return true;
+      } catch (err) {
+        safeConsole.warn('download failed', err);
+        return false;
+      }
+    };
+
+    // 调用历史：搜索/过滤/导出
+    const renderHistory = () => {
+      const OUTCOMES = [
+        'ok',
+        'error',
+        'timeout',
+        'cancelled',
+        'denied',
+        'vetoed',
+        'blocked',
+        'invalid',
+        'not_found',
+        'replayed',
+        'skipped',
+      ];
+
+      const queryInput = el('input', { placeholder: '搜索：技能名 / 参数 / 结果 / 错误 / 聊天 ID' });
+      const skillSelect = el('select', {}, [el('option', { value: '', text: '全部技能' })]);
+      const outcomeSelect = el('select', {}, [
+        el('option', { value: '', text: '全部结果' }),
+        ...OUTCOMES.map((o) => el('option', { value: o, text: o })),
+      ]);
+      const listEl = el('div', { class: 'st-agentskills-skilllist' });
+      let lastRecords = [];
+
+      const currentFilter = () => ({
+        query: queryInput.value,
+        skill: skillSelect.value,
+        outcome: outcomeSelect.value,
+      });
+
+      const renderRows = (records) => {
+        listEl.innerHTML = '';
+        if (!records.length) {
+          listEl.appendChild(el('div', { class: 'st-agentskills-help', text: '没有匹配的调用记录。' }));
+          return;
+        }
+        for (const r of records) {
+          const details = el('pre', {
+            class: 'st-agentskills-preview',
+            text: safeJsonStringify(r),
+          });
+          details.style.display = 'none';
+          const meta = el('div', { class: 'st-agentskills-skillmeta' }, [
+            el('div', { class: 'st-agentskills-skillname' }, [
+              el('span', { text: r.skill || '(unknown)' }),
+              el('span', { text: ' ' }),
+              el('span', {
+                class: 'st-agentskills-pill',
+                'data-kind': r.outcome === 'ok' ? 'enabled' : 'disabled',
+                text: r.outcome,
+              }),
+            ]),
+            el('div', {
+              class: 'st-agentskills-skilldesc',
+              text: [
+                formatTime(r.ts),
+                `${r.durationMs}ms`,
+                r.attempts > 1 ? `${r.attempts} attempts` : '',
+                r.source,
+                r.chatId,
+              ]
+                .filter(Boolean)
+                .join(' · '),
+            }),
+            details,
+          ]);
+          const toggle = el('button', {
+            text: '详情',
+            onclick: () => {
+              details.style.display = details.style.display === 'none' ? '' : 'none';
+            },
+          });
+          listEl.appendChild(
+            el('div', { class: 'st-agentskills-skillitem' }, [
+              meta,
+              el('div', { class: 'st-agentskills-skillcontrols' }, [toggle]),
+            ]),
+          );
+        }
+      };
+
+      const refresh = async () => {
+        lastRecords = await callLog.list(currentFilter());
+        // 技能下拉：保留当前选择，补齐出现过的技能名
+        const all = await callLog.list({ limit: 2000 });
+        const names = [...new Set(all.map((r) => r.skill).filter(Boolean))].sort();
+        const selected = skillSelect.value;
+        skillSelect.innerHTML = '';
+        skillSelect.appendChild(el('option', { value: '', text: '全部技能' }));
+        for (const n of names) skillSelect.appendChild(el('option', { value: n, text: n }));
+        skillSelect.value = names.includes(selected) ? selected : '';
+        renderRows(lastRecords);
+      };
+
+      queryInput.addEventListener('input', () => refresh());
+      skillSelect.addEventListener('change', () => refresh());
+      outcomeSelect.addEventListener('change', () => refresh());
+
+      const stamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+      const actionsRow = el('div', { class: 'st-agentskills-actions' }, [
+        el('button', { text: '刷新', onclick: () => refresh() }),
+        el('button', {
+          text: '导出 JSON',
+          onclick: () =>
+            downloadText(`st-agentskills-history-${stamp()}.json`, callLog.toJson(lastRecords), 'application/json'),
+        }),
+        el('button', {
+          text: '导出 CSV',
+          onclick: () => downloadText(`st-agentskills-history-${stamp()}.csv`, callLog.toCsv(lastRecords), 'text/csv'),
+        }),
+        el('button', {
+          text: '清空历史',
+          onclick: async () => {
+            const ok = window.confirm?.('确定清空全部调用历史吗？') ?? true;
+            if (!ok) return;
+            await callLog.clear();
+            refresh();
+          },
+        }),
+      ]);
+
+      const node = el('div', {}, [
+        el('div', {
+          class: 'st-agentskills-help',
+          text: '每次技能调用都会记录在浏览器本地（IndexedDB，最多保留 2000 条）。导出只包含当前筛选结果。',
+        }),
+        el('div', { class: 'st-agentskills-field' }, [el('label', { text: '搜索' }), queryInput]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '技能' }), skillSelect]),
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '结果' }), outcomeSelect]),
+        ]),
+        actionsRow,
+        listEl,
+      ]);
+      return { node, refresh };
+    };
+
     const open = () => {
       if (modalEl) return;
 
@@ -737,9 +2997,10 @@
         html:
           [
             '这里创建的技能会保存到浏览器本地（localStorage），无需改代码即可生效。',
-            '模型调用格式：<span class="st-agentskills-inline">[CALL: skill_name({..})]</span>',
+            '模型调用格式：<span class="st-agentskills-inline">[CALL: skill_name({..})]</span>（一条消息可包含多个，按顺序执行）',
             '',
-            '<span class="st-agentskills-danger">注意：</span>“JS 脚本”类型等同执行自定义代码，仅建议创作者自用/自担风险。',
+            '<span class="st-agentskills-danger">注意：</span>“JS 脚本”默认在沙箱中运行（独立的不透明源：无法访问页面/Cookie/localStorage，只能通过 helpers.safeFetch 不带凭据地请求其它站点，超时强制终止）；改为“页面内运行”等同执行任意代码，仅对自己写的技能开启。',
+            '从 JSON 导入的技能一律重置为沙箱运行。',
           ].join('<br/>'),
       });
 
@@ -763,13 +3024,116 @@
           el('option', { value: 'static', text: '静态/模板（最简单）' }),
           el('option', { value: 'js', text: 'JS 脚本（强大但危险）' }),
           el('option', { value: 'http', text: 'HTTP 请求（调用外部服务）' }),
+          el('option', { value: 'pipeline', text: '流水线（按顺序串联已有技能）' }),
         ],
       );
       typeSelect.value = draft.type;
 
+      const riskSelect = el(
+        'select',
+        {},
+        [
+          el('option', { value: '', text: '按类型自动（静态=low，JS=write，HTTP=network，流水线=各步骤中最高）' }),
+          el('option', { value: 'low', text: 'low：只读/无副作用' }),
+          el('option', { value: 'write', text: 'write：会修改数据' }),
+          el('option', { value: 'network', text: 'network：访问外部网络' }),
+        ],
+      );
+      riskSelect.value = draft.risk;
+
+      const resultModeSelect = el('select', {}, [
+        el('option', { value: 'visible', text: '可见的系统消息' }),
+        el('option', { value: 'hidden', text: '隐藏（只发给模型）' }),
+        el('option', { value: 'continue', text: '隐藏，并续写同一条回复' }),
+      ]);
+      resultModeSelect.value = draft.resultMode;
+      const autoContinueSelect = el('select', {}, [
+        el('option', { value: 'true', text: '是（让模型接着回复）' }),
+        el('option', { value: 'false', text: '否（结果只给用户看）' }),
+      ]);
+      autoContinueSelect.value = draft.autoContinue ? 'true' : 'false';
+
+      // 关键词：逗号/换行分隔（正则用 /.../i 形式）
+      const splitKeywords = (text) =>
+        safeString(text, '')
+          .split(/[,，\n]/)
+          .map((k) => k.trim())
+          .filter(Boolean);
+      const keywordsInput = el('input', { type: 'text', placeholder: '例如：天气, weather, /下雨|下雪/' });
+      keywordsInput.value = draft.keywords.join(', ');
+      const pinnedSelect = el('select', {}, [
+        el('option', { value: 'false', text: '否（按关键词与预算取舍）' }),
+        el('option', { value: 'true', text: '是（总是介绍给模型）' }),
+      ]);
+      pinnedSelect.value = draft.pinned ? 'true' : 'false';
+      const priorityInput = el('input', { type: 'number', step: '1', value: String(draft.priority) });
+      const concurrencyInput = el('input', { type: 'text', placeholder: 'serial / parallel / 锁分组名（如 worldbook）' });
+      concurrencyInput.value = draft.concurrency;
+
       const descBox = el('textarea', { placeholder: '写给模型看的说明：这个技能做什么、参数是什么。' });
       descBox.value = draft.description;
 
+      // 示例：JSON 数组 [{ "args": {...}, "result": ..., "note": "..." }]
+      const examplesToText = (list) => (list.length ? JSON.stringify(list, null, 2) : '');
+      const examplesBox = el('textarea', {
+        placeholder: '[{"args": {"name": "Alice"}, "result": "Hello, Alice", "note": "打招呼"}]',
+      });
+      examplesBox.value = examplesToText(draft.examples);
+      const parseExamples = () => {
+        const text = examplesBox.value.trim();
+        if (!text) return { ok: true, examples: [] };
+        try {
+          const parsed = JSON.parse(text);
+          if (!Array.isArray(parsed)) return { ok: false, error: '示例必须是 JSON 数组' };
+          return { ok: true, examples: registry.normalizeExamples(parsed) };
+        } catch (err) {
+          return { ok: false, error: `示例 JSON 解析失败：${safeString(err?.message ?? err)}` };
+        }
+      };
+      const examplesOutput = el('pre', { class: 'st-agentskills-preview' });
+      examplesOutput.style.display = 'none';
+
+      // 用示例参数逐条运行“已保存”的技能；缺少 result 的示例自动填入实际结果（需再点保存）
+      const testExamplesBtn = el('button', {
+        text: '测试示例',
+        onclick: async () => {
+          const name = safeString(nameInput.value, '').trim();
+          const parsed = parseExamples();
+          if (!parsed.ok) {
+            ui.show({ title: '示例有误', subtitle: parsed.error, level: 'error', timeoutMs: 2400 });
+            return;
+          }
+          if (!name || !registry.get(name)) {
+            ui.show({ title: '请先保存技能', subtitle: '测试使用已保存的版本', level: 'error', timeoutMs: 2000 });
+            return;
+          }
+          if (!parsed.examples.length) {
+            ui.show({ title: '没有示例', level: 'info', timeoutMs: 1200 });
+            return;
+          }
+          examplesOutput.style.display = '';
+          examplesOutput.textContent = '运行中…';
+          const lines = [];
+          let filled = 0;
+          for (const [i, example] of parsed.examples.entries()) {
+            // eslint-disable-next-line no-await-in-loop
+            const r = await engine.invoke(name, example.args);
+            const value = r.ok ? (r.data !== undefined ? r.data : r.display) : r.error;
+            lines.push(`#${i + 1} ${r.ok ? 'ok' : r.outcome}: ${safeJsonStringify(example.args)}`);
+            lines.push(`   -> ${safeString(typeof value === 'string' ? value : safeJsonStringify(value))}`);
+            if (r.ok && example.result === undefined && value !== undefined) {
+              example.result = value;
+              filled += 1;
+            }
+          }
+          if (filled) {
+            examplesBox.value = examplesToText(parsed.examples);
+            lines.push('', `已为 ${filled} 条缺少 result 的示例填入实际结果（记得点“新增/保存”）`);
+          }
+          examplesOutput.textContent = lines.join('\n');
+        },
+      });
+
       const staticBox = el('textarea', {
         placeholder: '返回内容。支持 {{key}} / {{json key}} 从参数里取值。例如：Hello, {{name}}',
       });
@@ -777,9 +3141,18 @@
 
       const jsBox = el('textarea', {
         placeholder:
-          '写“函数体”，可直接 return ...；可用变量：context(name,args,rawArgs)、helpers(sleep,renderTemplate,safeFetch)\n例如：return { ok:true, args };',
+          '写“函数体”，可直接 return ...；可用变量：context(name,args,rawArgs,signal)、helpers(sleep,renderTemplate,safeFetch)\n例如：return { ok:true, args };',
       });
       jsBox.value = draft.jsCode;
+      const trustedSelect = el(
+        'select',
+        {},
+        [
+          el('option', { value: 'false', text: '沙箱（推荐）' }),
+          el('option', { value: 'true', text: '页面内运行（受信任，完全权限）' }),
+        ],
+      );
+      trustedSelect.value = draft.trusted ? 'true' : 'false';
 
       const httpUrl = el('input', { placeholder: 'https://example.com/api', value: draft.http.url });
       const httpMethod = el(
@@ -799,12 +3172,56 @@
       );
       httpRespType.value = draft.http.responseType;
       const httpTimeout = el('input', { placeholder: '15000', value: String(draft.http.timeoutMs) });
+      const httpRetries = el('input', {
+        type: 'number',
+        min: '0',
+        max: '9',
+        placeholder: '自动',
+        value: String(draft.http.retries ?? ''),
+      });
+
+      // 流水线步骤：JSON 数组 [{ "id", "skill", "args", "onOk", "onError" }]
+      const stepsToText = (steps) => (steps.length ? JSON.stringify(steps, null, 2) : '');
+      const pipelineStepsBox = el('textarea', {
+        placeholder:
+          '[{"id": "w", "skill": "weather", "args": {"city": "{{args.city}}"}, "onError": "fallback"},\n' +
+          ' {"id": "fallback", "skill": "utils.echo", "args": {"text": "no weather"}}]',
+      });
+      pipelineStepsBox.value = stepsToText(draft.pipeline.steps);
+      const pipelineOutputBox = el('textarea', {
+        placeholder: '可选。例如：{{args.city}}：{{steps.w.data.temp}}°C；留空 = 回传各步结果的合集',
+      });
+      pipelineOutputBox.value = draft.pipeline.output;
+      const parsePipelineSteps = () => {
+        const text = pipelineStepsBox.value.trim();
+        if (!text) return { ok: true, steps: [] };
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch (err) {
+          return { ok: false, error: `步骤 JSON 解析失败：${safeString(err?.message ?? err)}` };
+        }
+        if (!Array.isArray(parsed)) return { ok: false, error: '步骤必须是 JSON 数组' };
+        const steps = creatorStore.normalizePipelineSteps(parsed);
+        if (steps.length !== parsed.length) return { ok: false, error: '每一步都必须填写 skill' };
+        const ids = new Set(steps.map((step) => step.id));
+        if (ids.size !== steps.length) return { ok: false, error: '步骤 id 不能重复' };
+        for (const step of steps) {
+          for (const target of [step.onOk, step.onError]) {
+            if (!['next', 'end', 'fail'].includes(target) && !ids.has(target)) {
+              return { ok: false, error: `步骤 ${step.id}：跳转目标 "${target}" 不存在` };
+            }
+          }
+        }
+        return { ok: true, steps };
+      };
 
       const sectionStatic = el('div', {}, [
         el('div', { class: 'st-agentskills-field' }, [el('label', { text: '输出（静态/模板）' }), staticBox]),
       ]);
       const sectionJs = el('div', {}, [
         el('div', { class: 'st-agentskills-field' }, [el('label', { text: 'JS 脚本（函数体）' }), jsBox]),
+        el('div', { class: 'st-agentskills-field' }, [el('label', { text: '运行环境' }), trustedSelect]),
       ]);
       const sectionHttp = el('div', {}, [
         el('div', { class: 'st-agentskills-row' }, [
@@ -819,6 +3236,26 @@
           el('div', { class: 'st-agentskills-field' }, [el('label', { text: '响应类型' }), httpRespType]),
           el('div', { class: 'st-agentskills-field' }, [el('label', { text: '超时(ms)' }), httpTimeout]),
         ]),
+        el('div', { class: 'st-agentskills-field' }, [
+          el('label', {
+            text: '失败重试次数（只在 429 / 5xx / 超时 / 网络错误时重试，间隔逐次加倍；留空 = 只有 GET 自动重试 2 次）',
+          }),
+          httpRetries,
+        ]),
+      ]);
+
+      const sectionPipeline = el('div', {}, [
+        el('div', { class: 'st-agentskills-field' }, [
+          el('label', { text: '步骤（JSON 数组，按顺序执行）' }),
+          pipelineStepsBox,
+          el('div', {
+            class: 'st-agentskills-help',
+            text:
+              '参数模板可用 {{args.x}}（流水线的入参）、{{prev.data}}（上一步结果）、{{steps.<id>.data}}；' +
+              '值只有一个 {{...}} 时保留原类型。onOk 默认 next，onError 默认 fail，也可填 end 或某一步的 id。',
+          }),
+        ]),
+        el('div', { class: 'st-agentskills-field' }, [el('label', { text: '回传结果模板' }), pipelineOutputBox]),
       ]);
 
       const refreshTypeVisibility = () => {
@@ -826,6 +3263,7 @@
         sectionStatic.style.display = t === 'static' ? '' : 'none';
         sectionJs.style.display = t === 'js' ? '' : 'none';
         sectionHttp.style.display = t === 'http' ? '' : 'none';
+        sectionPipeline.style.display = t === 'pipeline' ? '' : 'none';
       };
       typeSelect.addEventListener('change', refreshTypeVisibility);
       refreshTypeVisibility();
@@ -837,15 +3275,28 @@
         nameInput.value = s.name;
         enabledSelect.value = s.enabled ? 'true' : 'false';
         typeSelect.value = s.type;
+        riskSelect.value = s.risk || '';
+        resultModeSelect.value = s.resultMode || 'visible';
+        autoContinueSelect.value = s.autoContinue === false ? 'false' : 'true';
+        keywordsInput.value = (s.keywords || []).join(', ');
+        pinnedSelect.value = s.pinned ? 'true' : 'false';
+        priorityInput.value = String(s.priority ?? 0);
+        concurrencyInput.value = s.concurrency || 'serial';
         descBox.value = s.description || '';
+        examplesBox.value = examplesToText(s.examples || []);
+        examplesOutput.style.display = 'none';
         staticBox.value = s.staticText || '';
         jsBox.value = s.jsCode || '';
+        trustedSelect.value = s.trusted ? 'true' : 'false';
         httpUrl.value = s.http?.url || '';
         httpMethod.value = s.http?.method || 'POST';
         httpHeaders.value = s.http?.headersJson || '{"Content-Type":"application/json"}';
         httpBody.value = s.http?.bodyJson || '{"args": {{json args}} }';
         httpRespType.value = s.http?.responseType || 'json';
         httpTimeout.value = String(s.http?.timeoutMs ?? 15000);
+        httpRetries.value = String(s.http?.retries ?? '');
+        pipelineStepsBox.value = stepsToText(s.pipeline?.steps || []);
+        pipelineOutputBox.value = s.pipeline?.output || '';
         refreshTypeVisibility();
       };
 
@@ -854,13 +3305,32 @@
       const saveBtn = el('button', {
         text: '新增/保存',
         onclick: () => {
+          const parsedExamples = parseExamples();
+          if (!parsedExamples.ok) {
+            ui.show({ title: '保存失败', subtitle: parsedExamples.error, level: 'error', timeoutMs: 2400 });
+            return;
+          }
+          const parsedSteps = parsePipelineSteps();
+          if (!parsedSteps.ok) {
+            ui.show({ title: '保存失败', subtitle: parsedSteps.error, level: 'error', timeoutMs: 2400 });
+            return;
+          }
           const next = {
             name: safeString(nameInput.value, '').trim(),
             description: safeString(descBox.value, '').trim(),
             enabled: enabledSelect.value === 'true',
             type: typeSelect.value,
+            risk: riskSelect.value,
+            resultMode: resultModeSelect.value,
+            autoContinue: autoContinueSelect.value === 'true',
+            keywords: splitKeywords(keywordsInput.value),
+            pinned: pinnedSelect.value === 'true',
+            priority: Number(priorityInput.value) || 0,
+            concurrency: safeString(concurrencyInput.value, ''),
+            examples: parsedExamples.examples,
             staticText: safeString(staticBox.value, ''),
             jsCode: safeString(jsBox.value, ''),
+            trusted: trustedSelect.value === 'true',
             http: {
               url: safeString(httpUrl.value, ''),
               method: safeString(httpMethod.value, 'POST'),
@@ -868,6 +3338,11 @@
               bodyJson: safeString(httpBody.value, ''),
               responseType: safeString(httpRespType.value, 'json'),
               timeoutMs: Number(httpTimeout.value) || 15000,
+              retries: httpRetries.value.trim() === '' ? null : Number(httpRetries.value),
+            },
+            pipeline: {
+              steps: parsedSteps.steps,
+              output: safeString(pipelineOutputBox.value, ''),
             },
           };
 
@@ -897,15 +3372,28 @@
           nameInput.value = d.name;
           enabledSelect.value = 'true';
           typeSelect.value = d.type;
+          riskSelect.value = d.risk;
+          resultModeSelect.value = d.resultMode;
+          autoContinueSelect.value = d.autoContinue ? 'true' : 'false';
+          keywordsInput.value = d.keywords.join(', ');
+          pinnedSelect.value = d.pinned ? 'true' : 'false';
+          priorityInput.value = String(d.priority);
+          concurrencyInput.value = d.concurrency;
           descBox.value = d.description;
+          examplesBox.value = examplesToText(d.examples);
+          examplesOutput.style.display = 'none';
           staticBox.value = d.staticText;
           jsBox.value = d.jsCode;
+          trustedSelect.value = d.trusted ? 'true' : 'false';
           httpUrl.value = d.http.url;
           httpMethod.value = d.http.method;
           httpHeaders.value = d.http.headersJson;
           httpBody.value = d.http.bodyJson;
           httpRespType.value = d.http.responseType;
           httpTimeout.value = String(d.http.timeoutMs);
+          httpRetries.value = String(d.http.retries ?? '');
+          pipelineStepsBox.value = stepsToText(d.pipeline.steps);
+          pipelineOutputBox.value = d.pipeline.output;
           refreshTypeVisibility();
         },
       });
@@ -942,7 +3430,12 @@
             }
             // 清空注册表里同名技能的残留（保守起见只做一次全量重注册）
             creatorSkillRuntime.registerAll();
-            ui.show({ title: '导入完成', subtitle: `共 ${r.count} 条`, level: 'info', timeoutMs: 1800 });
+            ui.show({
+              title: '导入完成',
+              subtitle: `共 ${r.count} 条（JS 技能均在沙箱中运行）`,
+              level: 'info',
+              timeoutMs: 1800,
+            });
             renderSkillList(listWrap, onEdit);
           } catch (err) {
             ui.show({
@@ -966,11 +3459,37 @@
           el('div', { class: 'st-agentskills-field' }, [el('label', { text: '技能名（唯一 ID）' }), nameInput]),
           el('div', { class: 'st-agentskills-field' }, [el('label', { text: '启用状态' }), enabledSelect]),
         ]),
-        el('div', { class: 'st-agentskills-field' }, [el('label', { text: '类型' }), typeSelect]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '类型' }), typeSelect]),
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '风险等级（决定是否需要确认）' }), riskSelect]),
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '结果回传方式' }), resultModeSelect]),
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '回传后触发生成' }), autoContinueSelect]),
+        ]),
+        el('div', { class: 'st-agentskills-field' }, [
+          el('label', { text: '触发关键词（逗号分隔；最近聊天提到时才介绍给模型，留空=总是）' }),
+          keywordsInput,
+        ]),
+        el('div', { class: 'st-agentskills-row' }, [
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '常驻（pinned）' }), pinnedSelect]),
+          el('div', { class: 'st-agentskills-field' }, [el('label', { text: '优先级（越大越靠前）' }), priorityInput]),
+        ]),
+        el('div', { class: 'st-agentskills-field' }, [
+          el('label', { text: '并发（同一条消息里有多个调用时；只读技能可设 parallel，同名分组互斥）' }),
+          concurrencyInput,
+        ]),
         el('div', { class: 'st-agentskills-field' }, [el('label', { text: '描述（给模型看的）' }), descBox]),
+        el('div', { class: 'st-agentskills-field' }, [
+          el('label', { text: '示例调用（JSON 数组，可选；会注入提示词，帮模型写对参数）' }),
+          examplesBox,
+          el('div', { class: 'st-agentskills-actions' }, [testExamplesBtn]),
+          examplesOutput,
+        ]),
         sectionStatic,
         sectionJs,
         sectionHttp,
+        sectionPipeline,
       ]);
 
       const actions = el('div', { class: 'st-agentskills-actions' }, [
@@ -986,13 +3505,33 @@
         exportBoxEl,
       ]);
 
+      const skillsPane = el('div', {}, [
+        help,
+        fields,
+        actions,
+        exportField,
+        el('div', { class: 'st-agentskills-help', text: '已保存技能列表：' }),
+        listWrap,
+      ]);
+      const settingsPane = el('div', {}, [renderSettings()]);
+      const templates = renderPromptTemplates();
+      const templatesPane = el('div', {}, [templates.node]);
+      const history = renderHistory();
+      const historyPane = el('div', {}, [history.node]);
+
       modalEl.appendChild(title);
-      modalEl.appendChild(help);
-      modalEl.appendChild(fields);
-      modalEl.appendChild(actions);
-      modalEl.appendChild(exportField);
-      modalEl.appendChild(el('div', { class: 'st-agentskills-help', text: '已保存技能列表：' }));
-      modalEl.appendChild(listWrap);
+      modalEl.appendChild(
+        renderTabs([
+          { label: '技能', pane: skillsPane },
+          { label: '设置', pane: settingsPane },
+          { label: '提示词', pane: templatesPane, onShow: () => templates.refresh() },
+          { label: '历史', pane: historyPane, onShow: () => history.refresh() },
+        ]),
+      );
+      modalEl.appendChild(skillsPane);
+      modalEl.appendChild(settingsPane);
+      modalEl.appendChild(templatesPane);
+      modalEl.appendChild(historyPane);
 
       document.body.appendChild(backdropEl);
       document.body.appendChild(modalEl);
@@ -1012,6 +3551,14 @@
           open();
         });
         document.body.appendChild(btn);
+
+        // 熔断状态直接体现在入口按钮上（不必打开面板）
+        breaker.subscribe((st) => {
+          try {
+            btn.dataset.breaker = st.tripped ? 'tripped' : 'ok';
+            btn.title = st.tripped ? `熔断已触发：${st.tripped.detail}（点击打开面板可重置）` : '';
+          } catch {}
+        });
       } catch (err) {
         safeConsole.warn('creator UI init failed (ignored)', err);
       }
@@ -1026,6 +3573,16 @@
       window.STAgentSkills = {};
     }
     window.STAgentSkills.register = registry.register;
+    window.STAgentSkills.registerWithDisposer = registry.registerWithDisposer;
+    window.STAgentSkills.unregister = (name) => registry.remove(safeString(name, '').trim());
+    window.STAgentSkills.list = registry.list;
+    window.STAgentSkills.get = registry.getInfo;
+    window.STAgentSkills.setEnabled = registry.setEnabled;
+    // engine / parser 在下方定义：调用时再解析
+    window.STAgentSkills.invoke = (name, args) => engine.invoke(name, args);
+    window.STAgentSkills.registerRecognizer = (def) => parser.registerRecognizer(def);
+    window.STAgentSkills.on = events.on;
+    window.STAgentSkills.off = events.off;
     window.STAgentSkills.version = EXT_VERSION;
   } catch (err) {
     // 即使 window 被限制/不可写，也不能让扩展崩溃
@@ -1037,314 +3594,2747 @@
   // -----------------------------
 
   const promptBuilder = (() => {
-    const buildSystemPrompt = () => {
-      const enabled = registry.listEnabled();
-      if (!enabled.length) return '';
-
-      const lines = [];
-      lines.push('You can call external skills via a strict text tag.');
-      lines.push('When needed, output EXACTLY one call tag in this format:');
-      lines.push('[CALL: skill_name({...json args...})]');
-      lines.push('');
-      lines.push('Available skills:');
-      for (const s of enabled) {
-        lines.push(`- ${s.name}: ${s.description}`);
-      }
-      lines.push('');
-      lines.push('Rules:');
-      lines.push('- Only output the call tag when you need a skill.');
-      lines.push('- Use JSON args when possible.');
-      lines.push('- After you receive a system message with the result, continue normally.');
-      return lines.join('\n');
+    // 粗略的 token 估算（不依赖具体分词器）：CJK 字符按 1 个/字，其它按 4 字符/个
+    const estimateTokens = (text) => {
+      const str = safeString(text, '');
+      const cjk = (str.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+      return cjk + Math.ceil((str.length - cjk) / 4);
     };
 
-    // 深度注入兜底：
-    // 许多反代/服务端会弱化甚至剥离 System Prompt，因此额外在“最深处”（尽量靠近最后一条用户消息）
-    // 注入一段紧凑提醒，以提高稳定性。
-    const buildDepthNote = () => {
-      const enabled = registry.listEnabled();
-      if (!enabled.length) return '';
+    // 关键词：普通文本按不区分大小写的子串匹配；"/.../flags" 按正则（非法正则退回普通文本）
+    const matchesKeyword = (keyword, text, lower) => {
+      const m = /^\/(.+)\/([a-z]*)$/i.exec(keyword);
+      if (m) {
+        try {
+          return new RegExp(m[1], m[2].replace(/[gy]/g, '')).test(text);
+        } catch {
+          // 继续按普通文本匹配
+        }
+      }
+      return lower.includes(keyword.toLowerCase());
+    };
 
-      const names = enabled.map((s) => s.name).slice(0, 24).join(', ');
-      return `Author's Note (tool calling): If you need a skill, output a single tag like [CALL: skill_name({...})]. Skills: ${names}`;
+    // 最近几条聊天（用户与角色消息；跳过系统消息和本扩展自己插入的结果）
+    const recentChatText = () => {
+      const chat = stApi.api.getContext?.()?.chat;
+      if (!Array.isArray(chat)) return '';
+      const depth = settingsStore.get().keywordScanDepth;
+      return chat
+        .filter((m) => m && !m.is_system && !m.extra?.[EXT_ID])
+        .slice(-depth)
+        .map((m) => safeString(m.mes, ''))
+        .join('\n');
     };
 
-    return { buildSystemPrompt, buildDepthNote };
+    // 本次请求要介绍给模型的技能：pinned 与未设关键词的技能总在候选里，其余按最近聊天触发；
+    // 排序：pinned 在前，其次 priority 从高到低，同级保持注册顺序
+    const relevantSkills = () => {
+      const enabled = registry.listEnabled();
+      const needsScan = enabled.some((s) => !s.pinned && s.keywords.length);
+      const text = needsScan ? recentChatText() : '';
+      const lower = text.toLowerCase();
+      return enabled
+        .filter((s) => s.pinned || !s.keywords.length || s.keywords.some((k) => matchesKeyword(k, text, lower)))
+        .map((s, i) => ({ s, i }))
+        .sort((x, y) => Number(y.s.pinned) - Number(x.s.pinned) || y.s.priority - x.s.priority || x.i - y.i)
+        .map((x) => x.s);
+    };
+
+    const compactJson = (value) => {
+      try {
+        return JSON.stringify(value) ?? safeString(value, '');
+      } catch {
+        return safeString(value, '');
+      }
+    };
+
+    // 用当前优先级最高的调用格式写一个调用（示例列表用单行写法）
+    const renderCall = (name, argsText, { inline = false } = {}) => {
+      const recognizer = parser.primaryRecognizer();
+      const render = (inline && recognizer.renderInline) || recognizer.render;
+      return safeString(render(name, argsText), '');
+    };
+
+    // 一条示例：[CALL: name({...})] -> 结果  (说明)
+    const exampleLine = (s, example) => {
+      let line = renderCall(s.name, compactJson(example.args), { inline: true });
+      if (example.result !== undefined) {
+        const result = typeof example.result === 'string' ? example.result : compactJson(example.result);
+        line += ` -> ${result.length > 160 ? `${result.slice(0, 159)}…` : result}`;
+      }
+      return example.note ? `${line}  (${example.note})` : line;
+    };
+
+    // exampleCount：带上前几条示例（受全局示例上限约束）
+    const describeFull = (s, exampleCount = 0) => {
+      const lines = [`- ${s.name}: ${s.description}`];
+      if (s.parameters) {
+        const argLines = paramSchema.describeLines(s.parameters);
+        if (argLines.length) {
+          lines.push('  args:');
+          for (const l of argLines) lines.push(`    - ${l}`);
+        }
+      }
+      if (exampleCount > 0) {
+        lines.push('  examples:');
+        for (const e of s.examples.slice(0, exampleCount)) lines.push(`    - ${exampleLine(s, e)}`);
+      }
+      return lines.join('\n');
+    };
+
+    // 降级形式：只保留描述的第一句（最多 80 字符），不列参数
+    const describeCompact = (s) => {
+      const first = safeString(s.description, '').split(/(?<=[.!?。！？])\s*|\n/)[0] || '';
+      return `- ${s.name}: ${first.length > 80 ? `${first.slice(0, 79)}…` : first}`;
+    };
+
+    // 在预算内挑选技能条目：按顺序尽量给完整说明（带示例 → 不带示例），放不下就降级为一行，再放不下就省略。
+    // pinned 技能总是给完整说明（可能超出预算）；示例总数不超过 maxPromptExamples
+    const planEntries = (fixedTokens) => {
+      const { promptTokenBudget: budget, maxPromptExamples } = settingsStore.get();
+      const entries = [];
+      let used = fixedTokens;
+      let omitted = 0;
+      let examplesLeft = maxPromptExamples;
+      for (const s of relevantSkills()) {
+        const n = Math.min(examplesLeft, s.examples.length);
+        const variants = [{ text: describeFull(s, n), examples: n }];
+        if (n) variants.push({ text: describeFull(s, 0), examples: 0 });
+        variants.push({ text: describeCompact(s), examples: 0 });
+        for (const v of variants) v.cost = estimateTokens(v.text);
+
+        const pick = !budget || s.pinned ? variants[0] : variants.find((v) => used + v.cost <= budget);
+        if (!pick) {
+          omitted += 1;
+          continue;
+        }
+        entries.push({ skill: s, text: pick.text });
+        used += pick.cost;
+        examplesLeft -= pick.examples;
+      }
+      return { entries, omitted, tokens: used };
+    };
+
+    // 内置默认模板：与可编辑模板同一套宏。{{format}} / {{format_short}} 随“一条消息多个调用”的设置变化
+    const DEFAULT_TEMPLATES = Object.freeze({
+      system: [
+        'You can call external skills via a strict text tag.',
+        '{{format}}',
+        '',
+        'Available skills:',
+        '{{skills}}',
+        '',
+        'Rules:',
+        '- Only output the call tag when you need a skill.',
+        '- Use JSON args when possible, matching the listed args exactly.',
+        '- After you receive a system message with the result, continue normally.',
+      ].join('\n'),
+      depthNote: "Author's Note (tool calling): If you need a skill, {{format_short}}. Skills: {{skill_names}}",
+    });
+
+    const MACRO_RE = /\{\{\s*(skills|skill_names|format_short|format|examples)\s*\}\}/gi;
+
+    // 当前生效的模板：角色覆盖 > 预设覆盖 > 全局 > 内置默认（逐字段回退）
+    const resolveTemplate = (kind) => {
+      const { promptTemplates, promptTemplateOverrides } = settingsStore.get();
+      const { character, preset } = stApi.api.getPromptScopes?.() || {};
+      const candidates = [
+        character && promptTemplateOverrides[character.key]?.[kind],
+        preset && promptTemplateOverrides[preset.key]?.[kind],
+        promptTemplates[kind],
+      ];
+      return candidates.find((t) => safeString(t, '').trim()) || DEFAULT_TEMPLATES[kind];
+    };
+
+    const formatMacros = () => {
+      const { callMode, maxCallsPerMessage } = settingsStore.get();
+      let lead = '';
+      if (callMode === 'first') {
+        lead = 'When needed, output EXACTLY one call tag in this format:';
+      } else {
+        const limit = callMode === 'max' ? ` (at most ${maxCallsPerMessage})` : '';
+        lead = `When needed, output one or more call tags${limit} in this format; they run in order:`;
+      }
+      const how = callMode === 'first' ? 'a single tag' : 'a tag';
+      const { hint } = parser.primaryRecognizer();
+      return {
+        format: [lead, renderCall('skill_name', '{...json args...}'), hint].filter(Boolean).join('\n'),
+        format_short: `output ${how} like ${renderCall('skill_name', '{...}')}`,
+      };
+    };
+
+    // 参数示例值：enum 取第一个，其它按类型给占位值
+    const sampleValue = (schema) => {
+      if (Array.isArray(schema?.enum) && schema.enum.length) return schema.enum[0];
+      if (schema?.default !== undefined) return schema.default;
+      const type = Array.isArray(schema?.type) ? schema.type[0] : schema?.type;
+      if (type === 'number' || type === 'integer') return 1;
+      if (type === 'boolean') return true;
+      if (type === 'array') return [];
+      if (type === 'object') return {};
+      return '...';
+    };
+
+    // {{examples}}：一个示例调用。优先取技能声明的 examples，否则用第一个带参数的技能拼一个（只填必填参数）；
+    // 示例上限为 0 时不输出
+    const buildExamples = (entries) => {
+      if (!settingsStore.get().maxPromptExamples) return '';
+      const declared = entries.map((e) => e.skill).find((s) => s.examples.length);
+      if (declared) return `Example:\n${exampleLine(declared, declared.examples[0])}`;
+      const skill = entries.map((e) => e.skill).find((s) => s.parameters) || entries[0]?.skill;
+      if (!skill) return '';
+      const props = isPlainObject(skill.parameters?.properties) ? skill.parameters.properties : {};
+      const required = Array.isArray(skill.parameters?.required) ? skill.parameters.required : [];
+      const args = Object.fromEntries(required.filter((k) => k in props).map((k) => [k, sampleValue(props[k])]));
+      return `Example:\n${renderCall(skill.name, JSON.stringify(args))}`;
+    };
+
+    // 宏替换后再交给 ST 处理它自己的宏（{{char}}、{{user}} 等），最后折叠空宏留下的多余空行
+    const render = (template, macros) => {
+      let text = safeString(template, '').replace(MACRO_RE, (_, name) => macros[name.toLowerCase()] ?? '');
+      try {
+        const substitute = stApi.api.getContext?.()?.substituteParams;
+        if (typeof substitute === 'function') text = safeString(substitute(text), text);
+      } catch {
+        // 忽略：保留未替换的 ST 宏
+      }
+      return text.replace(/\n{3,}/g, '\n\n').trim();
+    };
+
+    // 固定部分（模板里除技能条目以外的文字）计入预算
+    const plan = (template) => {
+      const base = formatMacros();
+      const fixed = safeString(template, '').replace(MACRO_RE, (_, name) => base[name.toLowerCase()] ?? '');
+      const planned = planEntries(estimateTokens(fixed));
+      const macros = {
+        ...base,
+        skills: planned.entries.map((e) => e.text).join('\n'),
+        skill_names: planned.entries.map((e) => e.skill.name).join(', '),
+        examples: buildExamples(planned.entries),
+      };
+      return { ...planned, macros };
+    };
+
+    // templates：可选，临时替换生效模板（设置面板的实时预览用）
+    const pickTemplate = (templates, kind) =>
+      safeString(templates?.[kind], '').trim() ? templates[kind] : resolveTemplate(kind);
+
+    const buildSystemPrompt = (templates = {}) => {
+      const template = pickTemplate(templates, 'system');
+      const { entries, omitted, macros } = plan(template);
+      if (!entries.length) return '';
+      if (omitted) safeConsole.debug(`Prompt budget: ${omitted} skill(s) omitted`);
+      return render(template, macros);
+    };
+
+    // 深度注入兜底：
+    // 许多反代/服务端会弱化甚至剥离 System Prompt，因此额外在“最深处”（尽量靠近最后一条用户消息）
+    // 注入一段紧凑提醒，以提高稳定性。技能名单与系统提示词里实际介绍的技能一致
+    const buildDepthNote = (templates = {}) => {
+      const { entries, macros } = plan(pickTemplate(templates, 'system'));
+      if (!entries.length) return '';
+      return render(pickTemplate(templates, 'depthNote'), macros);
+    };
+
+    return { buildSystemPrompt, buildDepthNote, relevantSkills, resolveTemplate, estimateTokens, DEFAULT_TEMPLATES };
+  })();
+
+  // -----------------------------
+  // 原生 tool calling 桥接（与文本标签协议并存）
+  // -----------------------------
+
+  const nativeTools = (() => {
+    // OpenAI 的函数名只允许 [a-zA-Z0-9_-]；技能名里常见的 "." 需要转义
+    const toToolName = (skillName) =>
+      safeString(skillName, '')
+        .replace(/\./g, '__')
+        .replace(/[^a-zA-Z0-9_-]/g, '_')
+        .slice(0, 64);
+
+    /**
+     * 原生调用走 ST 自己的 ToolManager（getContext().registerFunctionTool）：
+     * - ST 负责把 tools 写进发往后端的请求体、从响应里取出 tool_calls 并调用对应的 action
+     * - action 的返回文本由 ST 作为 role: 'tool' 消息（带 tool_call_id）写回聊天，并自动续写
+     * 取不到 ToolManager，或当前预设没开启函数调用时原生不可用：按文本协议处理（不会“导出了 tools 却没人执行”）
+     */
+    const toolApi = () => {
+      const ctx = stApi.api.getContext?.();
+      if (typeof ctx?.registerFunctionTool !== 'function') return null;
+      return {
+        register: (tool) => ctx.registerFunctionTool(tool),
+        unregister: (name) => ctx.unregisterFunctionTool?.(name),
+        supported: () => {
+          try {
+            return typeof ctx.isToolCallingSupported === 'function' ? ctx.isToolCallingSupported() !== false : true;
+          } catch {
+            return false;
+          }
+        },
+      };
+    };
+
+    const configuredMode = () => settingsStore.protocolModeFor(stApi.api.getConnectionKey?.() || 'unknown');
+
+    const available = () => Boolean(toolApi()?.supported());
+
+    // 实际生效的协议：原生不可用时退回文本
+    const currentMode = () => {
+      const mode = configuredMode();
+      return mode === 'text' || available() ? mode : 'text';
+    };
+
+    // 本次请求是否提供这个技能（ST 组装请求体时逐个询问）
+    const isOffered = (skillName) => {
+      try {
+        return currentMode() !== 'text' && promptBuilder.relevantSkills().some((s) => s.name === skillName);
+      } catch {
+        return false;
+      }
+    };
+
+    // ST 调用 action 时给的参数通常已是对象；解析失败时可能是原始字符串
+    const runTool = async (skillName, rawParams) => {
+      const rawArgs = typeof rawParams === 'string' ? rawParams : safeJsonStringify(rawParams ?? {});
+      const parsed = parser.parseArgs(rawArgs);
+      const call = { skillName, args: parsed.args, rawArgs: parsed.raw, rawTag: '', native: true };
+      return engine.runTool(call);
+    };
+
+    // 已登记到 ToolManager 的工具名
+    const registered = new Set();
+
+    // 把已启用技能同步到 ToolManager（每次生成开始前调用）：文本模式下全部撤下
+    const sync = () => {
+      const tools = toolApi();
+      if (!tools) return;
+      const wanted = new Map();
+      if (configuredMode() !== 'text') {
+        for (const s of registry.listEnabled()) wanted.set(toToolName(s.name), s);
+      }
+      for (const name of [...registered]) {
+        if (wanted.has(name)) continue;
+        try {
+          tools.unregister(name);
+        } catch (err) {
+          safeConsole.warn(`unregisterFunctionTool("${name}") failed (ignored)`, err);
+        }
+        registered.delete(name);
+      }
+      for (const [name, s] of wanted) {
+        try {
+          tools.register({
+            name,
+            displayName: s.name,
+            description: s.description || s.name,
+            parameters: s.parameters || { type: 'object', properties: {} },
+            action: (params) => runTool(s.name, params),
+            // 基座自己有执行中的提示，不要 ST 的“正在调用工具”提示
+            formatMessage: () => '',
+            shouldRegister: () => isOffered(s.name),
+          });
+          registered.add(name);
+        } catch (err) {
+          safeConsole.warn(`registerFunctionTool("${name}") failed (ignored)`, err);
+        }
+      }
+    };
+
+    return { currentMode, configuredMode, available, sync, toToolName };
+  })();
+
+  // 聊天记录里 index 之后还有几条会进 prompt 的消息（系统消息不进 prompt）
+  const promptDepthAfter = (index) => {
+    const chat = stApi.api.getContext?.()?.chat;
+    if (!Array.isArray(chat) || index < 0) return 0;
+    return chat.slice(index + 1).filter((m) => m && !m.is_system).length;
+  };
+
+  // 聊天记录第 index 条消息在 data.messages 里的下标：从后往前按原文匹配（去掉调用标签后的第一行）；
+  // 匹配不到（被改写或裁掉）时返回 -1
+  const messagePositionOf = (messages, index) => {
+    const message = stApi.api.getContext?.()?.chat?.[index];
+    const firstLine = (text) =>
+      safeString(text, '')
+        .split('\n')
+        .map((l) => l.trim())
+        .find(Boolean) || '';
+    const snippet = (firstLine(parser.stripTags(message?.mes)) || firstLine(message?.mes)).slice(0, 80);
+    if (!snippet) return -1;
+    for (let i = messages.length - 1; i >= 0; i -= 1) {
+      const content = messages[i]?.content;
+      if (typeof content === 'string' && content.includes(snippet)) return i;
+    }
+    return -1;
+  };
+
+  // 隐藏结果按所属消息的位置插入：after = 那条消息之后，before = 之前（续写时被续写的回复保持在最后）
+  const injectHiddenResults = (data) => {
+    const entries = hiddenResults.active();
+    if (!entries.length) return;
+
+    if (Array.isArray(data?.messages)) {
+      const messages = data.messages;
+      const blocks = entries.map((e) => {
+        const found = e.index < 0 ? -1 : messagePositionOf(messages, e.index);
+        const depth = promptDepthAfter(e.index) + (e.placement === 'before' ? 1 : 0);
+        const at = found >= 0 ? found + (e.placement === 'before' ? 0 : 1) : messageIndexAt(messages, 'depth', depth);
+        return { at, content: e.text };
+      });
+      // 位置都按原数组计算，从后往前插入互不影响；同一位置保持记录顺序
+      blocks.sort((x, y) => x.at - y.at);
+      for (let i = blocks.length - 1; i >= 0; i -= 1) {
+        messages.splice(blocks[i].at, 0, { role: 'system', content: blocks[i].content });
+      }
+      return;
+    }
+
+    if (typeof data?.prompt === 'string') {
+      const blocks = entries.map((e) => {
+        const depth = promptDepthAfter(e.index) + (e.placement === 'before' ? 1 : 0);
+        return { at: textOffsetAt(data.prompt, 'depth', depth), content: e.text };
+      });
+      data.prompt = spliceText(data.prompt, blocks);
+    }
+  };
+
+  // 删除历史里模型写过的调用标签：
+  // - Chat Completion：assistant 消息逐条清理
+  // - 文本补全：prompt 是一整段字符串，没有消息边界：把聊天记录里模型消息写过的原始标签文本从 prompt 中逐个删掉
+  const stripHistoryTags = (data) => {
+    if (Array.isArray(data?.messages)) {
+      for (const m of data.messages) {
+        if (m?.role === 'assistant' && typeof m.content === 'string') m.content = parser.stripTags(m.content);
+      }
+      return;
+    }
+    if (typeof data?.prompt !== 'string') return;
+    const chat = stApi.api.getContext?.()?.chat;
+    if (!Array.isArray(chat)) return;
+    const rawTags = new Set();
+    for (const m of chat) {
+      if (!m || m.is_user || typeof m.mes !== 'string') continue;
+      for (const t of parser.findTags(m.mes)) rawTags.add(t.call.rawTag);
+    }
+    let prompt = data.prompt;
+    for (const raw of rawTags) {
+      if (raw) prompt = prompt.split(raw).join('');
+    }
+    data.prompt = prompt;
+  };
+
+  const injectPrompt = (data) => {
+    // 历史消息里的调用标签：结果已经作为 System Message 在上下文里，标签本身只占 token、还可能诱导模型照抄
+    if (settingsStore.get().stripTagsInPrompt) {
+      try {
+        stripHistoryTags(data);
+      } catch (err) {
+        safeConsole.warn('Stripping call tags from the prompt failed (ignored)', err);
+      }
+    }
+
+    // 隐藏回传的技能结果：只发给模型，不出现在聊天里；每次请求（含后台生成、dry-run 预览）都注入，不会被消费掉
+    try {
+      injectHiddenResults(data);
+    } catch (err) {
+      safeConsole.warn('Hidden result injection failed (ignored)', err);
+    }
+
+    const mode = nativeTools.currentMode();
+
+    // 纯原生：tools 由 ST 的 ToolManager 写进请求体（见 nativeTools.sync），不再注入文本协议
+    if (mode === 'native') {
+      events.emit('prompt:injected', { mode, target: 'tools', systemPrompt: '', depthNote: '' });
+      return;
+    }
+
+    const systemPrompt = promptBuilder.buildSystemPrompt();
+    const depthNote = promptBuilder.buildDepthNote();
+    if (!systemPrompt && !depthNote) return;
+
+    const target = injectText(data, systemPrompt, depthNote);
+    if (target) events.emit('prompt:injected', { mode, target, systemPrompt, depthNote });
+  };
+
+  // 结构化 messages 的插入下标。depth 语义同 ST 作者注释：0 = 最后一条之后，1 = 最后一条之前……
+  const messageIndexAt = (messages, position, depth) => {
+    if (position === 'top') return 0;
+    if (position === 'before_history') {
+      const i = messages.findIndex((m) => m?.role !== 'system');
+      return i < 0 ? messages.length : i;
+    }
+    if (position === 'depth') return Math.max(0, messages.length - depth);
+    return messages.length;
+  };
+
+  // 文本补全的 prompt 没有消息边界：用聊天记录里最近几条消息的原文，在 prompt 里从后往前定位它们所在的行首。
+  // starts[0] = 最后一条消息的行首，依次往前；historyEnd = 最后一条消息之后的下一行行首（后面通常是生成前缀）
+  const locateChatLines = (prompt) => {
+    const starts = [];
+    let historyEnd = -1;
+    const chat = stApi.api.getContext?.()?.chat;
+    if (!Array.isArray(chat)) return { starts, historyEnd };
+
+    let cursor = prompt.length;
+    for (let i = chat.length - 1; i >= 0 && cursor > 0; i -= 1) {
+      const m = chat[i];
+      if (!m || m.is_system) continue;
+      const linesOf = (text) =>
+        safeString(text, '')
+          .split('\n')
+          .map((l) => l.trim())
+          .filter(Boolean);
+      let lines = linesOf(m.mes);
+      if (!lines.length) continue;
+      let at = prompt.lastIndexOf(lines[0].slice(0, 80), cursor - 1);
+      // 调用标签可能已从 prompt 里删掉（stripTagsInPrompt）：按删掉标签后的原文再找一次
+      if (at < 0) {
+        lines = linesOf(parser.stripTags(m.mes));
+        if (!lines.length) continue;
+        at = prompt.lastIndexOf(lines[0].slice(0, 80), cursor - 1);
+      }
+      // 找不到：更早的消息已被上下文长度裁掉（或被其它扩展改写），到此为止
+      if (at < 0) break;
+      if (historyEnd < 0) {
+        const tail = lines[lines.length - 1].slice(-80);
+        const tailAt = prompt.indexOf(tail, at);
+        const nl = tailAt < 0 ? -1 : prompt.indexOf('\n', tailAt + tail.length);
+        historyEnd = nl < 0 ? prompt.length : nl + 1;
+      }
+      cursor = prompt.lastIndexOf('\n', at - 1) + 1;
+      starts.push(cursor);
+    }
+    return { starts, historyEnd };
+  };
+
+  // 文本 prompt 的插入偏移（总在行首或两端）；定位不到聊天记录时退回末尾
+  const textOffsetAt = (prompt, position, depth) => {
+    if (position === 'top') return 0;
+    if (position === 'end') return prompt.length;
+    const { starts, historyEnd } = locateChatLines(prompt);
+    if (!starts.length) return prompt.length;
+    if (position === 'before_history') return starts[starts.length - 1];
+    if (depth === 0) return historyEnd;
+    return starts[Math.min(depth, starts.length) - 1];
+  };
+
+  // 把若干段文字插入文本 prompt（offset 均基于原文）；同一位置按传入顺序排列
+  const spliceText = (prompt, blocks) => {
+    let out = '';
+    let last = 0;
+    for (const b of [...blocks].sort((x, y) => x.at - y.at)) {
+      out += prompt.slice(last, b.at);
+      out = b.at >= prompt.length ? `${out.trimEnd()}\n\n${b.content}` : `${out}${b.content}\n`;
+      last = b.at;
+    }
+    return out + prompt.slice(last);
+  };
+
+  // 把文本协议写进 prompt；返回实际写入的字段名（未写入返回空字符串）
+  const injectText = (data, systemPrompt, depthNote) => {
+    const { systemPosition, systemDepth, depthNotePosition, depthNoteDepth, depthNoteRole } = settingsStore.get();
+
+    try {
+      // 优先路径：结构化 messages 数组
+      if (Array.isArray(data?.messages)) {
+        const messages = data.messages;
+        const blocks = [];
+        if (systemPrompt) {
+          const at = messageIndexAt(messages, systemPosition, systemDepth);
+          blocks.push({ at, role: 'system', content: systemPrompt });
+        }
+        if (depthNote && depthNotePosition === 'depth') {
+          const at = messageIndexAt(messages, 'depth', depthNoteDepth);
+          blocks.push({ at, role: depthNoteRole, content: depthNote });
+        }
+        // 位置都按原数组计算，从后往前插入互不影响；位置相同时系统块在前
+        blocks.sort((x, y) => x.at - y.at);
+        for (let i = blocks.length - 1; i >= 0; i -= 1) {
+          const { at, role, content } = blocks[i];
+          messages.splice(at, 0, { role, content });
+        }
+
+        // 深度注入（追加方式）：追加到最后一条 user 消息内容
+        if (depthNote && depthNotePosition === 'append_user') {
+          for (let i = messages.length - 1; i >= 0; i -= 1) {
+            const m = messages[i];
+            if (m && m.role === 'user' && typeof m.content === 'string') {
+              m.content = `${m.content}\n\n${depthNote}`.trim();
+              break;
+            }
+          }
+        }
+        return 'messages';
+      }
+
+      // 回退路径：单一 prompt 字符串（文本补全）；也兼容部分 fork / provider 的字段命名。
+      // 没有角色之分：深度提醒的 append_user 视为追加到末尾
+      for (const key of ['prompt', 'chat_completion_prompt', 'text']) {
+        if (typeof data?.[key] !== 'string' || !systemPrompt) continue;
+        const prompt = data[key];
+        const blocks = [{ at: textOffsetAt(prompt, systemPosition, systemDepth), content: systemPrompt }];
+        if (depthNote) {
+          const notePosition = depthNotePosition === 'depth' ? 'depth' : 'end';
+          blocks.push({ at: textOffsetAt(prompt, notePosition, depthNoteDepth), content: depthNote });
+        }
+        data[key] = spliceText(prompt, blocks);
+        return key;
+      }
+    } catch (err) {
+      safeConsole.warn('Prompt injection failed (ignored)', err);
+    }
+    return '';
+  };
+
+  // -----------------------------
+  // 解析器（强容错）
+  // -----------------------------
+
+  const parser = (() => {
+    /**
+     * 强容错调用格式：
+     * - 允许多余空格/换行
+     * - 能穿透 Markdown 包裹（如 **[CALL: ...]** 或 ```[CALL: ...]```）
+     * - 参数可选
+     * - 参数按“括号配对 + 引号感知”扫描：字符串里的 )、]、逗号不会截断参数
+     *
+     * 示例：
+     * [CALL: weather({"city":"Tokyo"})]
+     * [ CALL : weather ( city=Tokyo, days=3 ) ]
+     * [CALL: say({"text":"smile :)"})]
+     */
+    const HEAD_RE = /\[\s*CALL\s*:\s*([a-zA-Z0-9_.-]+)\s*/g;
+
+    const QUOTES = ['"', "'", '`'];
+    const CLOSER_OF = { '(': ')', '[': ']', '{': '}' };
+    const CLOSERS = [')', ']', '}'];
+
+    const isWs = (ch) => ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t' || ch === '\f' || ch === '\v';
+
+    const skipWs = (text, i) => {
+      let j = i;
+      while (j < text.length && isWs(text[j])) j += 1;
+      return j;
+    };
+
+    /**
+     * 从 text[start]（必须是开括号）开始扫描，返回与之配对的闭括号下标；失败返回 -1。
+     * - 引号（" ' `）内的一切都视为字面量，支持反斜杠转义
+     * - 不匹配的闭括号按字面量忽略（容忍模型的小错误）
+     */
+    const scanBalanced = (text, start) => {
+      const stack = [CLOSER_OF[text[start]]];
+      let quote = '';
+      for (let i = start + 1; i < text.length; i += 1) {
+        const ch = text[i];
+        if (quote) {
+          if (ch === '\\') i += 1;
+          else if (ch === quote) quote = '';
+          continue;
+        }
+        if (QUOTES.includes(ch)) {
+          quote = ch;
+        } else if (CLOSER_OF[ch]) {
+          stack.push(CLOSER_OF[ch]);
+        } else if (CLOSERS.includes(ch) && ch === stack[stack.length - 1]) {
+          stack.pop();
+          if (!stack.length) return i;
+        }
+      }
+      return -1;
+    };
+
+    // 按顶层分隔符切分（忽略引号/括号内部的分隔符）
+    const splitTopLevel = (text, sep = ',') => {
+      const parts = [];
+      const stack = [];
+      let quote = '';
+      let from = 0;
+      for (let i = 0; i < text.length; i += 1) {
+        const ch = text[i];
+        if (quote) {
+          if (ch === '\\') i += 1;
+          else if (ch === quote) quote = '';
+          continue;
+        }
+        if (QUOTES.includes(ch)) quote = ch;
+        else if (CLOSER_OF[ch]) stack.push(CLOSER_OF[ch]);
+        else if (CLOSERS.includes(ch) && ch === stack[stack.length - 1]) stack.pop();
+        else if (ch === sep && !stack.length) {
+          parts.push(text.slice(from, i));
+          from = i + 1;
+        }
+      }
+      parts.push(text.slice(from));
+      return parts;
+    };
+
+    const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+    // 读取一个引号字符串（text[start] 为引号），返回 { value, end }；end 为闭引号之后的位置
+    const readQuoted = (text, start) => {
+      const quote = text[start];
+      let out = '';
+      for (let i = start + 1; i < text.length; i += 1) {
+        const ch = text[i];
+        if (ch === quote) return { value: out, end: i + 1 };
+        if (ch !== '\\') {
+          out += ch;
+          continue;
+        }
+        const next = text[i + 1];
+        if (next === undefined) break;
+        i += 1;
+        if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) {
+          out += String.fromCharCode(parseInt(text.slice(i + 1, i + 5), 16));
+          i += 4;
+        } else if (next === '\n') {
+          // 行尾续行：忽略
+        } else {
+          out += ESCAPES[next] ?? next;
+        }
+      }
+      // 未闭合：把剩余部分当作字符串内容
+      return { value: out, end: text.length };
+    };
+
+    const BARE_WORDS = {
+      true: 'true',
+      false: 'false',
+      null: 'null',
+      True: 'true',
+      False: 'false',
+      None: 'null',
+      undefined: 'null',
+      NaN: 'null',
+      Infinity: 'null',
+    };
+
+    // 注释只在记号边界处开始（开头、空白或结构符之后），所以 http://x.com 里的 // 不是注释
+    const isCommentAt = (text, i) =>
+      text[i] === '/' && (text[i + 1] === '/' || text[i + 1] === '*') && (i === 0 || /[\s,{[}\]"'`]/.test(text[i - 1]));
+
+    const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/;
+
+    // 值位置上的裸值：读到下一个 , } ] 、换行或注释为止
+    const readBareValue = (text, start) => {
+      let i = start;
+      while (i < text.length && !',}]\n'.includes(text[i]) && !isCommentAt(text, i)) i += 1;
+      const raw = text.slice(start, i).trimEnd();
+      return { raw, end: start + raw.length };
+    };
+
+    const bareValueToJson = (raw) => {
+      const num = NUMBER_RE.exec(raw);
+      if (num && num[0].length === raw.length) {
+        const n = Number(raw);
+        return Number.isFinite(n) ? String(n) : 'null';
+      }
+      return BARE_WORDS[raw] ?? JSON.stringify(raw);
+    };
+
+    /**
+     * JSON5 风格修复：把“差不多是 JSON”的文本改写成严格 JSON 文本。
+     * - 单引号/反引号字符串、未加引号的 key、尾随逗号、注释
+     * - Python 风格 True/False/None
+     * - 值位置上未加引号的裸值整体按字符串处理（如 {mode: append}、{url: http://x.com}、{date: 2024-01-01}）
+     */
+    const repairJson = (text) => {
+      let out = '';
+      let i = 0;
+      // prev：上一个输出的非空白字符；containers：当前所在的 { / [ 栈（用来判断是否处于值位置）
+      let prev = '';
+      const containers = [];
+      const emit = (s) => {
+        out += s;
+        const t = s.trim();
+        if (t) prev = t[t.length - 1];
+      };
+      const dropTrailingComma = () => {
+        out = out.replace(/,\s*$/, '');
+      };
+      const inValuePosition = () =>
+        prev === ':' || (containers[containers.length - 1] === '[' && (prev === '[' || prev === ','));
+      while (i < text.length) {
+        const ch = text[i];
+        if (QUOTES.includes(ch)) {
+          const r = readQuoted(text, i);
+          emit(JSON.stringify(r.value));
+          i = r.end;
+        } else if (isCommentAt(text, i)) {
+          if (text[i + 1] === '/') {
+            const nl = text.indexOf('\n', i);
+            i = nl < 0 ? text.length : nl;
+          } else {
+            const endIdx = text.indexOf('*/', i + 2);
+            i = endIdx < 0 ? text.length : endIdx + 2;
+          }
+        } else if (ch === '{' || ch === '[') {
+          containers.push(ch);
+          emit(ch);
+          i += 1;
+        } else if (ch === '}' || ch === ']') {
+          containers.pop();
+          dropTrailingComma();
+          emit(ch);
+          i += 1;
+        } else if (!isWs(ch) && ch !== ',' && inValuePosition()) {
+          const r = readBareValue(text, i);
+          emit(bareValueToJson(r.raw));
+          i = r.end;
+        } else if (/[-+.\d]/.test(ch)) {
+          const m = NUMBER_RE.exec(text.slice(i));
+          if (m) {
+            const n = Number(m[0]);
+            emit(Number.isFinite(n) ? String(n) : 'null');
+            i += m[0].length;
+          } else {
+            emit(ch);
+            i += 1;
+          }
+        } else if (/[A-Za-z_$\u00C0-\uFFFF]/.test(ch)) {
+          const m = /^[A-Za-z_$\u00C0-\uFFFF][\w$\u00C0-\uFFFF.-]*/.exec(text.slice(i));
+          const word = m[0];
+          i += word.length;
+          const isKey = text[skipWs(text, i)] === ':';
+          if (isKey) emit(JSON.stringify(word));
+          else emit(BARE_WORDS[word] ?? JSON.stringify(word));
+        } else {
+          emit(ch);
+          i += 1;
+        }
+      }
+      return out;
+    };
+
+    const parseLooseJson = (text) => {
+      try {
+        return { ok: true, value: JSON.parse(text) };
+      } catch {
+        // 继续尝试修复
+      }
+      try {
+        return { ok: true, value: JSON.parse(repairJson(text)) };
+      } catch {
+        return { ok: false };
+      }
+    };
+
+    // key=value 中 value 的标量/结构推断
+    const parseLooseValue = (raw) => {
+      const val = raw.trim();
+      if (!val) return '';
+      if (QUOTES.includes(val[0])) {
+        const r = readQuoted(val, 0);
+        if (r.end >= val.length) return r.value;
+      }
+      if (val[0] === '{' || val[0] === '[') {
+        const r = parseLooseJson(val);
+        if (r.ok) return r.value;
+      }
+      if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(val)) return Number(val);
+      if (/^(true|false)$/i.test(val)) return /^true$/i.test(val);
+      if (/^(null|none)$/i.test(val)) return null;
+      return val;
+    };
+
+    const KV_KEY_RE = /^\s*["'`]?([A-Za-z_$\u00C0-\uFFFF][\w$\u00C0-\uFFFF.-]*)["'`]?\s*[=:]/;
+
+    const tryParseArgs = (raw) => {
+      const text = safeString(raw, '').trim();
+      if (!text) return { args: {}, raw: '' };
+
+      // 1）JSON（对象/数组/字符串），失败时做 JSON5 风格修复
+      const first = text[0];
+      const last = text[text.length - 1];
+      const looksJson =
+        (first === '{' && last === '}') ||
+        (first === '[' && last === ']') ||
+        (QUOTES.includes(first) && last === first);
+      if (looksJson) {
+        const r = parseLooseJson(text);
+        if (r.ok) return { args: r.value, raw: text };
+      }
+
+      // 2）key=value / key: value：a=1, b="x, y", c=[1,2], d={"k":1}
+      // 按顶层逗号切分（引号/括号内的逗号不切），解析不了的内容会保存在 _raw，避免信息丢失。
+      const obj = {};
+      let parsedAny = false;
+      for (const part of splitTopLevel(text)) {
+        if (!part.trim()) continue;
+        const m = KV_KEY_RE.exec(part);
+        if (!m) continue;
+        obj[m[1]] = parseLooseValue(part.slice(m[0].length));
+        parsedAny = true;
+      }
+
+      if (parsedAny) return { args: obj, raw: text };
+      return { args: { _raw: text }, raw: text };
+    };
+
+    /**
+     * 从 from 开始查找下一个完整的调用标签。
+     * 返回 { skillName, rawArgs, rawTag, start, end } 或 null。
+     */
+    const scanNextTag = (input, from) => {
+      HEAD_RE.lastIndex = from;
+      let head = HEAD_RE.exec(input);
+      while (head) {
+        const start = head.index;
+        const skillName = safeString(head[1], '').trim();
+        let i = head.index + head[0].length;
+        let rawArgs = '';
+        let ok = true;
+
+        if (input[i] === '(') {
+          const close = scanBalanced(input, i);
+          if (close >= 0) {
+            rawArgs = input.slice(i + 1, close);
+            i = close + 1;
+          } else {
+            // 兜底：括号/引号不配对（如 key=value 里的孤立撇号），退回到最近的 ")]"
+            const m = /\)\s*\]/.exec(input.slice(i));
+            if (m) {
+              rawArgs = input.slice(i + 1, i + m.index);
+              i += m.index + 1;
+            } else {
+              ok = false;
+            }
+          }
+        }
+
+        if (ok) {
+          i = skipWs(input, i);
+          if (input[i] === ']') {
+            return { skillName, rawArgs: rawArgs.trim(), rawTag: input.slice(start, i + 1), start, end: i + 1 };
+          }
+        }
+
+        HEAD_RE.lastIndex = start + 1;
+        head = HEAD_RE.exec(input);
+      }
+      return null;
+    };
+
+    // 结构化调用体（XML / 围栏 JSON 里的对象）→ { skillName, rawArgs }；不是调用则返回 null
+    const NAME_KEYS = ['name', 'tool', 'function', 'skill'];
+    const ARGS_KEYS = ['arguments', 'args', 'parameters', 'input'];
+    const fromCallObject = (value, { strict = false } = {}) => {
+      if (!isPlainObject(value)) return null;
+      // OpenAI 风格：{ function: { name, arguments } }
+      const obj = isPlainObject(value.function) ? value.function : value;
+      const nameKey = NAME_KEYS.find((k) => typeof obj[k] === 'string' && obj[k].trim());
+      if (!nameKey) return null;
+      const skillName = obj[nameKey].trim();
+      const argsKey = ARGS_KEYS.find((k) => obj[k] !== undefined);
+      // 严格模式（围栏 JSON）：普通数据里也常有 name 字段，只有 tool 字段、带参数字段或已注册的技能名才算调用
+      if (strict && nameKey !== 'tool' && !argsKey && !registry.get(skillName)) return null;
+      const args = argsKey ? obj[argsKey] : {};
+      return { skillName, rawArgs: typeof args === 'string' ? args : JSON.stringify(args) };
+    };
+
+    // 在 input 里从 from 开始找第一个能被 toMatch 接受的正则匹配
+    const scanWithRegex = (re, input, from, toMatch) => {
+      re.lastIndex = from;
+      let m = re.exec(input);
+      while (m) {
+        const tag = toMatch(m);
+        if (tag) return tag;
+        re.lastIndex = m.index + 1;
+        m = re.exec(input);
+      }
+      return null;
+    };
+
+    const XML_RE = /<(tool_call|function_call)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi;
+    const FENCE_RE = /```[ \t]*(?:json|tool_call|tool)?[ \t]*\r?\n([\s\S]*?)```/gi;
+    const FUNC_RE = /^[ \t]*([A-Za-z_][\w.-]*)[ \t]*(?=\()/gm;
+
+    /**
+     * 调用格式识别器（recognizer）：
+     * - scan(input, from) → { skillName, rawArgs, start, end } | null：从 from 开始找下一个调用
+     * - render(name, argsText)：用这种格式写一个调用（promptBuilder 用它教模型）
+     * - renderInline：可选，单行写法（示例列表用），默认同 render
+     * - hint：可选，附加在格式说明后的一句话
+     * - opener：可选，匹配调用开头的全局正则（流式检测据此只重新扫描可能还没闭合的部分）
+     */
+    const BUILTIN_RECOGNIZERS = [
+      {
+        id: 'call',
+        label: '[CALL: name(args)]',
+        scan: scanNextTag,
+        opener: /\[\s*CALL/g,
+        render: (name, args) => `[CALL: ${name}(${args})]`,
+      },
+      {
+        id: 'xml',
+        label: '<tool_call>{"name", "arguments"}</tool_call>',
+        scan: (input, from) =>
+          scanWithRegex(XML_RE, input, from, (m) => {
+            const body = m[2].trim().replace(/^```[a-z]*\s*|```$/gi, '');
+            const r = parseLooseJson(body.trim());
+            const call = r.ok ? fromCallObject(r.value) : null;
+            return call && { ...call, start: m.index, end: m.index + m[0].length };
+          }),
+        opener: /<(?:tool_call|function_call)\b/gi,
+        render: (name, args) => `<tool_call>{"name": "${name}", "arguments": ${args}}</tool_call>`,
+      },
+      {
+        id: 'json',
+        label: '```json {"tool", "args"} ```',
+        scan: (input, from) =>
+          scanWithRegex(FENCE_RE, input, from, (m) => {
+            const r = parseLooseJson(m[1].trim());
+            const call = r.ok ? fromCallObject(r.value, { strict: true }) : null;
+            return call && { ...call, start: m.index, end: m.index + m[0].length };
+          }),
+        opener: /```/g,
+        render: (name, args) => `\`\`\`json\n{"tool": "${name}", "args": ${args}}\n\`\`\``,
+        renderInline: (name, args) => `{"tool": "${name}", "args": ${args}}`,
+        hint: 'Use a separate fenced block for each call.',
+      },
+      {
+        id: 'func',
+        label: 'name(args)（单独一行）',
+        // 只认已注册的技能名，避免把正文里的普通函数调用当成技能
+        scan: (input, from) =>
+          scanWithRegex(FUNC_RE, input, from, (m) => {
+            const skillName = m[1];
+            if (!registry.get(skillName)) return null;
+            const open = m.index + m[0].length;
+            const close = scanBalanced(input, open);
+            if (close < 0) return null;
+            const rest = /^[ \t;]*(\r?\n|$)/.exec(input.slice(close + 1));
+            if (!rest) return null;
+            const start = m.index + m[0].search(/\S/);
+            return { skillName, rawArgs: input.slice(open + 1, close).trim(), start, end: close + 1 };
+          }),
+        // 行尾也算：流式时技能名可能才写了一半
+        opener: /^[ \t]*[A-Za-z_][\w.-]*[ \t]*(?:\(|$)/gm,
+        render: (name, args) => `${name}(${args})`,
+        hint: 'Put each call on its own line, with nothing else on that line.',
+      },
+    ];
+    const BUILTIN_IDS = BUILTIN_RECOGNIZERS.map((r) => r.id);
+
+    const recognizers = new Map(BUILTIN_RECOGNIZERS.map((r) => [r.id, r]));
+
+    // 外部扩展可以注册自己的识别器；返回 disposer。内置识别器不可覆盖
+    const registerRecognizer = (def) => {
+      try {
+        const id = safeString(def?.id, '').trim();
+        if (!id || typeof def.scan !== 'function' || typeof def.render !== 'function') {
+          safeConsole.warn('registerRecognizer() needs { id, scan(), render() }; ignored');
+          return () => false;
+        }
+        if (BUILTIN_IDS.includes(id)) {
+          safeConsole.warn('registerRecognizer(): built-in recognizer cannot be replaced:', id);
+          return () => false;
+        }
+        const entry = {
+          id,
+          label: safeString(def.label, '').trim() || id,
+          scan: def.scan,
+          render: def.render,
+          renderInline: typeof def.renderInline === 'function' ? def.renderInline : undefined,
+          hint: safeString(def.hint, '').trim(),
+          opener: def.opener instanceof RegExp ? def.opener : undefined,
+        };
+        recognizers.set(id, entry);
+        return () => recognizers.get(id) === entry && recognizers.delete(id);
+      } catch (err) {
+        safeConsole.error('registerRecognizer() failed (ignored)', err);
+        return () => false;
+      }
+    };
+
+    const listRecognizers = () => [...recognizers.values()].map((r) => ({ id: r.id, label: r.label }));
+
+    // 按聊天覆盖识别器顺序（未覆盖时没有这一项）
+    const chatOrder = metaSlot('recognizers');
+
+    // 当前聊天的识别器顺序；null = 未覆盖（使用全局设置）
+    const chatRecognizerOrder = () => {
+      try {
+        const ids = chatOrder().value;
+        return Array.isArray(ids) && ids.length ? ids.map((id) => safeString(id, '')).filter(Boolean) : null;
+      } catch {
+        return null;
+      }
+    };
+
+    const setChatRecognizerOrder = (ids) => {
+      try {
+        const list = Array.isArray(ids) ? [...new Set(ids.map((id) => safeString(id, '').trim()).filter(Boolean))] : [];
+        chatOrder().set(list.length ? list : undefined);
+        return true;
+      } catch (err) {
+        safeConsole.warn('保存本聊天的调用格式失败（忽略）', err);
+        return false;
+      }
+    };
+
+    // 当前生效的识别器（按优先级）；配置里的 id 都不可用时退回 [CALL: ...]
+    const activeRecognizers = () => {
+      const ids = chatRecognizerOrder() || settingsStore.get().recognizers;
+      const list = ids.map((id) => recognizers.get(id)).filter(Boolean);
+      return list.length ? list : [recognizers.get('call')];
+    };
+
+    // 教给模型的格式：优先级最高的识别器
+    const primaryRecognizer = () => activeRecognizers()[0];
+
+    // 单个识别器从 start 开始的全部匹配（识别器抛错时按“没有匹配”处理）
+    const scanAllWith = (recognizer, input, limit = 0, start = 0) => {
+      const out = [];
+      try {
+        let from = start;
+        let tag = recognizer.scan(input, from);
+        while (tag && Number.isFinite(tag.start) && tag.end > tag.start && tag.start >= from) {
+          out.push({ ...tag, rawTag: tag.rawTag ?? input.slice(tag.start, tag.end) });
+          if (limit > 0 && out.length >= limit) break;
+          from = tag.end;
+          tag = recognizer.scan(input, from);
+        }
+      } catch (err) {
+        safeConsole.warn(`Recognizer "${recognizer.id}" failed (ignored)`, err);
+      }
+      return out;
+    };
+
+    // 按优先级依次尝试：第一个识别出调用的识别器独占本条消息（避免同一段文字被两种格式重复识别）
+    const scanTags = (text, limit = 0, from = 0) => {
+      const input = safeString(text, '');
+      for (const recognizer of activeRecognizers()) {
+        const tags = scanAllWith(recognizer, input, limit, from);
+        if (tags.length) return tags;
+      }
+      return [];
+    };
+
+    const toCall = (tag) => {
+      const parsed = tryParseArgs(tag.rawArgs);
+      return {
+        skillName: safeString(tag.skillName, '').trim(),
+        args: parsed.args,
+        rawArgs: parsed.raw,
+        rawTag: tag.rawTag,
+      };
+    };
+
+    const extractFirstCall = (text) => {
+      const [tag] = scanTags(text, 1);
+      return tag ? toCall(tag) : null;
+    };
+
+    // 按出现顺序提取全部调用；limit 为最多提取个数（<= 0 表示不限）
+    const extractAllCalls = (text, limit = 0) => scanTags(text, Math.floor(Number(limit)) || 0).map(toCall);
+
+    // 按基座设置（first / all / max N）提取本条消息要执行的调用
+    const extractCalls = (text) => {
+      const { callMode, maxCallsPerMessage } = settingsStore.get();
+      let calls = [];
+      if (callMode === 'first') {
+        const first = extractFirstCall(text);
+        if (first) calls = [first];
+      } else {
+        calls = extractAllCalls(text, callMode === 'max' ? maxCallsPerMessage : 0);
+      }
+      return calls;
+    };
+
+    // 全部标签及其位置（不发事件、不受 first/max 设置影响）：用于显示替换与 prompt 清理。
+    // from：从这里开始找（位置仍按全文计算，行首等判断不受影响）
+    const findTags = (text, from = 0) =>
+      scanTags(text, 0, from).map((tag) => ({ start: tag.start, end: tag.end, call: toCall(tag) }));
+
+    // 流式检测：from 之后没找到完整标签时，下一次从哪里重新扫描就够了。
+    // 取各识别器在 from 之后第一个开头（opener）与末尾 OPENER_TAIL 个字符（可能是写了一半的开头）中较早的位置；
+    // 最多回看 MAX_OPEN_SPAN 个字符（没有 opener 的识别器也按这个窗口），超长的标签留给 MESSAGE_RECEIVED 处理
+    const MAX_OPEN_SPAN = 8000;
+    const OPENER_TAIL = 32;
+    const resumeScanAt = (text, from = 0) => {
+      const input = safeString(text, '');
+      const floor = Math.max(0, from, input.length - MAX_OPEN_SPAN);
+      let at = Math.max(floor, input.length - OPENER_TAIL);
+      for (const recognizer of activeRecognizers()) {
+        const opener = recognizer.opener;
+        if (!(opener instanceof RegExp)) {
+          at = floor;
+          break;
+        }
+        try {
+          const re = opener.global ? opener : new RegExp(opener.source, `${opener.flags}g`);
+          re.lastIndex = floor;
+          const m = re.exec(input);
+          if (m) at = Math.min(at, m.index);
+        } catch {
+          at = floor;
+        }
+      }
+      return at;
+    };
+
+    // 删除全部调用标签（标签前后多出的空行一并收拢）
+    const stripTags = (text) => {
+      const input = safeString(text, '');
+      const tags = findTags(input);
+      if (!tags.length) return input;
+      let out = '';
+      let last = 0;
+      for (const t of tags) {
+        out += input.slice(last, t.start);
+        last = t.end;
+      }
+      out += input.slice(last);
+      return out.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    };
+
+    return {
+      extractFirstCall,
+      extractAllCalls,
+      extractCalls,
+      findTags,
+      resumeScanAt,
+      stripTags,
+      parseArgs: tryParseArgs,
+      registerRecognizer,
+      listRecognizers,
+      activeRecognizers,
+      primaryRecognizer,
+      chatRecognizerOrder,
+      setChatRecognizerOrder,
+    };
+  })();
+
+  // -----------------------------
+  // 熔断器（防死循环）
+  // -----------------------------
+
+  const breaker = (() => {
+    // 全局窗口：按调用计数（一批里的每个调用各记一次）
+    const callTimestamps = [];
+    // 技能级窗口：按调用计数
+    const skillTimestamps = new Map();
+    // 当前用户回合：调用深度与相同调用计数（用户发新消息时清零）
+    let turnDepth = 0;
+    const turnSignatures = new Map();
+    // 最近一次触发（UI 展示用）；通过检查/手动重置/新回合时清除
+    let tripped = null;
+    const listeners = new Set();
+
+    const status = () => ({
+      tripped,
+      turnDepth,
+      recentCalls: callTimestamps.length,
+    });
+
+    const notify = () => {
+      const st = status();
+      for (const fn of listeners) {
+        try {
+          fn(st);
+        } catch (err) {
+          safeConsole.warn('breaker listener failed (ignored)', err);
+        }
+      }
+    };
+
+    const subscribe = (fn) => {
+      if (typeof fn !== 'function') return () => {};
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    };
+
+    const trip = (reason, detail) => {
+      tripped = { reason, detail, at: nowMs() };
+      notify();
+      events.emit('breaker:tripped', { ...tripped });
+      return { ok: false, reason, detail };
+    };
+
+    const prune = (list, windowMs, t) => {
+      while (list.length && t - list[0] > windowMs) list.shift();
+    };
+
+    // 全局频率：记下 size 次调用，窗口内超出上限时触发
+    const checkRate = (size) => {
+      const { breakerWindowMs, breakerMaxCalls } = settingsStore.get();
+      const t = nowMs();
+      for (let i = 0; i < size; i += 1) callTimestamps.push(t);
+      prune(callTimestamps, breakerWindowMs, t);
+      if (callTimestamps.length > breakerMaxCalls) {
+        return trip(
+          'rate',
+          `${callTimestamps.length} calls within ${Math.floor(breakerWindowMs / 1000)}s (limit ${breakerMaxCalls})`,
+        );
+      }
+      return null;
+    };
+
+    // 每批调用前检查（size = 本批的调用数）：全局频率 + 本回合深度（一批算一轮）
+    const checkBatch = (size = 1) => {
+      const { maxDepthPerTurn } = settingsStore.get();
+      turnDepth += 1;
+      const rate = checkRate(Math.max(1, Math.floor(Number(size)) || 1));
+      if (rate) return rate;
+      if (turnDepth > maxDepthPerTurn) {
+        return trip('depth', `${turnDepth} consecutive skill rounds in one user turn (limit ${maxDepthPerTurn})`);
+      }
+      if (tripped) {
+        tripped = null;
+        notify();
+      }
+      return { ok: true };
+    };
+
+    // 同一批里后到的调用（原生调用一轮里的第二个起）：只计全局频率，不再算一轮
+    const checkMore = (size = 1) => checkRate(Math.max(1, Math.floor(Number(size)) || 1)) || { ok: true };
+
+    // 每个调用执行前检查：技能级限流 + 相同调用重复
+    const checkCall = (skill, args) => {
+      const name = safeString(skill?.name, '');
+      const t = nowMs();
+
+      if (skill?.rateLimit) {
+        const list = skillTimestamps.get(name) || [];
+        list.push(t);
+        prune(list, skill.rateLimit.windowMs, t);
+        skillTimestamps.set(name, list);
+        if (list.length > skill.rateLimit.maxCalls) {
+          return trip(
+            'skill_rate',
+            `${name}: ${list.length} calls within ${Math.floor(skill.rateLimit.windowMs / 1000)}s (limit ${skill.rateLimit.maxCalls})`,
+          );
+        }
+      }
+
+      const { maxRepeatSameCall } = settingsStore.get();
+      const signature = `${name}:${stableStringify(args)}`;
+      const repeats = (turnSignatures.get(signature) || 0) + 1;
+      turnSignatures.set(signature, repeats);
+      if (repeats > maxRepeatSameCall) {
+        return trip('repeat', `${name} called ${repeats} times with identical args in one user turn`);
+      }
+      return { ok: true };
+    };
+
+    // 用户发送新消息，或 swipe / 重新生成（重掷的回复重新执行同样的调用不算重复、也不加深度）：开启新回合
+    const startTurn = () => {
+      turnDepth = 0;
+      turnSignatures.clear();
+      if (tripped) tripped = null;
+      notify();
+    };
+
+    const reset = () => {
+      callTimestamps.length = 0;
+      skillTimestamps.clear();
+      turnDepth = 0;
+      turnSignatures.clear();
+      tripped = null;
+      notify();
+    };
+
+    return { checkBatch, checkMore, checkCall, startTurn, reset, status, subscribe };
+  })();
+
+  // -----------------------------
+  // 确认门（敏感技能执行前由用户批准）
+  // -----------------------------
+
+  const confirmGate = (() => {
+    // “本聊天始终允许”的技能名单
+    const allowList = metaSlot('alwaysAllow', () => []);
+
+    const needsConfirmation = (skill) => {
+      if (typeof skill?.requiresConfirmation === 'boolean') return skill.requiresConfirmation;
+      return settingsStore.get().confirmRisks.includes(skill?.risk || 'low');
+    };
+
+    const isAlwaysAllowed = (skillName) => {
+      try {
+        return allowList().value.includes(skillName);
+      } catch {
+        return false;
+      }
+    };
+
+    const rememberAllow = (skillName) => {
+      try {
+        const { value: list, save } = allowList();
+        if (!list.includes(skillName)) list.push(skillName);
+        save();
+      } catch (err) {
+        safeConsole.warn('Failed to remember always-allow (ignored)', err);
+      }
+    };
+
+    const loadPreview = async (skill, name, args) => {
+      if (!skill.preview) return '';
+      try {
+        const r = await Promise.race([skill.preview({ name, args }), sleep(5000).then(() => '(preview timed out)')]);
+        return typeof r === 'string' ? r : safeJsonStringify(r);
+      } catch (err) {
+        return `(preview failed: ${err instanceof Error ? err.message : safeString(err)})`;
+      }
+    };
+
+    // 弹窗：返回 'approve' | 'deny' | 'always'
+    const ask = ({ skill, skillName, args }) =>
+      new Promise((resolve) => {
+        let backdrop = null;
+        let modal = null;
+        const done = (decision) => {
+          try {
+            modal?.remove();
+            backdrop?.remove();
+          } catch {}
+          resolve(decision);
+        };
+
+        try {
+          const previewBox = el('pre', { class: 'st-agentskills-preview', text: skill.preview ? '加载预览中…' : '' });
+          backdrop = el('div', { class: 'st-agentskills-modal-backdrop' });
+          modal = el('div', { class: 'st-agentskills-modal st-agentskills-confirm' }, [
+            el('h2', { text: `允许执行技能：${skillName}？` }),
+            el('div', { class: 'st-agentskills-help', text: `风险等级：${skill.risk}` }),
+            el('div', { class: 'st-agentskills-field' }, [
+              el('label', { text: '参数' }),
+              el('pre', { class: 'st-agentskills-preview', text: safeJsonStringify(args) }),
+            ]),
+            ...(skill.preview
+              ? [el('div', { class: 'st-agentskills-field' }, [el('label', { text: '预览' }), previewBox])]
+              : []),
+            el('div', { class: 'st-agentskills-actions' }, [
+              el('button', { text: '允许', onclick: () => done('approve') }),
+              el('button', { text: '本聊天始终允许', onclick: () => done('always') }),
+              el('button', { text: '拒绝', onclick: () => done('deny') }),
+            ]),
+          ]);
+          document.body.appendChild(backdrop);
+          document.body.appendChild(modal);
+
+          if (skill.preview) {
+            loadPreview(skill, skillName, args).then((text) => {
+              previewBox.textContent = text || '(no preview)';
+            });
+          }
+        } catch (err) {
+          // 弹窗都建不起来：安全起见视为拒绝
+          safeConsole.warn('confirm dialog failed; denying call', err);
+          done('deny');
+        }
+      });
+
+    // 并行执行的调用可能同时要求确认：弹窗一次只显示一个，按请求顺序依次弹出
+    let dialogQueue = Promise.resolve();
+    const oneAtATime = (open) => {
+      const next = dialogQueue.then(open);
+      dialogQueue = next.catch(() => {});
+      return next;
+    };
+
+    // 弹窗：swipe / 重新生成时遇到已执行过的调用。返回 'replay' | 'rerun' | 'skip'
+    const askRepeat = ({ skillName, args, cached }) =>
+      new Promise((resolve) => {
+        let backdrop = null;
+        let modal = null;
+        const done = (decision) => {
+          try {
+            modal?.remove();
+            backdrop?.remove();
+          } catch {}
+          resolve(decision);
+        };
+
+        try {
+          backdrop = el('div', { class: 'st-agentskills-modal-backdrop' });
+          modal = el('div', { class: 'st-agentskills-modal st-agentskills-confirm' }, [
+            el('h2', { text: `再次执行技能：${skillName}？` }),
+            el('div', {
+              class: 'st-agentskills-help',
+              text: '这条消息（swipe / 重新生成前）已经执行过相同的调用。该技能可能有副作用，重新执行会再做一次。',
+            }),
+            el('div', { class: 'st-agentskills-field' }, [
+              el('label', { text: '参数' }),
+              el('pre', { class: 'st-agentskills-preview', text: safeJsonStringify(args) }),
+            ]),
+            el('div', { class: 'st-agentskills-field' }, [
+              el('label', { text: '上次结果' }),
+              el('pre', { class: 'st-agentskills-preview', text: cached.message }),
+            ]),
+            el('div', { class: 'st-agentskills-actions' }, [
+              el('button', { text: '重放上次结果', onclick: () => done('replay') }),
+              el('button', { text: '重新执行', onclick: () => done('rerun') }),
+              el('button', { text: '跳过', onclick: () => done('skip') }),
+            ]),
+          ]);
+          document.body.appendChild(backdrop);
+          document.body.appendChild(modal);
+        } catch (err) {
+          // 弹窗都建不起来：安全起见不重复执行，重放缓存
+          safeConsole.warn('repeat dialog failed; replaying cached result', err);
+          done('replay');
+        }
+      });
+
+    /**
+     * 执行前检查。返回 { ok: true } 或 { ok: false }（用户拒绝）。
+     */
+    const check = async ({ skill, skillName, args }) => {
+      if (!needsConfirmation(skill) || isAlwaysAllowed(skillName)) return { ok: true };
+      // 排队期间用户可能已在前一个弹窗里选了“本聊天始终允许”
+      const decision = await oneAtATime(() =>
+        isAlwaysAllowed(skillName) ? 'approve' : ask({ skill, skillName, args }),
+      );
+      if (decision === 'always') rememberAllow(skillName);
+      return { ok: decision !== 'deny' };
+    };
+
+    return { check, needsConfirmation, askRepeat: (opts) => oneAtATime(() => askRepeat(opts)) };
+  })();
+
+  // -----------------------------
+  // 调用结果缓存（swipe / 重新生成 / 编辑时不重复执行）
+  // -----------------------------
+
+  const callCache = (() => {
+    // 每个聊天最多缓存多少条结果；单条结果文本上限
+    const MAX_ENTRIES = 200;
+    const MAX_TEXT = 4000;
+
+    // 调用指纹（FNV-1a）：同一技能 + 同一参数 → 同一值（与参数键顺序、标签写法无关）
+    const hashCall = (call) => {
+      const input = `${safeString(call?.skillName, '')}:${stableStringify(call?.args ?? {})}`;
+      let h = 0x811c9dc5;
+      for (let i = 0; i < input.length; i += 1) {
+        h ^= input.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+      }
+      return h.toString(16).padStart(8, '0');
+    };
+
+    // 当前聊天的缓存列表
+    const entries = metaSlot('results', () => []);
+
+    // call.origin = { chatId, index, swipeId }：只有来自聊天消息的调用才参与缓存。
+    // 只返回成功结果（可重放）。先找同一 swipe，再找同一条消息的其它 swipe（swipe / 重新生成时模型往往写出同样的调用）
+    const lookup = (call) => {
+      if (!call?.origin) return null;
+      try {
+        const { index, swipeId } = call.origin;
+        const hash = hashCall(call);
+        const list = entries().value;
+        const sameMessage = list.filter((e) => e.index === index && e.hash === hash && e.ok);
+        return sameMessage.find((e) => e.swipeId === swipeId) || sameMessage[sameMessage.length - 1] || null;
+      } catch {
+        return null;
+      }
+    };
+
+    // 某条消息某个 swipe 的全部记录（含失败），按执行顺序；用于在消息里渲染调用卡片
+    const entriesOf = (index, swipeId) => {
+      try {
+        return entries().value.filter((e) => e.index === index && e.swipeId === swipeId);
+      } catch {
+        return [];
+      }
+    };
+
+    const store = (call, outcome, durationMs = 0) => {
+      if (!call?.origin) return;
+      try {
+        const { index, swipeId } = call.origin;
+        const hash = hashCall(call);
+        const { value: list, save } = entries();
+        const existing = list.findIndex((e) => e.index === index && e.swipeId === swipeId && e.hash === hash);
+        if (existing >= 0) list.splice(existing, 1);
+        list.push({
+          index,
+          swipeId,
+          hash,
+          skillName: call.skillName,
+          ok: Boolean(outcome.ok),
+          outcome: safeString(outcome.outcome, ''),
+          durationMs: Math.max(0, Math.round(Number(durationMs) || 0)),
+          args: safeJsonStringify(call.args ?? {}).slice(0, MAX_TEXT),
+          message: safeString(outcome.message, '').slice(0, MAX_TEXT),
+          ts: nowMs(),
+        });
+        if (list.length > MAX_ENTRIES) list.splice(0, list.length - MAX_ENTRIES);
+        save();
+      } catch (err) {
+        safeConsole.warn('Failed to cache call result (ignored)', err);
+      }
+    };
+
+    return { hashCall, lookup, entriesOf, store };
+  })();
+
+  // -----------------------------
+  // 隐藏回传的结果（resultMode: hidden / continue）：不出现在聊天里，但随聊天保存，
+  // 每次请求都按所属消息的位置注入给模型（相当于一条看不见的 System Message）
+  // -----------------------------
+
+  const hiddenResults = (() => {
+    // 每个聊天最多保留多少条（超出丢弃最旧的）
+    const MAX_ENTRIES = 100;
+    const entries = metaSlot('hiddenResults', () => []);
+
+    const chatOf = () => {
+      const chat = stApi.api.getContext?.()?.chat;
+      return Array.isArray(chat) ? chat : [];
+    };
+
+    /**
+     * 记一条结果，挂在调用所在的那条消息上（origin = call.origin：{ index, swipeId }）。
+     * 编辑较早的消息后“立即执行”时，结果挂在被编辑的那条上；没有来源消息时（如脚本调用）挂在当前最后一条消息上。
+     * placement：after = 这条消息之后；before = 之前（续写时用：被续写的回复必须保持在最后，ST 才能接着写）
+     */
+    const add = (text, placement = 'after', origin = null) => {
+      try {
+        const chat = chatOf();
+        const fromMessage = Number.isInteger(origin?.index) && origin.index >= 0;
+        const index = fromMessage ? origin.index : chat.length - 1;
+        const swipeId = fromMessage ? (origin.swipeId ?? 0) : (chat[index]?.swipe_id ?? 0);
+        const { value: list, save } = entries();
+        list.push({ text, index, swipeId, placement, at: nowMs() });
+        if (list.length > MAX_ENTRIES) list.splice(0, list.length - MAX_ENTRIES);
+        save();
+      } catch (err) {
+        safeConsole.warn('Failed to store hidden result (ignored)', err);
+      }
+    };
+
+    // 仍然有效的结果：所属消息还在，且显示的仍是当时那个 swipe
+    const active = () => {
+      try {
+        const chat = chatOf();
+        return entries().value.filter(
+          (e) => e.index < 0 || (chat[e.index] && (chat[e.index].swipe_id ?? 0) === e.swipeId),
+        );
+      } catch {
+        return [];
+      }
+    };
+
+    // 消息被删除（含重新生成）：挂在下标 >= from 的消息上的结果作废
+    const forgetFrom = (from) => {
+      try {
+        const n = Number(from);
+        const start = Number.isInteger(n) && n >= 0 ? Math.min(n, chatOf().length) : chatOf().length;
+        const { value: list, save } = entries();
+        const kept = list.filter((e) => e.index < start);
+        if (kept.length === list.length) return;
+        list.splice(0, list.length, ...kept);
+        save();
+      } catch (err) {
+        safeConsole.warn('Failed to forget hidden results (ignored)', err);
+      }
+    };
+
+    return { add, active, forgetFrom };
+  })();
+
+  // -----------------------------
+  // 消息里的调用标签显示（只替换渲染结果，不改聊天原文，可随时还原）
+  // -----------------------------
+
+  const tagView = (() => {
+    const CHIP_CLASS = 'st-agentskills-chip';
+
+    const textRootOf = (index) => {
+      try {
+        return document.querySelector(`#chat .mes[mesid="${index}"] .mes_text`);
+      } catch {
+        return null;
+      }
+    };
+
+    // 折叠卡片：摘要行 = 技能 · 结果 · 耗时；展开 = 原始标签 + 参数 + 结果
+    const chipFor = (rawTag, entry) => {
+      const summary = [entry.skillName, entry.outcome || (entry.ok ? 'ok' : 'error')];
+      if (entry.durationMs) summary.push(`${entry.durationMs}ms`);
+      return el(
+        'details',
+        {
+          class: CHIP_CLASS,
+          'data-outcome': entry.ok ? 'ok' : 'error',
+          'data-hash': entry.hash,
+          'data-raw': rawTag,
+        },
+        [
+          el('summary', { text: summary.join(' · ') }),
+          el('pre', {
+            class: 'st-agentskills-preview',
+            text: [rawTag, '--- args ---', entry.args || '{}', '--- result ---', entry.message].join('\n'),
+          }),
+        ],
+      );
+    };
+
+    // 把一条消息里已执行的标签替换为卡片。
+    // 在整条消息的文本（各文本节点依次拼接）里找标签：被 Markdown 渲染拆到多个元素里的标签
+    // （如参数里的 *强调*、`代码`）用 Range 整段替换，中间的元素一并收进卡片
+    const render = (index) => {
+      try {
+        if (settingsStore.get().tagDisplay !== 'chip') return;
+        const i = Number(index);
+        if (!Number.isInteger(i) || i < 0) return;
+        const root = textRootOf(i);
+        const message = stApi.api.getContext?.()?.chat?.[i];
+        if (!root || !message) return;
+
+        const rendered = new Set(Array.from(root.querySelectorAll(`.${CHIP_CLASS}`), (c) => c.dataset.hash));
+        const unused = callCache.entriesOf(i, message.swipe_id ?? 0).filter((e) => !rendered.has(e.hash));
+        if (!unused.length) return;
+
+        const take = (call) => {
+          const hash = callCache.hashCall(call);
+          let k = unused.findIndex((e) => e.hash === hash);
+          // 渲染后的文本可能与原文略有出入（Markdown 转义等）：退回到同名技能的下一条记录
+          if (k < 0) k = unused.findIndex((e) => e.skillName === call.skillName);
+          return k < 0 ? null : unused.splice(k, 1)[0];
+        };
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const spans = [];
+        let full = '';
+        for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+          if (n.parentElement?.closest(`.${CHIP_CLASS}`)) continue;
+          spans.push({ node: n, start: full.length, end: full.length + n.data.length });
+          full += n.data;
+        }
+
+        // 全文位置 → (文本节点, 偏移)；标签开头落在节点边界时取后一个节点，结尾取前一个
+        const locate = (pos, isEnd) => {
+          const span = spans.find((sp) => (isEnd ? sp.start < pos && pos <= sp.end : sp.start <= pos && pos < sp.end));
+          return span ? { node: span.node, offset: pos - span.start } : null;
+        };
+
+        // 先按出现顺序给标签配上记录，再从后往前替换（前面标签的位置不受影响）
+        const plan = [];
+        for (const t of parser.findTags(full)) {
+          const entry = take(t.call);
+          if (entry) plan.push({ t, entry });
+        }
+        for (const { t, entry } of plan.reverse()) {
+          const from = locate(t.start, false);
+          const to = locate(t.end, true);
+          if (!from || !to) continue;
+          const range = document.createRange();
+          range.setStart(from.node, from.offset);
+          range.setEnd(to.node, to.offset);
+          range.deleteContents();
+          range.insertNode(chipFor(t.call.rawTag, entry));
+        }
+      } catch (err) {
+        safeConsole.warn('tag render failed (ignored)', err);
+      }
+    };
+
+    const renderAll = () => {
+      const chat = stApi.api.getContext?.()?.chat;
+      if (!Array.isArray(chat)) return;
+      for (let i = 0; i < chat.length; i += 1) render(i);
+    };
+
+    // 还原：卡片换回原始标签文本
+    const restoreAll = () => {
+      try {
+        for (const chip of document.querySelectorAll(`#chat .${CHIP_CLASS}`)) {
+          chip.replaceWith(document.createTextNode(chip.dataset.raw || ''));
+        }
+      } catch (err) {
+        safeConsole.warn('tag restore failed (ignored)', err);
+      }
+    };
+
+    return { render, renderAll, restoreAll };
+  })();
+
+  // -----------------------------
+  // 结果格式化（标准信封 + 长度上限 + 统一的成功/失败版式）
+  // -----------------------------
+
+  const resultFormat = (() => {
+    const ENVELOPE_KEYS = ['ok', 'data', 'error', 'display', 'modelText'];
+    // 除 ok 外至少要有其中一个，才算信封
+    const PAYLOAD_KEYS = ENVELOPE_KEYS.slice(1);
+    // 结构化裁剪的力度逐级加大：数组保留的头部项数 / 单个字符串上限（占总上限的比例）
+    const SHRINK_STEPS = [
+      { keepHead: 10, stringRatio: 1 / 4 },
+      { keepHead: 5, stringRatio: 1 / 8 },
+      { keepHead: 2, stringRatio: 1 / 16 },
+      { keepHead: 1, stringRatio: 0 },
+    ];
+    const ARRAY_KEEP_TAIL = 1;
+
+    // 标准信封：{ ok: boolean } 加上 data / error / display / modelText 中至少一项，且没有信封以外的字段。
+    // { ok: true, city } 或只有 { ok: true } 这类普通对象仍按数据处理
+    const isEnvelope = (value) =>
+      isPlainObject(value) &&
+      typeof value.ok === 'boolean' &&
+      PAYLOAD_KEYS.some((k) => k in value) &&
+      Object.keys(value).every((k) => ENVELOPE_KEYS.includes(k));
+
+    // 保留头（约 70%）尾（约 30%），中间注明省略了多少字符
+    const clipText = (text, maxChars) => {
+      const s = safeString(text, '');
+      if (!(maxChars > 0) || s.length <= maxChars) return s;
+      const note = `\n[… ${s.length} chars total, middle omitted …]\n`;
+      const budget = Math.max(0, maxChars - note.length);
+      const head = Math.ceil(budget * 0.7);
+      const tail = budget - head;
+      return `${s.slice(0, head)}${note}${tail ? s.slice(-tail) : ''}`;
+    };
+
+    // 缩短大数组（保留头尾，注明省略项数）与长字符串，尽量保留 JSON 结构，让模型仍能读懂字段
+    const shrink = (value, { keepHead, maxStringChars }, depth = 0) => {
+      if (typeof value === 'string') return clipText(value, maxStringChars);
+      if (!value || typeof value !== 'object' || depth > 8) return value;
+      const step = { keepHead, maxStringChars };
+      if (Array.isArray(value)) {
+        const omitted = value.length - keepHead - ARRAY_KEEP_TAIL;
+        const items =
+          omitted > 1
+            ? [...value.slice(0, keepHead), `[… ${omitted} more items omitted …]`, ...value.slice(-ARRAY_KEEP_TAIL)]
+            : value;
+        return items.map((v) => shrink(v, step, depth + 1));
+      }
+      if (!isPlainObject(value)) return value;
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = shrink(v, step, depth + 1);
+      return out;
+    };
+
+    // 任意值 → 给模型看的文本（maxChars <= 0 表示不限）。
+    // 结构化裁剪逐级加力，仍超长时才退回到纯文本头尾截断（此时 JSON 可能不完整）
+    const toText = (value, maxChars) => {
+      if (value === undefined || value === null) return '';
+      if (typeof value === 'string') return clipText(value, maxChars);
+      if (!isPlainObject(value) && !Array.isArray(value)) return clipText(safeString(value), maxChars);
+      const full = safeJsonStringify(value);
+      if (!(maxChars > 0) || full.length <= maxChars) return full;
+      let text = full;
+      for (const { keepHead, stringRatio } of SHRINK_STEPS) {
+        const maxStringChars = Math.max(40, Math.floor(maxChars * stringRatio));
+        text = safeJsonStringify(shrink(value, { keepHead, maxStringChars }));
+        if (text.length <= maxChars) return text;
+      }
+      return clipText(text, maxChars);
+    };
+
+    const successMessage = (skillName, text) =>
+      [`Skill result: ${skillName}`, '---', text || '(empty result)'].join('\n');
+
+    /**
+     * 失败结果（所有失败共用一种版式）：
+     *   Skill failed: <name> (<outcome>)
+     *   ---
+     *   { "ok": false, "error": "<outcome>", ...body }
+     */
+    const failure = (skillName, outcome, body = {}) => ({
+      skillName,
+      ok: false,
+      outcome,
+      error: safeString(body.message ?? body.reason ?? body.error, outcome),
+      message: [
+        `Skill failed: ${skillName} (${outcome})`,
+        '---',
+        safeJsonStringify({ ok: false, error: outcome, ...body }),
+      ].join('\n'),
+    });
+
+    // action 返回值 → 调用结果（信封或普通值都可以）
+    const fromResult = (skillName, result, maxChars) => {
+      if (isEnvelope(result) && !result.ok) {
+        const body = { error: safeString(result.error, 'error') };
+        // 失败时的附带数据只作参考：强力裁剪后再整体限长
+        if (result.data !== undefined) body.data = shrink(result.data, { keepHead: 2, maxStringChars: 200 });
+        const failed = failure(skillName, 'error', body);
+        return {
+          ...failed,
+          message: clipText(failed.message, maxChars),
+          data: result.data,
+          display: result.display === undefined ? undefined : clipText(safeString(result.display), maxChars),
+        };
+      }
+      const envelope = isEnvelope(result) ? result : { ok: true, data: result };
+      const text =
+        typeof envelope.modelText === 'string'
+          ? clipText(envelope.modelText, maxChars)
+          : toText(envelope.data, maxChars);
+      return {
+        skillName,
+        ok: true,
+        outcome: 'ok',
+        result: text,
+        data: envelope.data,
+        display: envelope.display === undefined ? undefined : clipText(safeString(envelope.display), maxChars),
+        message: successMessage(skillName, text),
+      };
+    };
+
+    return { isEnvelope, clipText, toText, failure, fromResult };
   })();
 
-  const injectPrompt = (data) => {
-    const systemPrompt = promptBuilder.buildSystemPrompt();
-    const depthNote = promptBuilder.buildDepthNote();
-    if (!systemPrompt && !depthNote) return;
+  // -----------------------------
+  // 执行引擎（坦克层）
+  // -----------------------------
+
+  const engine = (() => {
+    // 串行化所有调用：避免重入导致 UI 状态和消息流错乱
+    let queue = Promise.resolve();
+
+    // 正在执行的调用（用于“取消”按钮与停止生成联动）
+    const inFlight = new Set();
+    // 停止生成时置位：本批剩余调用不再执行
+    let batchAborted = false;
+
+    const abortAll = (reason = 'stopped') => {
+      for (const controller of inFlight) {
+        try {
+          controller.abort(reason);
+        } catch {}
+      }
+      if (inFlight.size) batchAborted = true;
+    };
+
+    // 竞速执行 action：超时或取消时 abort 并立即返回（不等待不配合的 action 结束）
+    const runWithLimits = (fn, controller, timeoutMs) =>
+      new Promise((resolve, reject) => {
+        let timer = null;
+        const onAbort = () => {
+          if (timer) window.clearTimeout(timer);
+          const reason = controller.signal.reason === 'timeout' ? 'timeout' : 'cancelled';
+          reject(Object.assign(new Error(reason), { name: 'AbortError', reason }));
+        };
+        if (controller.signal.aborted) {
+          onAbort();
+          return;
+        }
+        controller.signal.addEventListener('abort', onAbort, { once: true });
+        if (timeoutMs > 0) {
+          timer = window.setTimeout(() => {
+            try {
+              controller.abort('timeout');
+            } catch {}
+          }, timeoutMs);
+        }
+        Promise.resolve()
+          .then(fn)
+          .then(resolve, reject)
+          .finally(() => {
+            if (timer) window.clearTimeout(timer);
+            controller.signal.removeEventListener('abort', onAbort);
+          });
+      });
+
+    // 失败类别（见 registry 的重试策略）：HTTP 状态码 → http_429 / http_5xx / http_4xx
+    const httpErrorClass = (status) => {
+      if (status === 429) return 'http_429';
+      if (status >= 500 && status < 600) return 'http_5xx';
+      if (status >= 400 && status < 500) return 'http_4xx';
+      return 'error';
+    };
+
+    // action 抛出的异常：技能自己的 fetch 超时、带 status 的错误、fetch 的网络错误、显式标记 retryable 的错误
+    const exceptionErrorClass = (err) => {
+      if (err?.name === 'AbortError' || err?.name === 'TimeoutError') return 'timeout';
+      if (err?.retryable === true) return 'transient';
+      const status = Number(err?.status);
+      if (Number.isInteger(status) && status > 0) return httpErrorClass(status);
+      if (err?.name === 'NetworkError') return 'network';
+      if (err?.name === 'TypeError' && /fetch|network|load failed/i.test(safeString(err.message, ''))) return 'network';
+      return 'error';
+    };
+
+    // 失败信封 { ok: false, error: 'HTTP 503 …' }：按开头的状态码归类
+    const envelopeErrorClass = (errorText) => {
+      const m = /^HTTP (\d{3})\b/.exec(safeString(errorText, ''));
+      return m ? httpErrorClass(Number(m[1])) : 'error';
+    };
+
+    // 执行前的检查（每次调用只做一次，重试不再重复）：技能是否可用、call:before、参数校验、熔断、确认。
+    // 返回 { skill, args }；被拦下时返回 { failure }（要回传给模型的失败结果）
+    const prepareCall = async ({ skillName, args, rawArgs, rawTag, source, chain }) => {
+      const skill = registry.get(skillName);
+      if (!skill || !skill.enabled) {
+        ui.show({
+          title: 'Skill not found',
+          subtitle: skill ? `${skillName} is disabled` : skillName,
+          level: 'error',
+          timeoutMs: 2400,
+        });
+        return {
+          failure: resultFormat.failure(skillName, 'not_found', {
+            message: `"${skillName}" is not registered or not enabled.`,
+          }),
+        };
+      }
+
+      // 生命周期拦截：call:before 可改写参数（改写后的参数同样要过校验）或否决本次调用
+      const before = await events.intercept('call:before', { skillName, args, rawArgs, rawTag }, (cur, ret) => {
+        if (ret === false || (isPlainObject(ret) && ret.veto)) return null;
+        return isPlainObject(ret) && isPlainObject(ret.args) ? { ...cur, args: ret.args } : cur;
+      });
+      if (before.vetoed) {
+        const reason = typeof before.ret?.veto === 'string' ? before.ret.veto : 'vetoed by an extension';
+        ui.show({ title: 'Skill vetoed', subtitle: `${skillName}: ${reason}`, level: 'error', timeoutMs: 2400 });
+        return { failure: resultFormat.failure(skillName, 'vetoed', { reason }) };
+      }
+
+      // 参数校验：声明了 parameters 的技能，校验失败时不调用 action()，把结构化错误回传给模型
+      let finalArgs = before.payload.args;
+      if (skill.parameters) {
+        const checked = paramSchema.validate(skill.parameters, finalArgs);
+        if (!checked.ok) {
+          ui.show({
+            title: 'Invalid skill arguments',
+            subtitle: `${skillName}: ${checked.errors.map((e) => `${e.path} ${e.message}`).join('; ')}`,
+            level: 'error',
+            timeoutMs: 3600,
+          });
+          return {
+            failure: resultFormat.failure(skillName, 'invalid', {
+              message: checked.errors.map((e) => `${e.path} ${e.message}`).join('; '),
+              details: checked.errors,
+              expected: paramSchema.describeType(skill.parameters),
+            }),
+          };
+        }
+        finalArgs = checked.value;
+      }
+
+      // 脚本直接 invoke() 的调用不是模型循环，不计入熔断；
+      // 流水线步骤（带调用链）由模型调用间接触发，仍受技能级限流与重复检测约束
+      const direct = source === 'api' && !(Array.isArray(chain) && chain.length);
+      const callGate = direct ? { ok: true } : breaker.checkCall(skill, finalArgs);
+      if (!callGate.ok) {
+        ui.show({
+          title: 'Skill call blocked',
+          subtitle: callGate.detail,
+          level: 'error',
+          timeoutMs: 3600,
+        });
+        return {
+          failure: resultFormat.failure(skillName, 'blocked', {
+            message: callGate.detail,
+            hint: 'Do not repeat this call; continue with what you have.',
+          }),
+        };
+      }
+
+      const approval = await confirmGate.check({ skill, skillName, args: finalArgs });
+      if (!approval.ok) {
+        ui.show({ title: 'Skill denied', subtitle: `${skillName}`, level: 'error', timeoutMs: 2400 });
+        return {
+          failure: resultFormat.failure(skillName, 'denied', {
+            message: 'The user declined this call.',
+            hint: 'Do not retry it; continue without it or ask the user.',
+          }),
+        };
+      }
+
+      return { skill, args: finalArgs };
+    };
+
+    // 执行一次尝试：只负责 UI 提示与隔离执行，返回要回传给模型的文本段落（由 runBatch 统一插入）
+    const attemptCall = async ({ skillName, rawArgs, signal, chain }, skill, finalArgs, attempt) => {
+      const controller = new AbortController();
+      const timeoutMs = skill.timeoutMs ?? settingsStore.get().defaultTimeoutMs;
+      inFlight.add(controller);
+      // 调用方的取消信号（如流水线被取消）一并中止本次调用
+      const onOuterAbort = () => {
+        try {
+          controller.abort('cancelled');
+        } catch {}
+      };
+      if (signal?.aborted) onOuterAbort();
+      else signal?.addEventListener?.('abort', onOuterAbort, { once: true });
+
+      const dispose = ui.show({
+        title: 'Skill executing…',
+        subtitle: attempt > 1 ? `${skillName} (attempt ${attempt})` : `${skillName}`,
+        level: 'info',
+        timeoutMs: 0, // manual dispose
+        actions: [
+          {
+            label: 'Cancel',
+            onClick: () => {
+              try {
+                controller.abort('cancelled');
+              } catch {}
+            },
+          },
+        ],
+      });
+
+      try {
+        // 不可信边界：外部 action()（必须被 try/catch 包裹）
+        // signal：超时/取消时触发，配合良好的技能应据此停止工作
+        const raw = await runWithLimits(
+          () =>
+            skill.action({
+              name: skillName,
+              args: finalArgs,
+              rawArgs,
+              signal: controller.signal,
+              // 调用链：本次调用之上正在执行的技能（流水线用它识别递归）
+              chain: Array.isArray(chain) ? chain : [],
+            }),
+          controller,
+          timeoutMs,
+        );
+
+        // 生命周期拦截：call:after 可改写结果（例如脱敏、裁剪、格式化）
+        const after = await events.intercept('call:after', { skillName, args: finalArgs, result: raw }, (cur, ret) =>
+          isPlainObject(ret) && 'result' in ret ? { ...cur, result: ret.result } : cur,
+        );
+        // 结果可以是普通值，也可以是信封 { ok, data, error, display, modelText }；给模型的文本受长度上限约束
+        const maxChars = skill.maxResultChars ?? settingsStore.get().maxResultChars;
+        const outcome = resultFormat.fromResult(skillName, after.payload.result, maxChars);
+        return outcome.ok ? outcome : { ...outcome, errorClass: envelopeErrorClass(outcome.error) };
+      } catch (err) {
+        if (err?.name === 'AbortError' && controller.signal.aborted) {
+          const timedOut = err.reason === 'timeout';
+          ui.show({
+            title: timedOut ? 'Skill timed out' : 'Skill cancelled',
+            subtitle: `${skillName}`,
+            level: 'error',
+            timeoutMs: 3200,
+          });
+          const failed = resultFormat.failure(skillName, timedOut ? 'timeout' : 'cancelled', {
+            message: timedOut
+              ? `No result within ${timeoutMs}ms; the call was aborted.`
+              : 'The user cancelled this call before it finished.',
+          });
+          return { ...failed, errorClass: timedOut ? 'timeout' : 'cancelled' };
+        }
+
+        // 防御性：skill 失败绝不外溢。模型只看到错误名与消息；调用栈只进控制台与调用日志
+        const errorText = err instanceof Error ? `${err.name}: ${err.message}` : safeString(err);
+        safeConsole.warn(`Skill "${skillName}" threw`, err);
+
+        ui.show({
+          title: 'Skill failed',
+          subtitle: `${skillName}`,
+          level: 'error',
+          timeoutMs: 4200,
+        });
+
+        return {
+          ...resultFormat.failure(skillName, 'error', { error: 'exception', message: errorText || '(unknown error)' }),
+          errorClass: exceptionErrorClass(err),
+          stack: err instanceof Error ? safeString(err.stack, '') : '',
+        };
+      } finally {
+        inFlight.delete(controller);
+        signal?.removeEventListener?.('abort', onOuterAbort);
+        try {
+          dispose?.();
+        } catch {}
+      }
+    };
+
+    // 调用结束：写调用日志 + 失败时发出 call:error（两者失败都绝不影响执行）
+    const settle = (call, outcome, durationMs) => {
+      callLog.record(call, outcome, durationMs);
+      if (!outcome.ok) {
+        events.emit('call:error', {
+          skillName: call.skillName,
+          args: call.args,
+          outcome: outcome.outcome,
+          error: outcome.error || outcome.message,
+        });
+      }
+    };
+
+    // 重试前的退避等待：Toast 上可取消，停止生成（abortAll）或调用方取消也会中止。返回是否继续重试
+    const waitBackoff = (ms, subtitle, outerSignal) =>
+      new Promise((resolve) => {
+        const controller = new AbortController();
+        let timer = null;
+        let dispose = null;
+        const finish = (goOn) => {
+          if (timer) window.clearTimeout(timer);
+          inFlight.delete(controller);
+          outerSignal?.removeEventListener?.('abort', onAbort);
+          try {
+            dispose?.();
+          } catch {}
+          resolve(goOn);
+        };
+        const onAbort = () => finish(false);
+        if (outerSignal?.aborted) {
+          resolve(false);
+          return;
+        }
+        inFlight.add(controller);
+        controller.signal.addEventListener('abort', onAbort, { once: true });
+        outerSignal?.addEventListener?.('abort', onAbort, { once: true });
+        dispose = ui.show({
+          title: 'Retrying skill…',
+          subtitle,
+          level: 'info',
+          timeoutMs: 0, // manual dispose
+          actions: [
+            {
+              label: 'Cancel',
+              onClick: () => {
+                try {
+                  controller.abort('cancelled');
+                } catch {}
+              },
+            },
+          ],
+        });
+        timer = window.setTimeout(() => finish(true), ms);
+      });
+
+    // 执行一次调用；技能声明了 retry 且失败属于 retryOn 的类别时按指数退避重试。
+    // 尝试次数记在结果的 attempts 里（调用日志也会记录）；重试后仍失败时在给模型的文本里注明
+    // 超时的尝试可能仍在后台执行（action 不一定响应 abort）：非幂等技能不重试超时，以免重复写入
+    const runSkill = async (call) => {
+      const startedAt = nowMs();
+      const prepared = await prepareCall(call);
+      if (prepared.failure) {
+        settle(call, prepared.failure, nowMs() - startedAt);
+        return prepared.failure;
+      }
+      const { skill, args } = prepared;
+      const retry = skill.retry;
+      const retryable = (o) =>
+        retry.retryOn.includes(o.errorClass) && !(o.errorClass === 'timeout' && !skill.idempotent);
+      let attempt = 1;
+      let outcome = await attemptCall(call, skill, args, attempt);
+      while (!outcome.ok && retry && attempt < retry.maxAttempts && retryable(outcome)) {
+        const delay = Math.min(retry.maxBackoffMs, retry.backoffMs * 2 ** (attempt - 1));
+        const reason = safeString(outcome.error, outcome.outcome).split('\n')[0].slice(0, 80);
+        const next = `attempt ${attempt + 1}/${retry.maxAttempts} in ${Math.ceil(delay / 1000)}s`;
+        const subtitle = `${call.skillName}: ${next} (${reason})`;
+        // eslint-disable-next-line no-await-in-loop
+        if (!(await waitBackoff(delay, subtitle, call.signal))) break;
+        attempt += 1;
+        // eslint-disable-next-line no-await-in-loop
+        outcome = await attemptCall(call, skill, args, attempt);
+      }
+      if (attempt > 1) {
+        outcome = {
+          ...outcome,
+          attempts: attempt,
+          message: outcome.ok ? outcome.message : `${outcome.message}\n(Failed after ${attempt} attempts.)`,
+        };
+      }
+      settle(call, outcome, nowMs() - startedAt);
+      return outcome;
+    };
+
+    // 来自聊天消息的调用：swipe / 重新生成时，同一条消息里已成功执行过的调用
+    // 对幂等技能直接重跑；非幂等技能按设置重放缓存结果，或询问用户
+    const runOrReplay = async (call) => {
+      const cached = callCache.lookup(call);
+      const skill = registry.get(call.skillName);
+      if (cached && skill?.enabled && !skill.idempotent) {
+        const decision =
+          settingsStore.get().repeatPolicy === 'ask'
+            ? await confirmGate.askRepeat({ skillName: call.skillName, args: call.args, cached })
+            : 'replay';
+        if (decision !== 'rerun') {
+          // 重放记录的是上次的结果正文（不带重放说明），以便之后再次重放
+          callCache.store(call, {
+            ...cached,
+            ok: decision === 'replay' && cached.ok,
+            outcome: decision === 'replay' ? 'replayed' : 'skipped',
+          });
+          tagView.render(call.origin?.index);
+          const outcome =
+            decision === 'replay'
+              ? {
+                  skillName: call.skillName,
+                  ok: cached.ok,
+                  outcome: 'replayed',
+                  result: cached.message,
+                  message: `${cached.message}\n(Replayed from an earlier swipe of this message; the skill was not run again.)`,
+                }
+              : resultFormat.failure(call.skillName, 'skipped', {
+                  message: 'This call already ran for an earlier swipe of this message; the user chose not to run it again.',
+                });
+          settle(call, outcome, 0);
+          return outcome;
+        }
+      }
+
+      const startedAt = nowMs();
+      const outcome = await runSkill(call);
+      // 失败/被拒/被取消的结果也记下（用于消息里的调用卡片），但只有成功结果会被重放
+      callCache.store(call, outcome, nowMs() - startedAt);
+      tagView.render(call.origin?.index);
+      return outcome;
+    };
+
+    // 执行一批调用（同一条消息里的全部标签）：
+    // - 熔断整批检查：全局频率按调用数计，回合深度按一批算一轮，触发时整批阻断
+    // - 按出现顺序串行执行，结果合并为一条 System Message
+    // - 只要有一个成功，就在最后触发一次 generate()（continueAfter: false 时不续写，如编辑旧消息后手动执行）
+    const runBatch = async (calls, { continueAfter = true } = {}) => {
+      const list = (Array.isArray(calls) ? calls : [calls]).filter((c) => c && c.skillName);
+      if (!list.length) return;
+
+      const gate = breaker.checkBatch(list.length);
+      if (!gate.ok) {
+        ui.show({
+          title: 'Skill loop detected',
+          subtitle: `Blocked: ${gate.detail}`,
+          level: 'error',
+          timeoutMs: 4200,
+        });
+
+        for (const call of list) {
+          settle(call, { ok: false, outcome: 'blocked', error: gate.detail }, 0);
+        }
+        await stApi.api.addSystemMessage?.(
+          `st-agentskills: Circuit breaker triggered (${gate.detail}). Further calls are blocked to prevent infinite loops. Continue without calling skills.`,
+        );
+        return;
+      }
+
+      batchAborted = false;
+      const outcomes = await runScheduled(list);
+
+      await deliver(outcomes, { continueAfter, origin: list.find((c) => c.origin)?.origin });
+    };
+
+    // 按技能声明的 concurrency 安排同一批调用：
+    // - serial（默认）：等前面的调用全部结束才开始，后面的调用也要等它结束
+    // - parallel：只等前面最近的 serial 调用
+    // - 锁分组：另外还要等前面同组的调用
+    // 返回的结果按调用在消息里的顺序排列，与实际完成顺序无关
+    const runScheduled = (list) => {
+      const runOne = async (call) => {
+        if (batchAborted) {
+          const skipped = resultFormat.failure(call.skillName, 'cancelled', {
+            message: 'Generation was stopped before this call ran.',
+          });
+          settle(call, skipped, 0);
+          return skipped;
+        }
+        return runOrReplay(call);
+      };
 
-    // 防御性：不同 ST 版本/不同提供方 data 结构可能不同
-    const safeAppendToStringField = (obj, key, addition) => {
-      if (!addition) return false;
-      if (!obj || typeof obj !== 'object') return false;
-      if (typeof obj[key] !== 'string') return false;
-      obj[key] = `${obj[key]}\n\n${addition}`.trim();
-      return true;
+      const tasks = [];
+      let barrier = Promise.resolve();
+      const lastInGroup = new Map();
+      for (const call of list) {
+        const mode = registry.get(call.skillName)?.concurrency || 'serial';
+        const deps = mode === 'serial' ? tasks.slice() : [barrier, lastInGroup.get(mode)];
+        const task = Promise.all(deps).then(() => runOne(call));
+        tasks.push(task);
+        if (mode === 'serial') barrier = task;
+        else if (mode !== 'parallel') lastInGroup.set(mode, task);
+      }
+      return Promise.all(tasks);
     };
 
-    const safePushMessage = (messages, role, content) => {
-      if (!content) return false;
-      if (!Array.isArray(messages)) return false;
-      messages.push({ role, content });
-      return true;
+    // 按技能的 resultMode 回传结果：
+    // - visible：合并为一条可见的 System Message（编号保持全批顺序）
+    // - hidden / continue：不进聊天记录，作为隐藏结果挂在当前这一轮上（随聊天保存），之后每次请求都注入给模型
+    // 成功结果的技能里只要有一个 autoContinue，就触发一次生成；
+    // 没有可见消息且存在 continue 技能时续写原回复（隐藏结果放在被续写的回复之前），否则新开一轮
+    // origin：本批调用所在的消息（隐藏结果挂在它上面）
+    const deliver = async (outcomes, { continueAfter, origin }) => {
+      const modeOf = (o) => registry.get(o.skillName)?.resultMode || 'visible';
+      const numbered = outcomes.map((o, i) =>
+        outcomes.length === 1 ? o.message : `[${i + 1}/${outcomes.length}] ${o.message}`,
+      );
+      // 可见结果带 display 时：聊天里显示 display，给模型的文本改为隐藏注入
+      const visible = [];
+      const hidden = [];
+      outcomes.forEach((o, i) => {
+        if (modeOf(o) !== 'visible') hidden.push(numbered[i]);
+        else if (o.display) {
+          visible.push(o.display);
+          hidden.push(numbered[i]);
+        } else visible.push(numbered[i]);
+      });
+
+      // 自动续写：把结果塞回去后，触发 generate() 让模型继续生成（用户已停止生成时不再续写）
+      const wantsGenerate = outcomes.some((o) => o.ok && registry.get(o.skillName)?.autoContinue !== false);
+      const generate = continueAfter && !batchAborted && wantsGenerate;
+      const asContinue = generate && !visible.length && outcomes.some((o) => modeOf(o) === 'continue');
+
+      if (visible.length) await stApi.api.addSystemMessage?.(visible.join('\n\n'));
+      if (hidden.length) hiddenResults.add(hidden.join('\n\n'), asContinue ? 'before' : 'after', origin);
+
+      if (!generate) return;
+      await stApi.api.triggerGenerate?.(asContinue ? 'continue' : undefined);
     };
 
-    try {
-      // 优先路径：结构化 messages 数组
-      if (Array.isArray(data?.messages)) {
-        if (systemPrompt) safePushMessage(data.messages, 'system', systemPrompt);
 
-        // 深度注入：尽量追加到最后一条 user 消息内容
-        if (depthNote) {
-          for (let i = data.messages.length - 1; i >= 0; i -= 1) {
-            const m = data.messages[i];
-            if (m && m.role === 'user' && typeof m.content === 'string') {
-              m.content = `${m.content}\n\n${depthNote}`.trim();
-              break;
-            }
-          }
-        }
-        return;
+    // 入参：单个 call 或同一条消息中解析出的 call 数组；options 见 runBatch。
+    // call:parsed 在这里发出：只有真正排队执行的调用才算（编辑消息里等待“立即执行”的标签不算）
+    const enqueue = (callOrCalls, options) => {
+      for (const call of Array.isArray(callOrCalls) ? callOrCalls : [callOrCalls]) {
+        if (call?.skillName) events.emit('call:parsed', { call, source: 'text' });
       }
+      queue = queue
+        .then(() => runBatch(callOrCalls, options))
+        .catch((err) => {
+          // 兜底：即使引擎自身出错，也不能让队列链断掉
+          safeConsole.error('Engine failure (ignored)', err);
+        });
+    };
 
-      // 回退路径：单一 prompt 字符串
-      if (safeAppendToStringField(data, 'prompt', systemPrompt)) {
-        // 尝试把紧凑提醒也追加到末尾，作为“类深度注入”兜底
-        safeAppendToStringField(data, 'prompt', depthNote);
-        return;
+    // 原生调用的一轮：一次生成里模型给出的全部 tool_calls（每次 GENERATION_STARTED 开始新的一轮）。
+    // ST 每次拿到工具结果都会自动续写，所以每轮按一批过熔断（回合深度按一轮算，全局频率按调用数），与文本协议的一条消息相同
+    let nativeGate = null;
+    const startNativeRound = () => {
+      nativeGate = null;
+    };
+
+    // 原生 tool calling：ST 的 ToolManager 调用 action 并等待返回文本，由 ST 写成 role: 'tool' 消息并续写。
+    // 这里只执行：每轮第一个调用检查批级熔断，之后的调用计入全局频率；被阻断时本轮余下的调用都回传 blocked；单个调用的熔断、确认、重试、日志同文本协议。
+    // 不插入 System Message、不触发续写；不进入消息队列：ST 在生成过程中等待结果，排队可能等到触发这次生成的那一批上
+    const runTool = async (call) => {
+      try {
+        events.emit('call:parsed', { call, source: 'native' });
+        if (!nativeGate) nativeGate = breaker.checkBatch(1);
+        else if (nativeGate.ok) nativeGate = breaker.checkMore(1);
+        if (!nativeGate.ok) {
+          ui.show({
+            title: 'Skill loop detected',
+            subtitle: `Blocked: ${nativeGate.detail}`,
+            level: 'error',
+            timeoutMs: 4200,
+          });
+          const blocked = resultFormat.failure(call.skillName, 'blocked', {
+            message: `Circuit breaker triggered (${nativeGate.detail}). Further calls are blocked to prevent infinite loops.`,
+            hint: 'Continue without calling skills.',
+          });
+          settle(call, blocked, 0);
+          return blocked.message;
+        }
+        const outcome = await runSkill({ ...call, source: 'native' });
+        return outcome.message;
+      } catch (err) {
+        safeConsole.error('Native tool call failed (ignored)', err);
+        return resultFormat.failure(call.skillName, 'error', { message: safeString(err?.message ?? err) }).message;
       }
+    };
 
-      // 其他常见字段：兼容部分 fork / provider 的命名
-      if (safeAppendToStringField(data, 'chat_completion_prompt', systemPrompt)) {
-        safeAppendToStringField(data, 'chat_completion_prompt', depthNote);
-      } else if (safeAppendToStringField(data, 'text', systemPrompt)) {
-        safeAppendToStringField(data, 'text', depthNote);
+    // 脚本直接调用技能：与模型调用走同一套执行路径（校验、事件、确认、超时、隔离、日志），
+    // 但不进入消息队列、不插入 System Message、不触发续写。
+    // 不排队也避免了技能 action 内部再 invoke() 其它技能时互相等待。
+    // options.signal：调用方的取消信号；options.chain：调用方所在的调用链（均为内部使用，如流水线步骤）
+    const invoke = async (skillName, args = {}, { signal, chain } = {}) => {
+      try {
+        const finalArgs = isPlainObject(args) ? args : {};
+        const outcome = await runSkill({
+          skillName: safeString(skillName, '').trim(),
+          args: finalArgs,
+          rawArgs: safeJsonStringify(finalArgs),
+          rawTag: '',
+          source: 'api',
+          signal,
+          chain,
+        });
+        return outcome.ok
+          ? { ok: true, outcome: outcome.outcome, data: outcome.data, display: outcome.display }
+          : { ok: false, outcome: outcome.outcome, error: outcome.error || outcome.message, data: outcome.data };
+      } catch (err) {
+        safeConsole.error('invoke() failed (ignored)', err);
+        return { ok: false, outcome: 'error', error: safeString(err?.message ?? err) };
       }
-    } catch (err) {
-      safeConsole.warn('Prompt injection failed (ignored)', err);
-    }
-  };
+    };
+
+    return { enqueue, abortAll, invoke, runTool, startNativeRound };
+  })();
 
   // -----------------------------
-  // 解析器（强容错）
+  // 模型消息来源（MESSAGE_RECEIVED → 聊天记录里的那条消息）
   // -----------------------------
 
-  const parser = (() => {
+  const messageSource = (() => {
+    // 每个聊天最多记住多少条消息的解析进度（超出丢弃最旧的）
+    const MAX_PROCESSED = 500;
+
+    const chatOf = () => {
+      const chat = stApi.api.getContext?.()?.chat;
+      if (Array.isArray(chat)) return chat;
+      return Array.isArray(window?.chat) ? window.chat : [];
+    };
+
+    // ST 发出的是消息下标；旧版本/其它 fork 可能直接给消息对象
+    const resolve = (data) => {
+      const index = typeof data === 'number' || typeof data === 'string' ? Number(data) : NaN;
+      if (Number.isInteger(index) && index >= 0) {
+        const message = chatOf()[index];
+        return message && typeof message === 'object' ? { message, index } : null;
+      }
+      if (data && typeof data === 'object') return { message: data, index: -1 };
+      return null;
+    };
+
+    const textOf = (message) =>
+      safeString(message?.mes, '') ||
+      safeString(message?.message, '') ||
+      safeString(message?.text, '') ||
+      safeString(message?.content, '');
+
+    // 只处理模型的正常回复：跳过用户消息、系统/隐藏消息，以及基座自己插入的结果消息
+    const skipReason = (message) => {
+      if (message.is_user || message.role === 'user') return 'user';
+      if (message.extra?.[EXT_ID]) return 'own';
+      if (message.is_system || message.role === 'system' || message.extra?.isSmallSys) return 'system';
+      if (message.is_hidden) return 'hidden';
+      return '';
+    };
+
     /**
-     * 强容错调用格式：
-     * - 允许多余空格/换行
-     * - 能穿透 Markdown 包裹（如 **[CALL: ...]** 或 ```[CALL: ...]```）
-     * - 参数可选
-     *
-     * 示例：
-     * [CALL: weather({"city":"Tokyo"})]
-     * [ CALL : weather ( city=Tokyo, days=3 ) ]
+     * 已解析进度：每条消息（同一 swipe）记住 { end, hash }。
+     * - end：已处理到的位置（最后一个调用标签的末尾）；hash：text.slice(0, end) 的指纹
+     * - 续写只会在末尾追加：前缀不变时只解析 end 之后新写出的标签，前面的调用不会重跑
+     * - 前缀变了（重新生成出的新内容等）则整条重新解析
+     * 重新加载聊天或重新渲染都不会重复执行
      */
-    const CALL_RE =
-      /\[\s*CALL\s*:\s*([a-zA-Z0-9_.-]+)\s*(?:\(\s*([\s\S]*?)\s*\))?\s*\]/g;
+    const slotKey = (message, index) => `${index}:${message.swipe_id ?? 0}`;
+
+    // 文本指纹（FNV-1a）
+    const hashText = (text) => {
+      let h = 0x811c9dc5;
+      for (let i = 0; i < text.length; i += 1) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+      }
+      return h.toString(16).padStart(8, '0');
+    };
 
-    const tryParseArgs = (raw) => {
-      const text = safeString(raw, '').trim();
-      if (!text) return { args: {}, raw: '' };
+    // 进度表：{ [slotKey]: { end, hash } }
+    const progress = metaSlot('parsed', () => ({}));
 
-      // 1）JSON（对象/数组/字符串）
-      const looksJson = (s) => {
-        const t = s.trim();
-        return (
-          (t.startsWith('{') && t.endsWith('}')) ||
-          (t.startsWith('[') && t.endsWith(']')) ||
-          (t.startsWith('"') && t.endsWith('"'))
-        );
-      };
-      if (looksJson(text)) {
-        try {
-          return { args: JSON.parse(text), raw: text };
-        } catch {
-          // 继续尝试下一种解析策略
-        }
+    // 本条消息从哪里开始解析：记录的前缀仍然一致时从 end 开始，否则从头开始
+    const parsedUpTo = (key, text) => {
+      try {
+        const rec = progress().value[key];
+        if (!isPlainObject(rec) || !Number.isInteger(rec.end) || rec.end > text.length) return 0;
+        return hashText(text.slice(0, rec.end)) === rec.hash ? rec.end : 0;
+      } catch {
+        return 0;
       }
+    };
 
-      // 2）key=value：a=1, b="x y", c=true
-      // 这里刻意做得更宽松：解析不了的内容会保存在 _raw，避免信息丢失。
-      const obj = {};
-      const parts = text
-        .split(',')
-        .map((p) => p.trim())
-        .filter(Boolean);
-
-      let parsedAny = false;
-      for (const part of parts) {
-        const idx = part.indexOf('=');
-        if (idx <= 0) continue;
-        const key = part.slice(0, idx).trim();
-        let val = part.slice(idx + 1).trim();
-        if (!key) continue;
+    const markParsed = (key, text, end) => {
+      try {
+        const { value: map, save } = progress();
+        delete map[key];
+        map[key] = { end, hash: hashText(text.slice(0, end)) };
+        const keys = Object.keys(map);
+        for (const k of keys.slice(0, Math.max(0, keys.length - MAX_PROCESSED))) delete map[k];
+        save();
+      } catch (err) {
+        safeConsole.warn('Failed to remember processed message (ignored)', err);
+      }
+    };
 
-        parsedAny = true;
-        // 尽力做标量类型推断
-        if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) {
-          val = val.slice(1, -1);
-        } else if (/^-?\d+(\.\d+)?$/.test(val)) {
-          val = Number(val);
-        } else if (/^(true|false)$/i.test(val)) {
-          val = /^true$/i.test(val);
-        } else if (/^(null)$/i.test(val)) {
-          val = null;
+    // 消息被删除（重新生成会先删掉最后一条）：下标 >= from 的进度作废，新消息同一位置从头解析
+    const forgetFrom = (from) => {
+      try {
+        const n = Number(from);
+        const start = Number.isInteger(n) && n >= 0 ? Math.min(n, chatOf().length) : chatOf().length;
+        const { value: map, save } = progress();
+        let changed = false;
+        for (const k of Object.keys(map)) {
+          if (Number(k.split(':')[0]) >= start) {
+            delete map[k];
+            changed = true;
+          }
         }
-        obj[key] = val;
+        if (changed) save();
+      } catch (err) {
+        safeConsole.warn('Failed to forget processed messages (ignored)', err);
       }
+    };
 
-      if (parsedAny) return { args: obj, raw: text };
-      return { args: { _raw: text }, raw: text };
+    // 文本标签（原生 tool_calls 由 ST 的 ToolManager 直接执行，不经过这里；纯原生模式下不解析文本）。
+    // 下标已知时给每个调用带上来源（用于 swipe / 重新生成的结果缓存）
+    const extract = (text, message, index) => {
+      const calls = nativeTools.currentMode() === 'native' ? [] : parser.extractCalls(text);
+      if (index < 0) return calls;
+      const origin = { chatId: stApi.api.getChatId?.() || '', index, swipeId: message.swipe_id ?? 0 };
+      return calls.map((call) => ({ ...call, origin }));
     };
 
-    const extractFirstCall = (text) => {
-      const input = safeString(text, '');
-      CALL_RE.lastIndex = 0;
-      const match = CALL_RE.exec(input);
-      if (!match) return null;
-      const skillName = safeString(match[1], '').trim();
-      const rawArgs = match[2];
-      const parsed = tryParseArgs(rawArgs);
-      return {
-        skillName,
-        args: parsed.args,
-        rawArgs: parsed.raw,
-        rawTag: match[0],
-      };
+    // 从 from 开始解析本条消息，并把进度推进到最后一个标签的末尾（没有标签时不记录）
+    const parseFrom = (message, index, from) => {
+      const text = textOf(message);
+      const fresh = text.slice(from);
+      const calls = extract(fresh, message, index);
+      const tags = parser.findTags(fresh);
+      if (index >= 0 && tags.length) markParsed(slotKey(message, index), text, from + tags[tags.length - 1].end);
+      return calls;
+    };
+
+    // MESSAGE_RECEIVED 的载荷 → 本条消息要执行的调用（不需要执行时返回空数组）
+    const collect = (data) => {
+      const resolved = resolve(data);
+      if (!resolved) return [];
+      const { message, index } = resolved;
+      if (skipReason(message)) return [];
+
+      // 下标未知（直接给了消息对象）时无法记录进度，只按内容解析
+      const from = index >= 0 ? parsedUpTo(slotKey(message, index), textOf(message)) : 0;
+      return parseFrom(message, index, from);
+    };
+
+    // MESSAGE_EDITED 的载荷 → 编辑后新出现的调用（这条消息里从未成功执行过的）。
+    // 不自动执行：由调用方提示用户“立即执行”。编辑后的全文记为已解析，之后续写不会再带出这些标签
+    const collectEdited = (data) => {
+      const resolved = resolve(data);
+      if (!resolved || resolved.index < 0 || skipReason(resolved.message)) return [];
+      return parseFrom(resolved.message, resolved.index, 0).filter((call) => !callCache.lookup(call));
     };
 
-    return { extractFirstCall };
+    // 流式检测截断后的消息：只取 since（续写前的原文长度）与已记录进度之后新写出的调用，并推进进度，
+    // 之后到达的 MESSAGE_RECEIVED 不会再执行一次
+    const collectStreamed = (index, since = 0) => {
+      const resolved = resolve(index);
+      if (!resolved || resolved.index < 0 || skipReason(resolved.message)) return [];
+      const { message } = resolved;
+      const from = Math.max(since, parsedUpTo(slotKey(message, index), textOf(message)));
+      return parseFrom(message, index, from);
+    };
+
+    return { collect, collectEdited, collectStreamed, forgetFrom };
   })();
 
   // -----------------------------
-  // 执行引擎（坦克层）
+  // 流式检测：调用标签一闭合就停止生成（不依赖后端的 stop sequence）
   // -----------------------------
 
-  const engine = (() => {
-    // 串行化所有调用：避免重入导致 UI 状态和消息流错乱
-    let queue = Promise.resolve();
+  const streamWatch = (() => {
+    // 停止生成后最多等多久让 ST 把消息写完
+    const END_WAIT_MS = 3000;
 
-    // 熔断窗口与阈值
-    const WINDOW_MS = 30_000;
-    const MAX_CALLS_PER_WINDOW = 5;
-    const recentCallTimestamps = [];
+    // 当前这次生成的监视状态；null = 未监视
+    let watch = null;
+    // 自己触发的停止：GENERATION_STOPPED 时不要中止刚派发的技能
+    let ownStop = false;
 
-    const bumpCircuitBreaker = () => {
-      const t = nowMs();
-      recentCallTimestamps.push(t);
-      while (recentCallTimestamps.length && t - recentCallTimestamps[0] > WINDOW_MS) {
-        recentCallTimestamps.shift();
-      }
-      return recentCallTimestamps.length;
+    const lastMessage = () => {
+      const chat = stApi.api.getContext?.()?.chat;
+      const index = Array.isArray(chat) ? chat.length - 1 : -1;
+      return index >= 0 ? { message: chat[index], index } : null;
     };
 
-    const runSkill = async ({ skillName, args, rawArgs }) => {
-      const count = bumpCircuitBreaker();
-      if (count > MAX_CALLS_PER_WINDOW) {
-        ui.show({
-          title: 'Skill loop detected',
-          subtitle: `Blocked after ${MAX_CALLS_PER_WINDOW} calls / ${Math.floor(WINDOW_MS / 1000)}s`,
-          level: 'error',
-          timeoutMs: 4200,
-        });
-
-        await stApi.api.addSystemMessage?.(
-          `st-agentskills: Circuit breaker triggered. The model called skills too frequently (${count} calls within ${Math.floor(
-            WINDOW_MS / 1000,
-          )}s). Further calls are blocked to prevent infinite loops.`,
-        );
-        return;
-      }
-
-      const skill = registry.get(skillName);
-      if (!skill || !skill.enabled) {
-        ui.show({
-          title: 'Skill not found',
-          subtitle: skill ? `${skillName} is disabled` : skillName,
-          level: 'error',
-          timeoutMs: 2400,
-        });
-        await stApi.api.addSystemMessage?.(
-          `Skill call failed: "${skillName}" is not registered or not enabled.`,
-        );
-        return;
+    // GENERATION_STARTED：(type, options, dryRun)。代拟用户发言（impersonate）和后台 quiet 生成不监视
+    const start = (type, options, dryRun) => {
+      watch = null;
+      if (dryRun || ['impersonate', 'quiet'].includes(type)) return;
+      if (!settingsStore.get().stopOnStreamedCall || nativeTools.currentMode() === 'native') return;
+
+      // 续写：消息里原有的调用早已执行过，只看新写出来的部分
+      let baseline = '';
+      if (type === 'continue') {
+        const last = lastMessage();
+        if (last && !last.message?.is_user) baseline = safeString(last.message?.mes, '');
       }
-
-      const dispose = ui.show({
-        title: 'Skill executing…',
-        subtitle: `${skillName}`,
-        level: 'info',
-        timeoutMs: 0, // manual dispose
+      let resolveEnd = () => {};
+      const ended = new Promise((resolve) => {
+        resolveEnd = resolve;
       });
+      // scanFrom：上次扫描后仍可能有未闭合标签的位置（相对新写出的部分），每个 token 只从这里重新扫描；
+      // claimed：已由流式检测处理（并记录了解析进度）的消息下标
+      watch = { text: '', baseline, scanFrom: 0, triggered: false, handling: false, claimed: -1, ended, resolveEnd };
+    };
 
+    const truncateAfter = (message, index, rawTag, since) => {
+      const text = safeString(message.mes, '');
+      const at = rawTag ? text.indexOf(rawTag, since) : -1;
+      if (at < 0) return false;
+      const cut = text.slice(0, at + rawTag.length);
+      if (cut === text) return false;
+      message.mes = cut;
+      if (Array.isArray(message.swipes) && Number.isInteger(message.swipe_id)) message.swipes[message.swipe_id] = cut;
+      const ctx = stApi.api.getContext?.();
       try {
-        // 不可信边界：外部 action()（必须被 try/catch 包裹）
-        const result = await skill.action({
-          name: skillName,
-          args,
-          rawArgs,
-        });
-
-        const payload =
-          typeof result === 'string'
-            ? result
-            : isPlainObject(result) || Array.isArray(result)
-              ? safeJsonStringify(result)
-              : safeString(result);
-
-        await stApi.api.addSystemMessage?.(
-          [
-            `Skill result: ${skillName}`,
-            '---',
-            payload || '(empty result)',
-          ].join('\n'),
-        );
-
-        // 自动续写：把结果塞回去后，触发 generate() 让模型继续生成
-        await stApi.api.triggerGenerate?.();
+        ctx?.updateMessageBlock?.(index, message);
       } catch (err) {
-        // 防御性：skill 失败绝不外溢
-        const errorText =
-          err instanceof Error
-            ? `${err.name}: ${err.message}\n${err.stack || ''}`.trim()
-            : safeString(err);
-
-        ui.show({
-          title: 'Skill failed',
-          subtitle: `${skillName}`,
-          level: 'error',
-          timeoutMs: 4200,
-        });
+        safeConsole.warn('updateMessageBlock failed (ignored)', err);
+      }
+      Promise.resolve()
+        .then(() => ctx?.saveChat?.())
+        .catch((err) => safeConsole.warn('saveChat failed (ignored)', err));
+      return true;
+    };
 
-        await stApi.api.addSystemMessage?.(
-          [
-            `Skill execution failed: ${skillName}`,
-            '---',
-            errorText || '(unknown error)',
-          ].join('\n'),
-        );
+    const handle = async (current, tag) => {
+      try {
+        // 先置位：有的实现会在 stopGeneration() 内同步发出 GENERATION_STOPPED
+        ownStop = true;
+        ownStop = stApi.api.stopGeneration();
+        // 停不下来：交给 MESSAGE_RECEIVED 按原流程处理
+        if (!ownStop) return;
+
+        await Promise.race([current.ended, sleep(END_WAIT_MS)]);
+        // 给 ST 一点时间把最终文本写回聊天记录
+        await sleep(50);
+
+        const last = lastMessage();
+        if (!last || last.message?.is_user) return;
+        const since = current.baseline && safeString(last.message.mes, '').startsWith(current.baseline)
+          ? current.baseline.length
+          : 0;
+        truncateAfter(last.message, last.index, tag.call.rawTag, since);
+        const calls = messageSource.collectStreamed(last.index, since);
+        // 在清除 handling 之前认领这条消息：之后才到的 MESSAGE_RECEIVED 不会再执行一次
+        current.claimed = last.index;
+        if (calls.length) engine.enqueue(calls);
+      } catch (err) {
+        safeConsole.warn('Streamed call handling failed (ignored)', err);
       } finally {
-        try {
-          dispose?.();
-        } catch {}
+        current.handling = false;
+        ownStop = false;
       }
     };
 
-    const enqueue = (call) => {
-      queue = queue
-        .then(() => runSkill(call))
-        .catch((err) => {
-          // 兜底：即使引擎自身出错，也不能让队列链断掉
-          safeConsole.error('Engine failure (ignored)', err);
-        });
+    // STREAM_TOKEN_RECEIVED：ST 传的是“到目前为止的全文”；也兼容只传增量的实现
+    const onToken = (payload) => {
+      const current = watch;
+      if (!current || current.triggered || typeof payload !== 'string') return;
+      current.text = !current.text || payload.startsWith(current.text) ? payload : current.text + payload;
+
+      let fresh = current.text;
+      if (current.baseline && fresh.startsWith(current.baseline)) fresh = fresh.slice(current.baseline.length);
+      const [tag] = parser.findTags(fresh, Math.min(current.scanFrom, fresh.length));
+      if (!tag) {
+        current.scanFrom = parser.resumeScanAt(fresh, current.scanFrom);
+        return;
+      }
+
+      current.triggered = true;
+      current.handling = true;
+      safeConsole.debug('Call tag closed while streaming; stopping generation:', tag.call.skillName);
+      handle(current, tag);
+    };
+
+    // 生成结束（正常结束 / 停止 / MESSAGE_RECEIVED）
+    const end = () => {
+      watch?.resolveEnd();
     };
 
-    return { enqueue };
+    // 正在处理流式检测到的调用，或 data 指向的消息已由流式检测处理过：MESSAGE_RECEIVED 不要按原流程再执行一次
+    const isHandling = (data) => {
+      if (!watch) return false;
+      if (watch.handling) return true;
+      const index = typeof data === 'number' || typeof data === 'string' ? Number(data) : NaN;
+      return watch.claimed >= 0 && index === watch.claimed;
+    };
+
+    // GENERATION_STOPPED 是否由流式检测自己触发
+    const isOwnStop = () => ownStop;
+
+    return { start, onToken, end, isHandling, isOwnStop };
   })();
 
   // -----------------------------
@@ -1369,6 +6359,12 @@
       safeConsole.warn('初始化创作者面板失败（忽略）', err);
     }
 
+    try {
+      nativeTools.sync();
+    } catch (err) {
+      safeConsole.warn('同步原生工具失败（忽略）', err);
+    }
+
     const eventSource = stApi.api.eventSource;
     const types = stApi.api.eventTypes;
 
@@ -1386,24 +6382,143 @@
           safeConsole.warn('CHAT_COMPLETION_PROMPT_READY handler failed (ignored)', err);
         }
       });
+      // 文本补全 API：拼好的 prompt 字符串（data.prompt）
+      if (types.GENERATE_AFTER_COMBINE_PROMPTS) {
+        eventSource.on(types.GENERATE_AFTER_COMBINE_PROMPTS, (data) => {
+          try {
+            if (typeof data?.prompt === 'string') injectPrompt(data);
+          } catch (err) {
+            safeConsole.warn('GENERATE_AFTER_COMBINE_PROMPTS handler failed (ignored)', err);
+          }
+        });
+      }
     } catch (err) {
       safeConsole.warn('Failed to attach prompt injection listener (ignored)', err);
     }
 
+    // 1.5）停止生成按钮：同时中止正在执行的技能
+    try {
+      eventSource.on(types.GENERATION_STOPPED, () => {
+        try {
+          streamWatch.end();
+          // 流式检测自己停的生成：接下来要执行刚写出的调用，不能中止
+          if (streamWatch.isOwnStop()) return;
+          engine.abortAll('stopped');
+        } catch (err) {
+          safeConsole.warn('GENERATION_STOPPED handler failed (ignored)', err);
+        }
+      });
+    } catch (err) {
+      safeConsole.warn('Failed to attach GENERATION_STOPPED listener (ignored)', err);
+    }
+
+    // 1.55）流式检测：调用标签一闭合就停止生成并立即执行
+    try {
+      if (types.GENERATION_STARTED) {
+        eventSource.on(types.GENERATION_STARTED, (type, options, dryRun) => {
+          try {
+            // ST 组装请求体之前：把技能同步为 ToolManager 的函数工具（技能/协议设置可能已变化）
+            nativeTools.sync();
+            if (!dryRun) engine.startNativeRound();
+            // swipe / 重新生成：重掷的回复会再写出同样的调用，开启新的熔断回合（不算重复，也不加深度）
+            if (!dryRun && ['swipe', 'regenerate'].includes(type)) breaker.startTurn();
+            streamWatch.start(type, options, dryRun);
+          } catch (err) {
+            safeConsole.warn('GENERATION_STARTED handler failed (ignored)', err);
+          }
+        });
+      }
+      if (types.STREAM_TOKEN_RECEIVED) {
+        eventSource.on(types.STREAM_TOKEN_RECEIVED, (text) => {
+          try {
+            streamWatch.onToken(text);
+          } catch (err) {
+            safeConsole.warn('STREAM_TOKEN_RECEIVED handler failed (ignored)', err);
+          }
+        });
+      }
+      if (types.GENERATION_ENDED) eventSource.on(types.GENERATION_ENDED, () => streamWatch.end());
+    } catch (err) {
+      safeConsole.warn('Failed to attach streaming listeners (ignored)', err);
+    }
+
+    // 1.6）用户发送新消息：开启新的熔断回合（深度/重复计数清零）
+    try {
+      eventSource.on(types.MESSAGE_SENT, () => {
+        try {
+          breaker.startTurn();
+        } catch (err) {
+          safeConsole.warn('MESSAGE_SENT handler failed (ignored)', err);
+        }
+      });
+    } catch (err) {
+      safeConsole.warn('Failed to attach MESSAGE_SENT listener (ignored)', err);
+    }
+
+    // 1.7）编辑消息后新增了调用标签：不静默执行，提示用户“立即执行”
+    try {
+      eventSource.on(types.MESSAGE_EDITED, (data) => {
+        try {
+          const calls = messageSource.collectEdited(data);
+          if (!calls.length) return;
+          const dispose = ui.show({
+            title: 'New skill call in edited message',
+            subtitle: calls.map((c) => c.skillName).join(', '),
+            level: 'info',
+            timeoutMs: 20_000,
+            actions: [
+              {
+                label: 'Run now',
+                onClick: () => {
+                  dispose();
+                  // 编辑的可能是较早的消息：只回传结果，不触发续写
+                  engine.enqueue(calls, { continueAfter: false });
+                },
+              },
+              { label: 'Dismiss', onClick: () => dispose() },
+            ],
+          });
+        } catch (err) {
+          safeConsole.warn('MESSAGE_EDITED handler failed (ignored)', err);
+        }
+      });
+    } catch (err) {
+      safeConsole.warn('Failed to attach MESSAGE_EDITED listener (ignored)', err);
+    }
+
+    // 1.8）消息（重新）渲染后：把已执行的调用标签显示为卡片
+    try {
+      for (const type of [types.CHARACTER_MESSAGE_RENDERED, types.MESSAGE_UPDATED, types.MESSAGE_SWIPED]) {
+        if (!type) continue;
+        eventSource.on(type, (index) => {
+          try {
+            tagView.render(index);
+          } catch (err) {
+            safeConsole.warn('message render handler failed (ignored)', err);
+          }
+        });
+      }
+      if (types.CHAT_CHANGED) {
+        // 切换聊天后消息 DOM 可能还没画完：稍后整体渲染一次
+        eventSource.on(types.CHAT_CHANGED, () => {
+          sleep(100).then(() => tagView.renderAll());
+        });
+      }
+    } catch (err) {
+      safeConsole.warn('Failed to attach message render listeners (ignored)', err);
+    }
+
     // 2）解析模型输出并触发执行闭环
     try {
       eventSource.on(types.MESSAGE_RECEIVED, (data) => {
         try {
-          // data 结构可能不同：尝试常见字段
-          const text =
-            safeString(data?.mes, '') ||
-            safeString(data?.message, '') ||
-            safeString(data?.text, '') ||
-            safeString(data?.content, '');
-
-          const call = parser.extractFirstCall(text);
-          if (!call) return;
-          engine.enqueue(call);
+          streamWatch.end();
+          // 流式检测已截获本次回复里的调用：由它截断消息后执行
+          if (streamWatch.isHandling(data)) return;
+          // data 通常是消息下标：由 messageSource 解析出聊天记录里的消息并去重
+          const calls = messageSource.collect(data);
+          if (!calls.length) return;
+          engine.enqueue(calls);
         } catch (err) {
           safeConsole.warn('MESSAGE_RECEIVED handler failed (ignored)', err);
         }
@@ -1412,6 +6527,22 @@
       safeConsole.warn('Failed to attach MESSAGE_RECEIVED listener (ignored)', err);
     }
 
+    // 2.1）删除消息（重新生成会先删掉最后一条）：同一位置的新消息要从头解析，挂在被删消息上的隐藏结果作废
+    try {
+      if (types.MESSAGE_DELETED) {
+        eventSource.on(types.MESSAGE_DELETED, (chatLength) => {
+          try {
+            messageSource.forgetFrom(chatLength);
+            hiddenResults.forgetFrom(chatLength);
+          } catch (err) {
+            safeConsole.warn('MESSAGE_DELETED handler failed (ignored)', err);
+          }
+        });
+      }
+    } catch (err) {
+      safeConsole.warn('Failed to attach MESSAGE_DELETED listener (ignored)', err);
+    }
+
     safeConsole.debug(`Loaded v${EXT_VERSION}`);
   };
 
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt, flush } = require('./helpers/load');
+
+const setup = (settings = {}) => {
+  const m = load();
+  const st = fakeSt(m);
+  m.settingsStore.update({ confirmRisks: [], ...settings });
+  return { m, st };
+};
+
+test('the global rate counts calls, not batches', () => {
+  const { m } = setup({ breakerMaxCalls: 3 });
+  const tripped = [];
+  m.events.on('breaker:tripped', (e) => tripped.push(e.reason));
+  assert.equal(m.breaker.checkBatch(2).ok, true);
+  const r = m.breaker.checkBatch(2);
+  assert.equal(r.ok, false);
+  assert.equal(r.reason, 'rate');
+  assert.match(r.detail, /^4 calls within 30s \(limit 3\)/);
+  assert.deepEqual(tripped, ['rate']);
+  assert.equal(m.breaker.status().recentCalls, 4);
+});
+
+test('turn depth counts batches and resets on a new turn', () => {
+  const { m } = setup({ maxDepthPerTurn: 2 });
+  assert.equal(m.breaker.checkBatch(1).ok, true);
+  assert.equal(m.breaker.checkBatch(1).ok, true);
+  assert.equal(m.breaker.checkBatch(1).reason, 'depth');
+  m.breaker.startTurn();
+  assert.equal(m.breaker.checkBatch(1).ok, true);
+  assert.equal(m.breaker.status().tripped, null);
+});
+
+test('identical calls are limited per turn; per-skill rate limits apply on their own', () => {
+  const { m } = setup({ maxRepeatSameCall: 2 });
+  const skill = { name: 'look' };
+  assert.equal(m.breaker.checkCall(skill, { q: 'a' }).ok, true);
+  assert.equal(m.breaker.checkCall(skill, { q: 'a' }).ok, true);
+  assert.equal(m.breaker.checkCall(skill, { q: 'b' }).ok, true);
+  assert.equal(m.breaker.checkCall(skill, { q: 'a' }).reason, 'repeat');
+
+  const limited = { name: 'limited', rateLimit: { maxCalls: 1, windowMs: 60_000 } };
+  assert.equal(m.breaker.checkCall(limited, { n: 1 }).ok, true);
+  assert.equal(m.breaker.checkCall(limited, { n: 2 }).reason, 'skill_rate');
+});
+
+test('reset clears every counter and notifies subscribers', () => {
+  const { m } = setup({ maxDepthPerTurn: 1 });
+  const seen = [];
+  m.breaker.subscribe((status) => seen.push(status.tripped?.reason ?? null));
+  m.breaker.checkBatch(1);
+  m.breaker.checkBatch(1);
+  m.breaker.reset();
+  assert.deepEqual(seen, ['depth', null]);
+  assert.deepEqual(m.breaker.status(), { tripped: null, turnDepth: 0, recentCalls: 0 });
+});
+
+test('swiping or regenerating the same reply does not count as a repeat', async () => {
+  const { m, st } = setup({ maxRepeatSameCall: 1 });
+  await m.attach();
+  let runs = 0;
+  m.registry.register({
+    name: 'lookup',
+    description: 'Lookup',
+    autoContinue: false,
+    action: () => {
+      runs += 1;
+      return 'found';
+    },
+  });
+  const reroll = async (type) => {
+    st.eventSource.emit('GENERATION_STARTED', type);
+    m.engine.enqueue(m.parser.extractCalls('[CALL: lookup(q=x)]'));
+    await flush(20);
+  };
+  await reroll('normal');
+  await reroll('swipe');
+  await reroll('regenerate');
+  assert.equal(runs, 3);
+
+  // 同一回合里模型自己再写一次同样的调用：仍然算重复
+  await reroll('normal');
+  assert.equal(runs, 3);
+  assert.match(st.systemMessages.at(-1), /blocked/);
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt, flush, answerDialogs } = require('./helpers/load');
+
+// reply(mes, swipeId)：模型写出第 1 条消息；swipeId > 0 = 同一条消息的新 swipe
+const setup = async ({ settings = {}, answers = ['重放上次结果'] } = {}) => {
+  const m = load();
+  const chat = [{ is_user: true, mes: 'hi' }];
+  const st = fakeSt(m, { chat });
+  m.settingsStore.update({ confirmRisks: [], breakerMaxCalls: 20, ...settings });
+  const asked = answerDialogs(answers);
+  const runs = [];
+  const skill = (name, extra) =>
+    m.registry.register({
+      name,
+      description: name,
+      autoContinue: false,
+      action: ({ args }) => {
+        runs.push(`${name}:${args.n}`);
+        return `${name} done ${runs.length}`;
+      },
+      ...extra,
+    });
+  await m.attach();
+
+  const reply = async (mes, swipeId = 0) => {
+    st.eventSource.emit('GENERATION_STARTED', swipeId ? 'swipe' : 'normal');
+    chat[1] = { is_user: false, mes, swipe_id: swipeId, send_date: `d${swipeId}` };
+    st.eventSource.emit('MESSAGE_RECEIVED', 1);
+    await flush(30);
+  };
+  return { m, st, asked, runs, skill, reply };
+};
+
+test('a swipe replays the cached result of a non-idempotent call instead of running it again', async () => {
+  const { st, runs, skill, reply } = await setup();
+  skill('save.note', { risk: 'write' });
+  await reply('Saving. [CALL: save.note(n=1)]');
+  await reply('Saving again. [CALL: save.note(n=1)]', 1);
+
+  assert.deepEqual(runs, ['save.note:1']);
+  assert.match(st.systemMessages.at(-1), /save\.note done 1/);
+  assert.match(st.systemMessages.at(-1), /Replayed from an earlier swipe/);
+  const cached = st.chatMetadata['st-agentskills'].results;
+  assert.deepEqual(
+    cached.map((e) => [e.swipeId, e.outcome]),
+    [
+      [0, 'ok'],
+      [1, 'replayed'],
+    ],
+  );
+});
+
+test('idempotent calls, other arguments and failed calls run again', async () => {
+  const { runs, skill, reply, m } = await setup();
+  skill('lookup', { risk: 'low' });
+  skill('save.note', { risk: 'write' });
+  let fail = true;
+  m.registry.register({
+    name: 'flaky',
+    description: 'flaky',
+    risk: 'write',
+    autoContinue: false,
+    action: () => {
+      runs.push('flaky');
+      if (fail) throw new Error('down');
+      return 'up';
+    },
+  });
+  await reply('[CALL: lookup(n=1)] [CALL: save.note(n=1)] [CALL: flaky()]');
+  fail = false;
+  await reply('[CALL: lookup(n=1)] [CALL: save.note(n=2)] [CALL: flaky()]', 1);
+  assert.deepEqual(runs, ['lookup:1', 'save.note:1', 'flaky', 'lookup:1', 'save.note:2', 'flaky']);
+});
+
+test('with repeatPolicy "ask" the user can run the call again or skip it', async () => {
+  const { st, asked, runs, skill, reply } = await setup({
+    settings: { repeatPolicy: 'ask' },
+    answers: ['重新执行', '跳过'],
+  });
+  skill('save.note', { risk: 'write' });
+  await reply('[CALL: save.note(n=1)]');
+  await reply('[CALL: save.note(n=1)]', 1);
+  assert.deepEqual(runs, ['save.note:1', 'save.note:1']);
+
+  await reply('[CALL: save.note(n=1)]', 2);
+  assert.deepEqual(runs, ['save.note:1', 'save.note:1']);
+  assert.match(st.systemMessages.at(-1), /\(skipped\)/);
+  assert.deepEqual(asked, ['再次执行技能：save.note？', '再次执行技能：save.note？']);
+});
+
+test('the call fingerprint ignores argument order', () => {
+  const { callCache } = load();
+  const a = callCache.hashCall({ skillName: 's', args: { x: 1, y: [1, 2] } });
+  assert.equal(a, callCache.hashCall({ skillName: 's', args: { y: [1, 2], x: 1 } }));
+  assert.notEqual(a, callCache.hashCall({ skillName: 's', args: { x: 2, y: [1, 2] } }));
+  assert.notEqual(a, callCache.hashCall({ skillName: 't', args: { x: 1, y: [1, 2] } }));
+});
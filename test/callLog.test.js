@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt, flush } = require('./helpers/load');
+
+// 测试环境没有 IndexedDB：日志记在内存里
+const setup = () => {
+  const m = load();
+  fakeSt(m);
+  m.settingsStore.update({ confirmRisks: [] });
+  m.registry.register({
+    name: 'lookup',
+    description: 'Lookup',
+    autoContinue: false,
+    action: ({ args }) => `found ${args.q}`,
+  });
+  m.registry.register({ name: 'long', description: 'Long', action: () => 'x'.repeat(3000) });
+  m.registry.register({
+    name: 'broken',
+    description: 'Broken',
+    action: () => {
+      throw new Error('boom');
+    },
+  });
+  return m;
+};
+
+test('every finished call is logged with its source, outcome and attempts', async () => {
+  const m = setup();
+  await m.engine.invoke('lookup', { q: 'a' });
+  await m.engine.invoke('broken', {});
+  m.engine.enqueue(m.parser.extractCalls('[CALL: lookup(q=b)]'));
+  await flush(30);
+
+  const records = await m.callLog.list();
+  assert.deepEqual(
+    records.map((r) => [r.skill, r.source, r.outcome, r.attempts]),
+    [
+      ['lookup', 'text', 'ok', 1],
+      ['broken', 'api', 'error', 1],
+      ['lookup', 'api', 'ok', 1],
+    ],
+  );
+  const [fromText, failed] = records;
+  assert.equal(fromText.chatId, 'chat-1');
+  assert.equal(fromText.rawTag, '[CALL: lookup(q=b)]');
+  assert.equal(JSON.parse(fromText.args).q, 'b');
+  assert.match(fromText.result, /found b/);
+  // 调用栈只记在日志里
+  assert.match(failed.error, /boom[\s\S]*at /);
+});
+
+test('long texts are cut in the log', async () => {
+  const m = setup();
+  await m.engine.invoke('long', {});
+  const [record] = await m.callLog.list();
+  assert.ok(record.result.length < 2100);
+  assert.match(record.result, /…\(\+\d+ chars\)$/);
+});
+
+test('list filters by skill, outcome and free text; clear empties the log', async () => {
+  const m = setup();
+  await m.engine.invoke('lookup', { q: 'apple' });
+  await m.engine.invoke('lookup', { q: 'pear' });
+  await m.engine.invoke('broken', {});
+
+  const names = async (filter) => (await m.callLog.list(filter)).map((r) => `${r.skill}:${r.outcome}`);
+  assert.deepEqual(await names({ skill: 'lookup' }), ['lookup:ok', 'lookup:ok']);
+  assert.deepEqual(await names({ outcome: 'error' }), ['broken:error']);
+  assert.deepEqual(await names({ query: 'PEAR' }), ['lookup:ok']);
+  assert.equal((await m.callLog.list({ limit: 1 })).length, 1);
+
+  await m.callLog.clear();
+  assert.deepEqual(await m.callLog.list(), []);
+});
+
+test('CSV export quotes cells that need it', () => {
+  const { callLog } = load();
+  const csv = callLog.toCsv([
+    {
+      ts: 0,
+      chatId: 'c',
+      skill: 'say',
+      source: 'text',
+      outcome: 'ok',
+      durationMs: 5,
+      attempts: 1,
+      args: '{"a":"x, "}',
+    },
+  ]);
+  const [header, row] = csv.split('\r\n');
+  assert.equal(header, 'ts,chatId,skill,source,outcome,durationMs,attempts,rawTag,args,result,error');
+  assert.equal(row, '1970-01-01T00:00:00.000Z,c,say,text,ok,5,1,,"{""a"":""x, ""}",,');
+});
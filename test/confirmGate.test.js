@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt, answerDialogs } = require('./helpers/load');
+
+const setup = (answers) => {
+  const m = load();
+  const st = fakeSt(m);
+  const saves = { debounced: 0, direct: 0 };
+  Object.assign(m.stApi.api.getContext(), {
+    saveMetadataDebounced: () => {
+      saves.debounced += 1;
+    },
+    saveMetadata: () => {
+      saves.direct += 1;
+    },
+  });
+  const asked = answerDialogs(answers);
+  const runs = [];
+  const skill = (name, extra) =>
+    m.registry.register({
+      name,
+      description: name,
+      action: ({ args }) => {
+        runs.push(name);
+        return args;
+      },
+      ...extra,
+    });
+  return { m, st, saves, asked, runs, skill };
+};
+
+test('a denied call does not run and tells the model it was declined', async () => {
+  const { m, asked, runs, skill } = setup(['拒绝']);
+  skill('save.note', { risk: 'write' });
+  const r = await m.engine.invoke('save.note', { text: 'x' });
+  assert.equal(r.ok, false);
+  assert.equal(r.outcome, 'denied');
+  assert.deepEqual(runs, []);
+  assert.deepEqual(asked, ['允许执行技能：save.note？']);
+});
+
+test('only configured risks ask, unless the skill says otherwise', async () => {
+  const { m, asked, runs, skill } = setup(['允许']);
+  skill('read', { risk: 'low' });
+  skill('read.private', { risk: 'low', requiresConfirmation: true });
+  skill('write.quiet', { risk: 'write', requiresConfirmation: false });
+  for (const name of ['read', 'read.private', 'write.quiet']) {
+    assert.equal((await m.engine.invoke(name, {})).ok, true);
+  }
+  assert.deepEqual(runs, ['read', 'read.private', 'write.quiet']);
+  assert.deepEqual(asked, ['允许执行技能：read.private？']);
+});
+
+test('"always allow" is saved with the chat and stops asking', async () => {
+  const { m, st, saves, asked, runs, skill } = setup(['本聊天始终允许']);
+  skill('save.note', { risk: 'write' });
+  // 并行的两次调用：弹窗一次只弹一个，第一个选了始终允许后第二个不再弹
+  await Promise.all([m.engine.invoke('save.note', { n: 1 }), m.engine.invoke('save.note', { n: 2 })]);
+  await m.engine.invoke('save.note', { n: 3 });
+  assert.equal(runs.length, 3);
+  assert.equal(asked.length, 1);
+  assert.deepEqual(st.chatMetadata['st-agentskills'].alwaysAllow, ['save.note']);
+  // 有防抖版本时只用防抖版本保存
+  assert.deepEqual(saves, { debounced: 1, direct: 0 });
+});
+
+test('without chat metadata the allow list is kept per chat in memory', async () => {
+  const { m, asked, skill } = setup(['本聊天始终允许']);
+  const ctx = m.stApi.api.getContext();
+  ctx.chatMetadata = null;
+  let chatId = 'chat-a';
+  m.stApi.api.getChatId = () => chatId;
+  skill('save.note', { risk: 'write' });
+
+  await m.engine.invoke('save.note', { n: 1 });
+  await m.engine.invoke('save.note', { n: 2 });
+  assert.equal(asked.length, 1);
+  chatId = 'chat-b';
+  await m.engine.invoke('save.note', { n: 3 });
+  assert.equal(asked.length, 2);
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt, flush } = require('./helpers/load');
+
+const pipeline = (name, steps) => ({ name, type: 'pipeline', pipeline: { steps } });
+
+// 外部技能 read（low）/ write（write，稍慢）+ 一组创作者技能
+const setup = (creatorSkills) => {
+  const m = load();
+  fakeSt(m);
+  m.settingsStore.update({ confirmRisks: [] });
+  m.registry.register({ name: 'read', description: 'Read', risk: 'low', action: () => 'r' });
+  m.registry.register({
+    name: 'write',
+    description: 'Write',
+    risk: 'write',
+    action: async () => {
+      await flush(20);
+      return 'w';
+    },
+  });
+  m.creatorStore.replaceAll(creatorSkills);
+  m.creatorSkillRuntime.registerAll();
+  return m;
+};
+
+test('pipeline risk and idempotency come from the most dangerous step', () => {
+  const m = setup([
+    pipeline('p.read', [{ skill: 'read' }]),
+    pipeline('p.write', [{ skill: 'read' }, { skill: 'write' }]),
+    pipeline('p.outer', [{ skill: 'p.write' }]),
+    pipeline('p.http', [{ skill: 'fetcher' }]),
+    pipeline('p.unknown', [{ skill: 'later.registered' }]),
+    { name: 'fetcher', type: 'http', http: { url: 'https://example.com' } },
+  ]);
+  const traits = (name) => {
+    const s = m.registry.get(name);
+    return [s.risk, s.idempotent];
+  };
+  assert.deepEqual(traits('p.read'), ['low', true]);
+  assert.deepEqual(traits('p.write'), ['write', false]);
+  assert.deepEqual(traits('p.outer'), ['write', false]);
+  assert.deepEqual(traits('p.http'), ['network', false]);
+  assert.deepEqual(traits('p.unknown'), ['write', false]);
+});
+
+test('an unknown jump target fails the run instead of ending it as a success', async () => {
+  const m = setup([pipeline('p.bad', [{ skill: 'read', onOk: 'nowhere' }, { skill: 'read' }])]);
+  const r = await m.engine.invoke('p.bad', {});
+  assert.equal(r.ok, false);
+  assert.match(r.error, /nowhere/);
+});
+
+test('parallel runs of the same pipeline do not look recursive; real recursion still fails', async () => {
+  const m = setup([
+    pipeline('p.write', [{ skill: 'write' }]),
+    pipeline('p.outer', [{ skill: 'p.write' }]),
+    pipeline('p.self', [{ skill: 'p.self' }]),
+  ]);
+  const runs = await Promise.all([m.engine.invoke('p.write', {}), m.engine.invoke('p.outer', {})]);
+  assert.deepEqual(
+    runs.map((r) => r.ok),
+    [true, true],
+  );
+
+  const self = await m.engine.invoke('p.self', {});
+  assert.equal(self.ok, false);
+  assert.match(self.error, /already running/);
+});
+
+test('pipeline steps count toward per-skill rate limits and repeat detection; direct invoke() does not', async () => {
+  const m = setup([
+    pipeline('p.limited', [{ skill: 'limited' }]),
+    pipeline('p.loop', [{ skill: 'read' }, { skill: 'read' }, { skill: 'read' }]),
+  ]);
+  m.registry.register({
+    name: 'limited',
+    description: 'Limited',
+    risk: 'low',
+    rateLimit: { maxCalls: 1, windowMs: 60000 },
+    action: () => 'l',
+  });
+  for (let i = 0; i < 3; i += 1) assert.equal((await m.engine.invoke('limited', {})).ok, true);
+
+  assert.equal((await m.engine.invoke('p.limited', {})).ok, true);
+  const limited = await m.engine.invoke('p.limited', {});
+  assert.equal(limited.ok, false);
+  assert.match(limited.error, /limit 1/);
+
+  // 默认同一回合相同调用最多 2 次
+  const loop = await m.engine.invoke('p.loop', {});
+  assert.equal(loop.ok, false);
+  assert.match(loop.error, /identical args/);
+});
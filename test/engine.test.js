@@ -0,0 +1,296 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt, flush } = require('./helpers/load');
+
+// 新实例 + 假 ST；关掉确认弹窗（测试里没有人点按钮）
+const setup = () => {
+  const m = load();
+  const st = fakeSt(m);
+  m.settingsStore.update({ confirmRisks: [] });
+  return { m, st };
+};
+
+test('call:parsed fires when calls are queued, not when text is parsed', async () => {
+  const { m } = setup();
+  m.registry.register({ name: 'ping', description: 'Ping', action: () => 'pong' });
+  const seen = [];
+  m.events.on('call:parsed', ({ call, source }) => seen.push(`${source}:${call.skillName}`));
+
+  const calls = m.parser.extractCalls('[CALL: ping()]');
+  assert.equal(calls.length, 1);
+  assert.deepEqual(seen, []);
+
+  m.engine.enqueue(calls);
+  assert.deepEqual(seen, ['text:ping']);
+  await flush(10);
+});
+
+// 记录每个技能开始/结束顺序的技能集合：action 等待 ms 毫秒
+const timeline = (m, specs) => {
+  const log = [];
+  for (const [name, concurrency, ms] of specs) {
+    m.registry.register({
+      name,
+      description: name,
+      concurrency,
+      autoContinue: false,
+      action: async () => {
+        log.push(`${name}+`);
+        await flush(ms);
+        log.push(`${name}-`);
+        return name;
+      },
+    });
+  }
+  return log;
+};
+
+const callsOf = (...names) =>
+  names.map((skillName) => ({ skillName, args: {}, rawArgs: '', rawTag: `[CALL: ${skillName}]` }));
+
+// 等到条件成立（不依赖机器快慢）；最多等 2 秒
+const until = async (cond) => {
+  // eslint-disable-next-line no-await-in-loop
+  for (let i = 0; i < 400 && !cond(); i += 1) await flush(5);
+  assert.ok(cond(), 'timed out waiting');
+};
+
+test('parallel calls from one message overlap', async () => {
+  const { m, st } = setup();
+  const log = timeline(m, [
+    ['p1', 'parallel', 30],
+    ['p2', 'parallel', 10],
+  ]);
+  m.engine.enqueue(callsOf('p1', 'p2'));
+  await until(() => st.systemMessages.length === 1);
+  assert.deepEqual(log, ['p1+', 'p2+', 'p2-', 'p1-']);
+});
+
+test('a serial call waits for everything before it and blocks everything after it', async () => {
+  const { m, st } = setup();
+  const log = timeline(m, [
+    ['p1', 'parallel', 20],
+    ['s', 'serial', 10],
+    ['p2', 'parallel', 10],
+  ]);
+  m.engine.enqueue(callsOf('p1', 's', 'p2'));
+  await until(() => st.systemMessages.length === 1);
+  assert.deepEqual(log, ['p1+', 'p1-', 's+', 's-', 'p2+', 'p2-']);
+});
+
+test('calls in one lock group run one at a time but alongside other calls', async () => {
+  const { m, st } = setup();
+  const log = timeline(m, [
+    ['g1', 'worldbook', 20],
+    ['g2', 'worldbook', 10],
+    ['p', 'parallel', 5],
+  ]);
+  m.engine.enqueue(callsOf('g1', 'g2', 'p'));
+  await until(() => st.systemMessages.length === 1);
+  assert.ok(log.indexOf('g2+') > log.indexOf('g1-'), log.join(' '));
+  assert.ok(log.indexOf('p+') < log.indexOf('g1-'), log.join(' '));
+});
+
+test('results are delivered in message order, not completion order', async () => {
+  const { m, st } = setup();
+  timeline(m, [
+    ['slow', 'parallel', 30],
+    ['fast', 'parallel', 5],
+  ]);
+  m.engine.enqueue(callsOf('slow', 'fast'));
+  await until(() => st.systemMessages.length === 1);
+  assert.equal(st.systemMessages.length, 1);
+  const text = st.systemMessages[0];
+  assert.ok(text.indexOf('[1/2]') < text.indexOf('[2/2]'));
+  assert.ok(text.indexOf('slow') < text.indexOf('fast'), text);
+});
+
+test('batches from different messages never overlap', async () => {
+  const { m, st } = setup();
+  const log = timeline(m, [
+    ['p1', 'parallel', 20],
+    ['p2', 'parallel', 5],
+  ]);
+  m.engine.enqueue(callsOf('p1'));
+  m.engine.enqueue(callsOf('p2'));
+  await until(() => st.systemMessages.length === 2);
+  assert.deepEqual(log, ['p1+', 'p1-', 'p2+', 'p2-']);
+});
+
+test('retries re-run only the action: call:before fires once per call', async () => {
+  const { m } = setup();
+  let runs = 0;
+  m.registry.register({
+    name: 'flaky',
+    description: 'Flaky',
+    retry: { maxAttempts: 3, backoffMs: 0 },
+    action: () => {
+      runs += 1;
+      if (runs < 3) throw Object.assign(new Error('busy'), { retryable: true });
+      return 'done';
+    },
+  });
+  let before = 0;
+  m.events.on('call:before', () => {
+    before += 1;
+  });
+  const r = await m.engine.invoke('flaky', {});
+  assert.equal(r.ok, true);
+  assert.equal(runs, 3);
+  assert.equal(before, 1);
+});
+
+test('timeouts are retried only for idempotent skills', async () => {
+  const { m } = setup();
+  const runs = { read: 0, write: 0 };
+  for (const [name, risk] of [
+    ['read', 'low'],
+    ['write', 'write'],
+  ]) {
+    m.registry.register({
+      name,
+      description: name,
+      risk,
+      timeoutMs: 5,
+      retry: { maxAttempts: 3, backoffMs: 0 },
+      action: async () => {
+        runs[name] += 1;
+        await flush(30);
+      },
+    });
+  }
+  assert.equal((await m.engine.invoke('read', {})).outcome, 'timeout');
+  assert.equal((await m.engine.invoke('write', {})).outcome, 'timeout');
+  assert.deepEqual(runs, { read: 3, write: 1 });
+  await flush(40);
+});
+
+test('panel HTTP skills retry by default only for GET', () => {
+  const { m } = setup();
+  const http = (name, method, retries) => ({ name, type: 'http', http: { url: 'https://x.test', method, retries } });
+  m.creatorStore.replaceAll([http('get', 'GET'), http('post', 'POST'), http('post.explicit', 'POST', 1)]);
+  m.creatorSkillRuntime.registerAll();
+  assert.equal(m.registry.get('get').retry.maxAttempts, 3);
+  assert.equal(m.registry.get('post').retry, null);
+  assert.equal(m.registry.get('post.explicit').retry.maxAttempts, 2);
+});
+
+// 一条消息里的多个调用：echo 按顺序记录参数 n
+const echoSkill = (m, runs) =>
+  m.registry.register({
+    name: 'echo',
+    description: 'Echo',
+    action: ({ args }) => {
+      runs.push(args.n);
+      return `echo ${args.n}`;
+    },
+  });
+
+test('all calls in one message run in order, with one result message and one generate()', async () => {
+  const { m, st } = setup();
+  const runs = [];
+  echoSkill(m, runs);
+  m.settingsStore.update({ callMode: 'all' });
+  m.engine.enqueue(m.parser.extractCalls('[CALL: echo(n=1)] then [CALL: echo(n=2)] and [CALL: echo(n=3)]'));
+  await until(() => st.generated.length === 1);
+  assert.deepEqual(runs, [1, 2, 3]);
+  assert.equal(st.systemMessages.length, 1);
+  assert.match(st.systemMessages[0], /\[1\/3\][\s\S]*\[2\/3\][\s\S]*\[3\/3\]/);
+  assert.deepEqual(st.generated, ['normal']);
+});
+
+test('callMode first / max N limit how many calls of a message run', () => {
+  const { m } = setup();
+  const text = '[CALL: a()] [CALL: b()] [CALL: c()]';
+  m.settingsStore.update({ callMode: 'first' });
+  assert.deepEqual(
+    m.parser.extractCalls(text).map((c) => c.skillName),
+    ['a'],
+  );
+  m.settingsStore.update({ callMode: 'max', maxCallsPerMessage: 2 });
+  assert.deepEqual(
+    m.parser.extractCalls(text).map((c) => c.skillName),
+    ['a', 'b'],
+  );
+  m.settingsStore.update({ callMode: 'all' });
+  assert.equal(m.parser.extractCalls(text).length, 3);
+});
+
+test('the breaker checks a message as one batch: a tripped batch runs none of its calls', async () => {
+  const { m, st } = setup();
+  const runs = [];
+  echoSkill(m, runs);
+  m.settingsStore.update({ callMode: 'all', maxDepthPerTurn: 1 });
+  m.engine.enqueue(m.parser.extractCalls('[CALL: echo(n=1)]'));
+  m.engine.enqueue(m.parser.extractCalls('[CALL: echo(n=2)] [CALL: echo(n=3)]'));
+  await until(() => st.systemMessages.length === 2);
+  assert.deepEqual(runs, [1]);
+  assert.match(st.systemMessages[1], /Circuit breaker triggered/);
+  assert.deepEqual(st.generated, ['normal']);
+});
+
+test('a hung skill times out, its signal is aborted and the queue moves on', async () => {
+  const { m, st } = setup();
+  let aborted = false;
+  m.registry.register({
+    name: 'hang',
+    description: 'Never returns',
+    timeoutMs: 10,
+    autoContinue: false,
+    action: ({ signal }) =>
+      new Promise(() => {
+        signal.addEventListener('abort', () => {
+          aborted = true;
+        });
+      }),
+  });
+  m.registry.register({ name: 'next', description: 'Next', autoContinue: false, action: () => 'after hang' });
+  m.engine.enqueue(callsOf('hang'));
+  m.engine.enqueue(callsOf('next'));
+  await until(() => st.systemMessages.length === 2);
+  assert.equal(aborted, true);
+  assert.match(st.systemMessages[0], /\(timeout\)/);
+  assert.match(st.systemMessages[1], /after hang/);
+});
+
+test('stopping generation cancels the running call and the rest of its batch', async () => {
+  const { m, st } = setup();
+  await m.attach();
+  let secondRan = false;
+  m.registry.register({
+    name: 'slow',
+    description: 'Slow',
+    timeoutMs: 0,
+    action: () => new Promise(() => {}),
+  });
+  m.registry.register({
+    name: 'second',
+    description: 'Second',
+    action: () => {
+      secondRan = true;
+      return 'ran';
+    },
+  });
+  m.engine.enqueue(callsOf('slow', 'second'));
+  await flush(5);
+  st.eventSource.emit('GENERATION_STOPPED');
+  await until(() => st.systemMessages.length === 1);
+  assert.equal(secondRan, false);
+  assert.match(st.systemMessages[0], /\[1\/2\][^\n]*\(cancelled\)/);
+  assert.match(st.systemMessages[0], /\[2\/2\][^\n]*\(cancelled\)/);
+  // 用户停止了生成：不再自动续写
+  assert.deepEqual(st.generated, []);
+});
+
+test('invoke() honours the caller signal', async () => {
+  const { m } = setup();
+  m.registry.register({ name: 'wait', description: 'Wait', timeoutMs: 0, action: () => new Promise(() => {}) });
+  const controller = new AbortController();
+  const pending = m.engine.invoke('wait', {}, { signal: controller.signal });
+  controller.abort();
+  const r = await pending;
+  assert.equal(r.ok, false);
+  assert.equal(r.outcome, 'cancelled');
+});
@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * 在 node 里加载 index.js（测试专用）
+ * - 提供最小的 window / document 替身（不依赖浏览器）
+ * - 在 index.js 的启动代码之前插入一段导出，从 IIFE 作用域里取出内部模块（不绑定 ST 事件）；
+ *   生产代码里没有测试钩子。每次 load() 都是一套全新的实例
+ * - fakeSt()：假的 SillyTavern 上下文与事件源，用于驱动 MESSAGE_RECEIVED 等事件
+ * - answerDialogs()：自动点击确认类弹窗的按钮
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE_PATH = path.join(__dirname, '..', '..', 'index.js');
+// 启动代码的开头：导出插在这里，之后的 attach() 不会执行
+const BOOT_MARKER = '  // 启动（对外绝不抛异常）';
+// 测试用到的内部模块（IIFE 里的 const 名字）
+const MODULES = [
+  'events',
+  'stApi',
+  'paramSchema',
+  'registry',
+  'settingsStore',
+  'callLog',
+  'creatorStore',
+  'sandbox',
+  'creatorSkillRuntime',
+  'promptBuilder',
+  'nativeTools',
+  'parser',
+  'breaker',
+  'callCache',
+  'hiddenResults',
+  'resultFormat',
+  'engine',
+  'messageSource',
+  'streamWatch',
+  'attach',
+];
+const EXPORT_KEY = '__ST_AGENTSKILLS_MODULES__';
+
+const instrumented = () => {
+  const source = fs.readFileSync(SOURCE_PATH, 'utf8');
+  const at = source.lastIndexOf(BOOT_MARKER);
+  if (at < 0) throw new Error(`index.js: boot marker not found (${BOOT_MARKER.trim()})`);
+  const exportCode = `  globalThis.${EXPORT_KEY} = { ${MODULES.join(', ')} };\n  return;\n\n`;
+  return source.slice(0, at) + exportCode + source.slice(at);
+};
+
+const fakeElement = (tag = 'div') => ({
+  tagName: String(tag).toUpperCase(),
+  style: {},
+  dataset: {},
+  children: [],
+  classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  },
+  append() {},
+  addEventListener() {},
+  removeEventListener() {},
+  setAttribute() {},
+  getAttribute: () => null,
+  remove() {},
+  querySelector: () => null,
+  querySelectorAll: () => [],
+});
+
+const fakeStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+};
+
+const load = () => {
+  const win = {
+    setTimeout,
+    clearTimeout,
+    localStorage: fakeStorage(),
+    // 无按钮的提示走 toastr：不创建 DOM、不留定时器
+    toastr: { info() {}, error() {} },
+  };
+  win.window = win;
+  globalThis.window = win;
+  globalThis.document = {
+    readyState: 'complete',
+    body: fakeElement('body'),
+    getElementById: () => null,
+    createElement: fakeElement,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+
+  try {
+    vm.runInThisContext(instrumented(), { filename: SOURCE_PATH });
+    return globalThis[EXPORT_KEY];
+  } finally {
+    delete globalThis[EXPORT_KEY];
+  }
+};
+
+// 假的 ST：事件源 + getContext()；直接替换 stApi.api（不走 stApi.init 的探测逻辑）
+const fakeSt = (m, { chat = [], chatId = 'chat-1' } = {}) => {
+  const handlers = new Map();
+  const eventSource = {
+    on: (type, fn) => {
+      if (!handlers.has(type)) handlers.set(type, []);
+      handlers.get(type).push(fn);
+    },
+    emit: (type, ...args) => {
+      for (const fn of handlers.get(type) || []) fn(...args);
+    },
+  };
+  const eventTypes = {};
+  for (const type of [
+    'MESSAGE_RECEIVED',
+    'MESSAGE_SENT',
+    'MESSAGE_EDITED',
+    'MESSAGE_UPDATED',
+    'MESSAGE_SWIPED',
+    'MESSAGE_DELETED',
+    'CHARACTER_MESSAGE_RENDERED',
+    'CHAT_CHANGED',
+    'CHAT_COMPLETION_PROMPT_READY',
+    'GENERATE_AFTER_COMBINE_PROMPTS',
+    'GENERATION_STARTED',
+    'GENERATION_STOPPED',
+    'GENERATION_ENDED',
+    'STREAM_TOKEN_RECEIVED',
+  ]) {
+    eventTypes[type] = type;
+  }
+
+  const st = {
+    chat,
+    chatMetadata: {},
+    eventSource,
+    systemMessages: [],
+    generated: [],
+    stopped: 0,
+  };
+  const ctx = {
+    chat,
+    chatMetadata: st.chatMetadata,
+    saveChat: () => {},
+    saveMetadata: () => {},
+    updateMessageBlock: () => {},
+  };
+  Object.assign(m.stApi.api, {
+    eventSource,
+    eventTypes,
+    getContext: () => ctx,
+    getChatId: () => chatId,
+    addSystemMessage: async (text) => {
+      st.systemMessages.push(text);
+    },
+    triggerGenerate: async (type) => {
+      st.generated.push(type || 'normal');
+    },
+    stopGeneration: () => {
+      st.stopped += 1;
+      eventSource.emit('GENERATION_STOPPED');
+      return true;
+    },
+  });
+  // attach() 开头会调用 init() 探测真实的 ST；测试里已经替换好了
+  m.stApi.init = async () => {};
+  return st;
+};
+
+// 等待队列里的异步工作完成（引擎队列、退避等）
+const flush = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const findButton = (node, label) => {
+  if (node.tagName === 'BUTTON' && node.textContent === label) return node;
+  for (const child of node.children || []) {
+    const found = findButton(child, label);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * 自动回答确认弹窗：每弹出一个，就点一下 answers 里的下一个按钮（用完后一直点最后一个）。
+ * 返回弹窗标题的记录
+ */
+const answerDialogs = (answers) => {
+  const createElement = document.createElement;
+  document.createElement = (tag) => {
+    const node = createElement(tag);
+    node.listeners = {};
+    node.addEventListener = (type, fn) => {
+      node.listeners[type] = fn;
+    };
+    return node;
+  };
+  const asked = [];
+  document.body.appendChild = (node) => {
+    if (String(node.className).includes('st-agentskills-confirm')) {
+      const label = answers[Math.min(asked.length, answers.length - 1)];
+      asked.push(node.children[0].textContent);
+      setImmediate(() => findButton(node, label).listeners.click());
+    }
+    return node;
+  };
+  return asked;
+};
+
+module.exports = { load, fakeSt, flush, answerDialogs };
@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt, flush } = require('./helpers/load');
+
+// 挂好事件的实例：echo 技能记录每次执行的参数；不自动续写，避免连锁生成
+const setup = async (chat = []) => {
+  const m = load();
+  const st = fakeSt(m, { chat });
+  m.settingsStore.update({ confirmRisks: [] });
+  const runs = [];
+  m.registry.register({
+    name: 'echo',
+    description: 'Echo',
+    autoContinue: false,
+    action: ({ args }) => {
+      runs.push(args.n);
+      return 'ok';
+    },
+  });
+  await m.attach();
+  const receive = async (index) => {
+    st.eventSource.emit('MESSAGE_RECEIVED', index);
+    await flush(20);
+  };
+  return { m, st, runs, receive };
+};
+
+const reply = (mes, extra = {}) => ({ is_user: false, mes, swipe_id: 0, send_date: 'd1', ...extra });
+
+test('a message is executed once even if MESSAGE_RECEIVED repeats', async () => {
+  const chat = [{ is_user: true, mes: 'hi' }, reply('[CALL: echo(n=1)]')];
+  const { runs, receive } = await setup(chat);
+  await receive(1);
+  await receive(1);
+  assert.deepEqual(runs, [1]);
+});
+
+test('continue runs only the tags it appended (send_date unchanged)', async () => {
+  const chat = [reply('a [CALL: echo(n=1)]')];
+  const { runs, receive } = await setup(chat);
+  await receive(0);
+  chat[0].mes += ' then [CALL: echo(n=2)]';
+  await receive(0);
+  assert.deepEqual(runs, [1, 2]);
+});
+
+test('continue with a new send_date does not re-run earlier tags', async () => {
+  const chat = [reply('a [CALL: echo(n=1)]')];
+  const { runs, receive } = await setup(chat);
+  await receive(0);
+  chat[0].mes += ' [CALL: echo(n=2)] and [CALL: echo(n=3)]';
+  chat[0].send_date = 'd2';
+  await receive(0);
+  assert.deepEqual(runs, [1, 2, 3]);
+});
+
+test('a new swipe or a regenerated message is parsed from the start', async () => {
+  const chat = [reply('[CALL: echo(n=1)]')];
+  const { runs, receive, st } = await setup(chat);
+  await receive(0);
+
+  chat[0].swipe_id = 1;
+  chat[0].mes = '[CALL: echo(n=2)]';
+  await receive(0);
+
+  // 重新生成：先删掉最后一条，再在同一位置写出（可能完全相同的）新回复
+  chat.length = 0;
+  st.eventSource.emit('MESSAGE_DELETED', 0);
+  chat.push(reply('[CALL: echo(n=1)]'));
+  await receive(0);
+  assert.deepEqual(runs, [1, 2, 1]);
+});
+
+test('a rewritten prefix is parsed again; progress survives in chat metadata', async () => {
+  const chat = [reply('[CALL: echo(n=1)]')];
+  const { runs, receive, st } = await setup(chat);
+  await receive(0);
+  assert.ok(st.chatMetadata['st-agentskills']?.parsed?.['0:0'], JSON.stringify(st.chatMetadata));
+
+  chat[0].mes = 'different [CALL: echo(n=5)]';
+  await receive(0);
+  assert.deepEqual(runs, [1, 5]);
+});
+
+test('without chat metadata the progress is kept in memory', async () => {
+  const chat = [reply('[CALL: echo(n=1)]')];
+  const { m, runs, receive } = await setup(chat);
+  m.stApi.api.getContext().chatMetadata = null;
+  await receive(0);
+  await receive(0);
+  assert.deepEqual(runs, [1]);
+});
+
+test('user, system and own result messages are skipped', async () => {
+  const chat = [
+    { is_user: true, mes: '[CALL: echo(n=1)]' },
+    reply('[CALL: echo(n=2)]', { is_system: true }),
+    reply('[CALL: echo(n=3)]', { extra: { 'st-agentskills': { result: true } } }),
+  ];
+  const { runs, receive } = await setup(chat);
+  await receive(0);
+  await receive(1);
+  await receive(2);
+  assert.deepEqual(runs, []);
+});
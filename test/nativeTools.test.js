@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt } = require('./helpers/load');
+
+// 假的 ToolManager：记录登记的函数工具
+const withToolManager = (m) => {
+  const st = fakeSt(m);
+  const tools = new Map();
+  Object.assign(m.stApi.api.getContext(), {
+    registerFunctionTool: (tool) => tools.set(tool.name, tool),
+    unregisterFunctionTool: (name) => tools.delete(name),
+    isToolCallingSupported: () => true,
+  });
+  return { st, tools };
+};
+
+test('native mode registers skills with the ToolManager and returns the result text', async () => {
+  const m = load();
+  const { tools } = withToolManager(m);
+  m.settingsStore.update({ protocolMode: 'native' });
+  m.registry.register({
+    name: 'math.add',
+    description: 'Add two numbers',
+    parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+    action: ({ args }) => args.a + args.b,
+  });
+
+  m.nativeTools.sync();
+  const tool = tools.get('math__add');
+  assert.ok(tool, 'tool not registered');
+  assert.equal(tool.displayName, 'math.add');
+  assert.equal(tool.shouldRegister(), true);
+
+  const parsed = [];
+  m.events.on('call:parsed', (p) => parsed.push(p.source));
+  const text = await tool.action({ a: 2, b: '3' });
+  assert.match(text, /5/);
+  assert.deepEqual(parsed, ['native']);
+
+  // 参数是原始字符串时同样按宽松解析处理
+  assert.match(await tool.action('{a: 1, b: 1}'), /2/);
+});
+
+test('text mode withdraws the tools; no ToolManager means text protocol', () => {
+  const m = load();
+  const { tools } = withToolManager(m);
+  m.settingsStore.update({ protocolMode: 'hybrid' });
+  m.registry.register({ name: 'ping', description: 'Ping', action: () => 'pong' });
+  m.nativeTools.sync();
+  assert.equal(m.nativeTools.currentMode(), 'hybrid');
+  assert.ok(tools.has('ping'));
+
+  m.settingsStore.update({ protocolMode: 'text' });
+  m.nativeTools.sync();
+  assert.equal(tools.size, 0);
+
+  const bare = load();
+  fakeSt(bare);
+  bare.settingsStore.update({ protocolMode: 'native' });
+  assert.equal(bare.nativeTools.currentMode(), 'text');
+});
+
+test('native tool rounds go through the batch breaker like text messages', async () => {
+  const m = load();
+  const { st, tools } = withToolManager(m);
+  m.settingsStore.update({ protocolMode: 'native', confirmRisks: [], maxDepthPerTurn: 1 });
+  let runs = 0;
+  m.registry.register({
+    name: 'probe',
+    description: 'Probe',
+    action: ({ args }) => {
+      runs += 1;
+      return `probed ${args.n}`;
+    },
+  });
+  await m.attach();
+
+  // 第一轮：同一次生成里的两个 tool_calls 算一批
+  st.eventSource.emit('GENERATION_STARTED', 'normal');
+  const probe = tools.get('probe');
+  assert.match(await probe.action({ n: 1 }), /probed 1/);
+  assert.match(await probe.action({ n: 2 }), /probed 2/);
+
+  // ST 拿到结果后自动续写：第二轮超过本回合深度，被阻断
+  st.eventSource.emit('GENERATION_STARTED', 'normal');
+  assert.match(await probe.action({ n: 3 }), /blocked/);
+  assert.equal(runs, 2);
+
+  // 用户发新消息：新回合
+  st.eventSource.emit('MESSAGE_SENT', 0);
+  st.eventSource.emit('GENERATION_STARTED', 'normal');
+  assert.match(await probe.action({ n: 4 }), /probed 4/);
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/load');
+
+const { paramSchema } = load();
+
+const weather = {
+  type: 'object',
+  properties: {
+    city: { type: 'string', minLength: 1 },
+    days: { type: 'integer', minimum: 1, maximum: 7, default: 3 },
+    metric: { type: 'boolean' },
+    unit: { type: 'string', enum: ['C', 'F'] },
+    tags: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['city'],
+};
+
+test('coerces "close enough" values from model output', () => {
+  const r = paramSchema.validate(weather, { city: 'Tokyo', days: '5', metric: 'yes', unit: 'c', tags: 'rain' });
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.value, { city: 'Tokyo', days: 5, metric: true, unit: 'C', tags: ['rain'] });
+});
+
+test('fills defaults and treats missing args as an empty object', () => {
+  assert.deepEqual(paramSchema.validate(weather, { city: 'Oslo' }).value, { city: 'Oslo', days: 3 });
+  const empty = paramSchema.validate(weather, undefined);
+  assert.equal(empty.ok, false);
+  assert.deepEqual(empty.errors, [{ path: 'city', message: 'is required' }]);
+});
+
+test('reports every violation with its path', () => {
+  const r = paramSchema.validate(weather, { city: '', days: 2.5, unit: 'K', tags: [{}, 'x'] });
+  assert.equal(r.ok, false);
+  const paths = r.errors.map((e) => e.path).sort();
+  assert.deepEqual(paths, ['city', 'days', 'tags.0', 'unit']);
+});
+
+test('does not coerce what cannot be converted safely', () => {
+  const num = { type: 'object', properties: { n: { type: 'number' } } };
+  assert.equal(paramSchema.validate(num, { n: '12abc' }).ok, false);
+  assert.deepEqual(paramSchema.validate(num, { n: '-1.5e2' }).value, { n: -150 });
+
+  const obj = { type: 'object', properties: { o: { type: 'object' } } };
+  assert.deepEqual(paramSchema.validate(obj, { o: '{"a":1}' }).value, { o: { a: 1 } });
+  assert.equal(paramSchema.validate(obj, { o: 'a=1' }).ok, false);
+});
+
+test('additionalProperties: false rejects unknown keys', () => {
+  const strict = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+  const r = paramSchema.validate(strict, { a: 'x', b: 1 });
+  assert.deepEqual(r.errors, [{ path: 'b', message: 'is not allowed' }]);
+});
+
+test('never throws on broken schemas', () => {
+  assert.equal(paramSchema.validate(null, { a: 1 }).ok, true);
+  const badPattern = { type: 'object', properties: { s: { type: 'string', pattern: '(' } } };
+  assert.equal(paramSchema.validate(badPattern, { s: 'x' }).ok, true);
+});
+
+test('describeType renders a compact shape for the prompt', () => {
+  assert.equal(
+    paramSchema.describeType(weather),
+    '{ city: string, days?: integer, metric?: boolean, unit?: "C" | "F", tags?: string[] }',
+  );
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/load');
+
+const { parser } = load();
+
+// 模型常见的“差不多对”的参数写法 → 期望解析结果
+const ARGS_CORPUS = [
+  ['{"city":"Tokyo"}', { city: 'Tokyo' }],
+  ["{'city': 'Tokyo', days: 3,}", { city: 'Tokyo', days: 3 }],
+  ['{city: Tokyo, metric: True, note: None}', { city: 'Tokyo', metric: true, note: null }],
+  ['{mode: append}', { mode: 'append' }],
+  ['{url: http://x.com}', { url: 'http://x.com' }],
+  ['{"url": "http://x.com/a?b=1"}', { url: 'http://x.com/a?b=1' }],
+  ['{"date": 2024-01-01}', { date: '2024-01-01' }],
+  ['{"ver": 1.2.3}', { ver: '1.2.3' }],
+  ['{"k": -}', { k: '-' }],
+  ['{"n": -1.5e2, "m": +3}', { n: -150, m: 3 }],
+  ['{"path": /usr/bin}', { path: '/usr/bin' }],
+  ['{"when": 12:30}', { when: '12:30' }],
+  ['{"list": [a, 2024-01-01, 3]}', { list: ['a', '2024-01-01', 3] }],
+  ['{"a": 1 // trailing note\n, "b": 2}', { a: 1, b: 2 }],
+  ['{"a": foo // note\n}', { a: 'foo' }],
+  ['{/* c */ "a": 1}', { a: 1 }],
+  ['{"a": `multi\nline`}', { a: 'multi\nline' }],
+  ['{"a": NaN}', { a: null }],
+  ['city=Tokyo, days=3', { city: 'Tokyo', days: 3 }],
+  ['text="a, b", tags=[1,2]', { text: 'a, b', tags: [1, 2] }],
+  ['url=http://x.com', { url: 'http://x.com' }],
+  ['', {}],
+];
+
+for (const [raw, expected] of ARGS_CORPUS) {
+  test(`parseArgs ${JSON.stringify(raw)}`, () => {
+    assert.deepEqual(parser.parseArgs(raw).args, expected);
+  });
+}
+
+test('unparseable arguments are kept in _raw', () => {
+  assert.deepEqual(parser.parseArgs('just some words').args, { _raw: 'just some words' });
+});
+
+// 完整标签 → 技能名与参数
+const TAG_CORPUS = [
+  ['[CALL: weather({"city":"Tokyo"})]', 'weather', { city: 'Tokyo' }],
+  ['[ CALL : weather ( city=Tokyo, days=3 ) ]', 'weather', { city: 'Tokyo', days: 3 }],
+  ['[CALL: say({"text":"smile :)"})]', 'say', { text: 'smile :)' }],
+  ['[CALL: say({"text":"a ] b"})]', 'say', { text: 'a ] b' }],
+  ['**[CALL: ping]**', 'ping', {}],
+  ['```\n[CALL: fetch({url: https://x.com/a})]\n```', 'fetch', { url: 'https://x.com/a' }],
+  ["[CALL: note(text=it's fine)]", 'note', { text: "it's fine" }],
+];
+
+for (const [text, skillName, args] of TAG_CORPUS) {
+  test(`extractFirstCall ${JSON.stringify(text)}`, () => {
+    const call = parser.extractFirstCall(`before ${text} after`);
+    assert.ok(call, 'call not found');
+    assert.equal(call.skillName, skillName);
+    assert.deepEqual(call.args, args);
+  });
+}
+
+test('extractAllCalls keeps order and skips broken tags', () => {
+  const calls = parser.extractAllCalls('[CALL: a(x=1)] text [CALL: ] [CALL: c({"y":2})]');
+  assert.deepEqual(
+    calls.map((c) => c.skillName),
+    ['a', 'c'],
+  );
+});
+
+test('stripTags removes tags and collapses blank lines', () => {
+  assert.equal(parser.stripTags('Hi\n\n[CALL: a()]\n\n\nBye'), 'Hi\n\nBye');
+});
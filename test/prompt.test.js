@@ -0,0 +1,219 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt } = require('./helpers/load');
+
+const setup = async (chat) => {
+  const m = load();
+  const st = fakeSt(m, { chat });
+  m.settingsStore.update({ stripTagsInPrompt: true });
+  await m.attach();
+  return { m, st };
+};
+
+const chat = [
+  { is_user: true, mes: 'Weather in Tokyo?' },
+  { is_user: false, mes: 'Checking. [CALL: weather({"city":"Tokyo"})]' },
+];
+
+test('stripTagsInPrompt cleans assistant messages in chat-completion prompts', async () => {
+  const { st } = await setup(chat);
+  const data = {
+    chat: [],
+    messages: [
+      { role: 'user', content: chat[0].mes },
+      { role: 'assistant', content: chat[1].mes },
+    ],
+  };
+  st.eventSource.emit('CHAT_COMPLETION_PROMPT_READY', data);
+  assert.equal(data.messages[1].content, 'Checking.');
+});
+
+test('stripTagsInPrompt also cleans text-completion prompts', async () => {
+  const { st } = await setup(chat);
+  const data = { prompt: `User: ${chat[0].mes}\nBot: ${chat[1].mes}\nUser: thanks\nBot:` };
+  st.eventSource.emit('GENERATE_AFTER_COMBINE_PROMPTS', data);
+  assert.ok(!data.prompt.includes('[CALL: weather'), data.prompt);
+  assert.ok(data.prompt.includes('Bot: Checking. \nUser: thanks'), data.prompt);
+});
+
+// 执行一条调用并等结果回传（隐藏结果挂在当前最后一条消息上）
+const runHidden = async (m, resultMode, mes) => {
+  m.settingsStore.update({ confirmRisks: [] });
+  m.registry.register({ name: 'lookup', description: 'Lookup', resultMode, action: () => 'secret-42' });
+  m.engine.enqueue(m.parser.extractCalls(mes));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+};
+
+test('hidden results persist in chat metadata and are injected on every prompt', async () => {
+  const history = [
+    { is_user: true, mes: 'Look it up' },
+    { is_user: false, mes: 'Sure. [CALL: lookup()]' },
+  ];
+  const { m, st } = await setup(history);
+  await runHidden(m, 'hidden', history[1].mes);
+  assert.deepEqual(st.generated, ['normal']);
+  assert.equal(st.chatMetadata['st-agentskills'].hiddenResults.length, 1);
+
+  for (let round = 0; round < 2; round += 1) {
+    const data = {
+      messages: [
+        { role: 'user', content: history[0].mes },
+        { role: 'assistant', content: history[1].mes },
+      ],
+    };
+    st.eventSource.emit('CHAT_COMPLETION_PROMPT_READY', data);
+    const at = data.messages.findIndex((x) => x.content.includes('secret-42'));
+    assert.equal(data.messages.filter((x) => x.content.includes('secret-42')).length, 1);
+    assert.equal(data.messages[at].role, 'system');
+    assert.equal(data.messages[at - 1].role, 'assistant');
+  }
+
+  // 删除那条消息后结果随之失效
+  history.length = 1;
+  st.eventSource.emit('MESSAGE_DELETED', 1);
+  assert.equal(st.chatMetadata['st-agentskills'].hiddenResults.length, 0);
+});
+
+test('continue results go before the message being continued', async () => {
+  const history = [
+    { is_user: true, mes: 'Look it up' },
+    { is_user: false, mes: 'Sure. [CALL: lookup()]' },
+  ];
+  const { m, st } = await setup(history);
+  await runHidden(m, 'continue', history[1].mes);
+  assert.deepEqual(st.generated, ['continue']);
+
+  const data = {
+    messages: [
+      { role: 'user', content: history[0].mes },
+      { role: 'assistant', content: history[1].mes },
+      { role: 'system', content: '[Continue your last message]' },
+    ],
+  };
+  st.eventSource.emit('CHAT_COMPLETION_PROMPT_READY', data);
+  const at = data.messages.findIndex((x) => x.content.includes('secret-42'));
+  assert.equal(data.messages[at + 1].role, 'assistant');
+
+  // 文本补全：插在被续写的那条消息所在行之前
+  const text = { prompt: `User: ${history[0].mes}\nBot: ${history[1].mes}` };
+  st.eventSource.emit('GENERATE_AFTER_COMBINE_PROMPTS', text);
+  const pos = text.prompt.indexOf('secret-42');
+  assert.ok(text.prompt.indexOf('User: Look it up') < pos && pos < text.prompt.indexOf('Bot: Sure.'), text.prompt);
+});
+
+test('a hidden result from an edited earlier message stays with that message', async () => {
+  const history = [
+    { is_user: true, mes: 'Look it up' },
+    { is_user: false, mes: 'Let me think.', swipe_id: 0 },
+    { is_user: true, mes: 'And?' },
+    { is_user: false, mes: 'Nothing yet.', swipe_id: 0 },
+  ];
+  const { m, st } = await setup(history);
+  m.settingsStore.update({ confirmRisks: [] });
+  m.registry.register({ name: 'lookup', description: 'Lookup', resultMode: 'hidden', action: () => 'secret-42' });
+
+  // 编辑第 1 条消息加上调用，再点“立即执行”
+  history[1].mes = 'Let me check. [CALL: lookup()]';
+  m.engine.enqueue(m.messageSource.collectEdited(1), { continueAfter: false });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(st.generated, []);
+  const [entry] = st.chatMetadata['st-agentskills'].hiddenResults;
+  assert.deepEqual([entry.index, entry.swipeId], [1, 0]);
+
+  const data = { messages: history.map((x) => ({ role: x.is_user ? 'user' : 'assistant', content: x.mes })) };
+  st.eventSource.emit('CHAT_COMPLETION_PROMPT_READY', data);
+  const at = data.messages.findIndex((x) => x.content.includes('secret-42'));
+  assert.equal(data.messages[at - 1].content, 'Let me check.');
+});
+
+// 注入位置：系统提示词块 / 深度提醒都用可辨认的模板
+const setupPositions = async (settings) => {
+  const history = [
+    { is_user: true, mes: 'First question' },
+    { is_user: false, mes: 'First answer' },
+    { is_user: true, mes: 'Second question' },
+  ];
+  const { m, st } = await setup(history);
+  m.registry.register({ name: 'lookup', description: 'Lookup', action: () => '' });
+  m.settingsStore.update({ promptTemplates: { system: 'SYS {{skill_names}}', depthNote: 'NOTE' }, ...settings });
+  const messages = () => [
+    { role: 'system', content: 'Main prompt' },
+    { role: 'user', content: history[0].mes },
+    { role: 'assistant', content: history[1].mes },
+    { role: 'user', content: history[2].mes },
+  ];
+  const inject = () => {
+    const data = { messages: messages() };
+    st.eventSource.emit('CHAT_COMPLETION_PROMPT_READY', data);
+    return data.messages.map((x) => `${x.role}:${x.content}`);
+  };
+  const injectText = () => {
+    const [q1, a1, q2] = history.map((x) => x.mes);
+    const data = { prompt: `Main prompt\nUser: ${q1}\nBot: ${a1}\nUser: ${q2}\nBot:` };
+    st.eventSource.emit('GENERATE_AFTER_COMBINE_PROMPTS', data);
+    return data.prompt;
+  };
+  return { m, inject, injectText };
+};
+
+test('the system block goes at the end, the top, before the history or at a depth', async () => {
+  const { m, inject } = await setupPositions({ depthNotePosition: 'depth', depthNoteDepth: 0 });
+  const systemAt = () => inject().indexOf('system:SYS lookup');
+  assert.equal(systemAt(), 4);
+  m.settingsStore.update({ systemPosition: 'top' });
+  assert.equal(systemAt(), 0);
+  m.settingsStore.update({ systemPosition: 'before_history' });
+  assert.equal(systemAt(), 1);
+  m.settingsStore.update({ systemPosition: 'depth', systemDepth: 2 });
+  assert.equal(systemAt(), 2);
+  // 深度大于消息数：放在最前
+  m.settingsStore.update({ systemDepth: 99 });
+  assert.equal(systemAt(), 0);
+});
+
+test('the depth note is appended to the last user message or inserted with its own role', async () => {
+  const { m, inject } = await setupPositions({});
+  assert.deepEqual(inject(), [
+    'system:Main prompt',
+    'user:First question',
+    'assistant:First answer',
+    'user:Second question\n\nNOTE',
+    'system:SYS lookup',
+  ]);
+
+  m.settingsStore.update({ depthNotePosition: 'depth', depthNoteDepth: 1, depthNoteRole: 'user' });
+  assert.deepEqual(inject(), [
+    'system:Main prompt',
+    'user:First question',
+    'assistant:First answer',
+    'user:NOTE',
+    'user:Second question',
+    'system:SYS lookup',
+  ]);
+
+  // 同一位置：系统块在前
+  m.settingsStore.update({ systemPosition: 'depth', systemDepth: 1, depthNoteRole: 'system' });
+  assert.deepEqual(inject().slice(3), ['system:SYS lookup', 'system:NOTE', 'user:Second question']);
+});
+
+test('text-completion prompts place the blocks on line boundaries around the chat history', async () => {
+  const { m, injectText } = await setupPositions({ systemPosition: 'before_history' });
+  assert.equal(
+    injectText(),
+    'Main prompt\nSYS lookup\nUser: First question\nBot: First answer\nUser: Second question\nBot:\n\nNOTE',
+  );
+
+  m.settingsStore.update({ systemPosition: 'top', depthNotePosition: 'depth', depthNoteDepth: 0 });
+  assert.equal(
+    injectText(),
+    'SYS lookup\nMain prompt\nUser: First question\nBot: First answer\nUser: Second question\nNOTE\nBot:',
+  );
+
+  m.settingsStore.update({ systemPosition: 'depth', systemDepth: 2, depthNoteDepth: 1 });
+  assert.equal(
+    injectText(),
+    'Main prompt\nUser: First question\nSYS lookup\nBot: First answer\nNOTE\nUser: Second question\nBot:',
+  );
+});
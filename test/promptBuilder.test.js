@@ -0,0 +1,210 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt } = require('./helpers/load');
+
+const DESCRIPTION = 'Looks things up. It searches a long index of places and returns detailed records for each one.';
+const PARAMETERS = {
+  type: 'object',
+  properties: { city: { type: 'string', description: 'City name to look up' } },
+  required: ['city'],
+};
+
+const setup = (chat = [{ is_user: true, mes: 'hello' }]) => {
+  const m = load();
+  fakeSt(m, { chat });
+  const skill = (name, extra = {}) =>
+    m.registry.register({ name, description: DESCRIPTION, parameters: PARAMETERS, action: () => '', ...extra });
+  return { m, chat, skill };
+};
+
+// 技能列表里的条目：name → full（带参数说明）/ compact（一行简介）
+const entries = (prompt) => {
+  const out = [];
+  const lines = prompt.split('\n');
+  lines.forEach((line, i) => {
+    const m = /^- ([\w.-]+): /.exec(line);
+    if (m) out.push([m[1], lines[i + 1] === '  args:' ? 'full' : 'compact']);
+  });
+  return out;
+};
+
+test('pinned skills come first, then higher priority, then registration order', () => {
+  const { m, skill } = setup();
+  skill('low');
+  skill('high', { priority: 5 });
+  skill('pin', { pinned: true, priority: -1 });
+  skill('mid', { priority: 1 });
+  m.settingsStore.update({ promptTokenBudget: 0 });
+  assert.deepEqual(entries(m.promptBuilder.buildSystemPrompt()), [
+    ['pin', 'full'],
+    ['high', 'full'],
+    ['mid', 'full'],
+    ['low', 'full'],
+  ]);
+});
+
+test('as the budget shrinks, lower-priority skills shrink to one line first and then drop out', () => {
+  const { m, skill } = setup();
+  skill('a', { priority: 3 });
+  skill('b', { priority: 2 });
+  skill('c', { priority: 1 });
+  skill('d');
+  m.settingsStore.update({ promptTokenBudget: 0 });
+  const unlimited = m.promptBuilder.estimateTokens(m.promptBuilder.buildSystemPrompt());
+
+  const seen = new Set();
+  for (let budget = unlimited; budget > 100; budget -= 4) {
+    m.settingsStore.update({ promptTokenBudget: budget });
+    const prompt = m.promptBuilder.buildSystemPrompt();
+    const listed = entries(prompt);
+    seen.add(listed.map(([name, kind]) => `${name}:${kind}`).join(' '));
+    assert.ok(m.promptBuilder.estimateTokens(prompt) <= budget, `budget ${budget}`);
+    // 留下的总是优先级最高的那几个，完整说明排在一行简介之前
+    assert.deepEqual(
+      listed.map(([name]) => name),
+      ['a', 'b', 'c', 'd'].slice(0, listed.length),
+    );
+    const kinds = listed.map(([, kind]) => kind);
+    assert.deepEqual(kinds, [...kinds].sort((x, y) => (x === y ? 0 : x === 'full' ? -1 : 1)));
+  }
+  assert.ok(seen.has('a:full b:full c:full d:full'));
+  assert.ok([...seen].some((s) => s.endsWith('d:compact')));
+  assert.ok([...seen].some((s) => !s.includes('d:')));
+});
+
+test('pinned skills are always described in full, even past the budget', () => {
+  const { m, skill } = setup();
+  skill('pin', { pinned: true });
+  skill('other', { priority: 10 });
+  m.settingsStore.update({ promptTokenBudget: 10 });
+  assert.deepEqual(entries(m.promptBuilder.buildSystemPrompt()), [['pin', 'full']]);
+});
+
+test('keyword skills are listed only when the recent chat mentions them', () => {
+  const { m, chat, skill } = setup([{ is_user: true, mes: 'What is the Weather like?' }]);
+  skill('always');
+  skill('weather', { keywords: ['weather'] });
+  skill('dice', { keywords: ['/\\broll(ing)?\\b/i'] });
+  skill('pinned.dice', { keywords: ['roll'], pinned: true });
+  const names = () => m.promptBuilder.relevantSkills().map((s) => s.name);
+  assert.deepEqual(names(), ['pinned.dice', 'always', 'weather']);
+
+  chat.push({ is_user: false, mes: 'Sunny.' }, { is_user: true, mes: 'Rolling a die now' });
+  assert.deepEqual(names(), ['pinned.dice', 'always', 'weather', 'dice']);
+
+  // 只看最近 keywordScanDepth 条；系统消息不算
+  m.settingsStore.update({ keywordScanDepth: 1 });
+  chat.push({ is_system: true, mes: 'weather' });
+  assert.deepEqual(names(), ['pinned.dice', 'always', 'dice']);
+});
+
+test('templates fill in macros and pass the result through ST macro substitution', () => {
+  const { m, skill } = setup();
+  skill('lookup', { examples: [{ args: { city: 'Tokyo' }, result: 'sunny' }] });
+  skill('roll');
+  m.stApi.api.getContext().substituteParams = (text) => text.replace(/\{\{char\}\}/g, 'Alice');
+  m.settingsStore.update({
+    callMode: 'first',
+    promptTemplates: {
+      system: '{{char}} may use: {{skill_names}}\n\n\n\n{{format_short}}\n{{examples}}',
+      depthNote: 'Remember {{ SKILL_NAMES }}.',
+    },
+  });
+  assert.equal(
+    m.promptBuilder.buildSystemPrompt(),
+    [
+      'Alice may use: lookup, roll',
+      '',
+      'output a single tag like [CALL: skill_name({...})]',
+      'Example:',
+      '[CALL: lookup({"city":"Tokyo"})] -> sunny',
+    ].join('\n'),
+  );
+  assert.equal(m.promptBuilder.buildDepthNote(), 'Remember lookup, roll.');
+});
+
+test('character overrides win over preset overrides, which win over the global template', () => {
+  const { m, skill } = setup();
+  skill('lookup');
+  const scopes = { character: { key: 'char:alice.png' }, preset: { key: 'preset:openai:Default' } };
+  m.stApi.api.getPromptScopes = () => scopes;
+  m.settingsStore.update({
+    promptTemplates: { system: 'global {{skill_names}}', depthNote: '' },
+    promptTemplateOverrides: {
+      'char:alice.png': { system: 'alice {{skill_names}}', depthNote: '' },
+      'preset:openai:Default': { system: 'preset {{skill_names}}', depthNote: 'preset note' },
+    },
+  });
+  assert.equal(m.promptBuilder.buildSystemPrompt(), 'alice lookup');
+  // 角色没覆盖的字段按预设 → 全局 → 内置默认回退
+  assert.equal(m.promptBuilder.buildDepthNote(), 'preset note');
+
+  scopes.character = null;
+  assert.equal(m.promptBuilder.buildSystemPrompt(), 'preset lookup');
+  scopes.preset = null;
+  assert.equal(m.promptBuilder.buildSystemPrompt(), 'global lookup');
+  assert.equal(m.promptBuilder.buildDepthNote(), m.promptBuilder.buildDepthNote({ depthNote: '' }));
+  assert.match(m.promptBuilder.buildDepthNote(), /^Author's Note \(tool calling\): If you need a skill/);
+
+  // 面板的实时预览：临时替换模板，不改设置
+  assert.equal(m.promptBuilder.buildSystemPrompt({ system: 'preview {{skill_names}}' }), 'preview lookup');
+  assert.equal(m.promptBuilder.buildSystemPrompt(), 'global lookup');
+});
+
+test('nothing is injected when no skill is listed', () => {
+  const { m } = setup();
+  m.settingsStore.update({ promptTemplates: { system: 'Skills: {{skills}}', depthNote: 'Use {{skill_names}}' } });
+  assert.equal(m.promptBuilder.buildSystemPrompt(), '');
+  assert.equal(m.promptBuilder.buildDepthNote(), '');
+});
+
+test('examples are listed under each skill, up to the global cap', () => {
+  const { m, skill } = setup();
+  const long = 'x'.repeat(300);
+  skill('lookup', {
+    examples: [
+      { args: { city: 'Tokyo' }, result: { temp: 21 }, note: 'JSON results are compacted' },
+      { args: { city: 'Paris' }, result: long },
+      { args: { city: 'Rome' } },
+    ],
+  });
+  skill('roll', { parameters: undefined, examples: [{}, { args: 'bad' }, 'bad'] });
+  m.settingsStore.update({ maxPromptExamples: 2, promptTokenBudget: 0 });
+
+  const prompt = m.promptBuilder.buildSystemPrompt({ system: '{{skills}}' });
+  const lines = prompt.split('\n');
+  assert.deepEqual(lines.slice(lines.indexOf('  examples:') + 1, lines.indexOf('  examples:') + 3), [
+    '    - [CALL: lookup({"city":"Tokyo"})] -> {"temp":21}  (JSON results are compacted)',
+    `    - [CALL: lookup({"city":"Paris"})] -> ${'x'.repeat(159)}…`,
+  ]);
+  // 上限用完：后面的示例与技能都不再带示例；无效示例被丢弃
+  assert.doesNotMatch(prompt, /Rome/);
+  assert.deepEqual(m.registry.get('roll').examples, [{ args: {} }]);
+  assert.equal(lines.filter((l) => l === '  examples:').length, 1);
+
+  m.settingsStore.update({ maxPromptExamples: 0 });
+  assert.doesNotMatch(m.promptBuilder.buildSystemPrompt({ system: '{{skills}}\n{{examples}}' }), /examples:|Example/);
+});
+
+test('{{examples}} shows a declared example, or builds one from the required args', () => {
+  const { m, skill } = setup();
+  skill('lookup');
+  const template = { system: '{{examples}}' };
+  assert.equal(m.promptBuilder.buildSystemPrompt(template), 'Example:\n[CALL: lookup({"city":"..."})]');
+  skill('roll', { priority: -1, examples: [{ args: { sides: 6 }, result: 4 }] });
+  assert.equal(m.promptBuilder.buildSystemPrompt(template), 'Example:\n[CALL: roll({"sides":6})] -> 4');
+});
+
+test('over budget, examples are dropped before the description is shortened', () => {
+  const { m, skill } = setup();
+  skill('lookup', { examples: [{ args: { city: 'Tokyo' }, result: 'sunny and warm with a light breeze' }] });
+  const template = { system: '{{skills}}' };
+  m.settingsStore.update({ promptTokenBudget: 0 });
+  const withExamples = m.promptBuilder.estimateTokens(m.promptBuilder.buildSystemPrompt(template));
+  m.settingsStore.update({ promptTokenBudget: withExamples - 1 });
+  const prompt = m.promptBuilder.buildSystemPrompt(template);
+  assert.doesNotMatch(prompt, /examples:/);
+  assert.deepEqual(entries(prompt), [['lookup', 'full']]);
+});
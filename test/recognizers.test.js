@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt } = require('./helpers/load');
+
+// recognizers：全局识别器顺序；weather / roll 为已注册技能
+const setup = (recognizers) => {
+  const m = load();
+  fakeSt(m);
+  m.settingsStore.update({ recognizers });
+  for (const name of ['weather', 'roll']) m.registry.register({ name, description: name, action: () => '' });
+  const calls = (text) => m.parser.extractAllCalls(text).map((c) => [c.skillName, c.args]);
+  return { m, calls };
+};
+
+test('xml recognizer reads <tool_call> and <function_call> bodies', () => {
+  const { calls } = setup(['xml']);
+  assert.deepEqual(calls('Sure.\n<tool_call>{"name": "weather", "arguments": {"city": "Tokyo"}}</tool_call>'), [
+    ['weather', { city: 'Tokyo' }],
+  ]);
+  // OpenAI 风格、参数是 JSON 字符串、正文包在代码围栏里
+  const fenced = '```json\n{"function": {"name": "roll", "arguments": "{\\"sides\\": 6}"}}\n```';
+  assert.deepEqual(calls(`<function_call>\n${fenced}\n</function_call>`), [['roll', { sides: 6 }]]);
+  assert.deepEqual(calls('<tool_call>not json at all</tool_call> <tool_call>{"args": {}}</tool_call>'), []);
+});
+
+test('json recognizer only accepts fenced blocks that look like calls', () => {
+  const { calls } = setup(['json']);
+  assert.deepEqual(calls('```json\n{"tool": "weather", "args": {"city": "Oslo"}}\n```'), [
+    ['weather', { city: 'Oslo' }],
+  ]);
+  assert.deepEqual(calls('```\n{"name": "lookup", "input": {"q": 1}}\n```'), [['lookup', { q: 1 }]]);
+  assert.deepEqual(calls('```json\n{"name": "roll"}\n```'), [['roll', {}]]);
+  // 普通数据里的 name 字段不算调用
+  assert.deepEqual(calls('```json\n{"name": "Alice", "age": 30}\n```'), []);
+});
+
+test('func recognizer only accepts registered skills alone on their line', () => {
+  const { calls } = setup(['func']);
+  assert.deepEqual(calls('Let me check.\n  weather(city=Tokyo, days=2);\nDone.'), [
+    ['weather', { city: 'Tokyo', days: 2 }],
+  ]);
+  assert.deepEqual(calls('roll({"sides": 20})'), [['roll', { sides: 20 }]]);
+  assert.deepEqual(calls('print("hi")\nI will call weather(city=Tokyo) now.\nweather(city=Oslo) and more'), []);
+});
+
+test('the first recognizer that finds a call owns the message', () => {
+  const { calls } = setup(['xml', 'call']);
+  const both = '<tool_call>{"name": "roll", "arguments": {}}</tool_call> [CALL: weather(city=Rome)]';
+  assert.deepEqual(calls(both), [['roll', {}]]);
+  assert.deepEqual(calls('[CALL: weather(city=Rome)]'), [['weather', { city: 'Rome' }]]);
+});
+
+test('a chat can override the recognizer order; it is saved once with the chat metadata', () => {
+  const { m, calls } = setup(['call']);
+  const ctx = m.stApi.api.getContext();
+  const saves = [];
+  ctx.saveMetadataDebounced = () => {
+    saves.push('debounced');
+  };
+  ctx.saveMetadata = () => {
+    saves.push('direct');
+  };
+
+  assert.equal(m.parser.setChatRecognizerOrder(['func', 'func', ' xml ']), true);
+  assert.deepEqual(ctx.chatMetadata['st-agentskills'].recognizers, ['func', 'xml']);
+  assert.deepEqual(saves, ['debounced']);
+  assert.equal(m.parser.primaryRecognizer().id, 'func');
+  assert.deepEqual(calls('roll()\n[CALL: weather()]'), [['roll', {}]]);
+
+  m.parser.setChatRecognizerOrder(null);
+  assert.equal('recognizers' in ctx.chatMetadata['st-agentskills'], false);
+  assert.equal(m.parser.chatRecognizerOrder(), null);
+  assert.equal(m.parser.primaryRecognizer().id, 'call');
+
+  // 取不到 chat_metadata：只记在内存里
+  ctx.chatMetadata = null;
+  m.parser.setChatRecognizerOrder(['xml']);
+  assert.deepEqual(m.parser.chatRecognizerOrder(), ['xml']);
+});
+
+test('unknown recognizer ids fall back to [CALL: ...]', () => {
+  const { m, calls } = setup(['nope']);
+  assert.equal(m.parser.primaryRecognizer().id, 'call');
+  assert.deepEqual(calls('[CALL: roll()]'), [['roll', {}]]);
+});
+
+test('custom recognizers can be added and removed, built-ins cannot be replaced', () => {
+  const { m, calls } = setup(['bracket', 'call']);
+  const def = {
+    id: 'bracket',
+    scan: (text, from) => {
+      const re = /<<([\w.-]+)\s*(.*?)>>/g;
+      re.lastIndex = from;
+      const r = re.exec(text);
+      return r ? { skillName: r[1], rawArgs: r[2], start: r.index, end: r.index + r[0].length } : null;
+    },
+    render: (name, args) => `<<${name} ${args}>>`,
+  };
+  const dispose = m.parser.registerRecognizer(def);
+  assert.deepEqual(calls('<<roll sides=6>>'), [['roll', { sides: 6 }]]);
+  assert.equal(m.parser.primaryRecognizer().id, 'bracket');
+
+  assert.equal(m.parser.registerRecognizer({ ...def, id: 'call' })(), false);
+  assert.equal(dispose(), true);
+  assert.deepEqual(calls('<<roll sides=6>>'), []);
+});
+
+test('the prompt teaches the primary recognizer format', () => {
+  const { m } = setup(['json']);
+  m.registry.register({
+    name: 'dice',
+    description: 'Dice',
+    examples: [{ args: { sides: 6 }, result: 4 }],
+    action: () => '',
+  });
+  const prompt = m.promptBuilder.buildSystemPrompt({ system: '{{format}}\n{{skills}}' });
+  assert.match(prompt, /```json\n\{"tool": "skill_name", "args": \{\.\.\.json args\.\.\.\}\}\n```/);
+  assert.match(prompt, /Use a separate fenced block for each call\./);
+  assert.match(prompt, /- \{"tool": "dice", "args": \{"sides":6\}\} -> 4/);
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/load');
+
+test('register returns the skill name and unregister removes it', () => {
+  const { registry } = load();
+  const name = registry.register({ name: 'utils.slugify', description: 'Slugify', action: () => '' });
+  assert.equal(name, 'utils.slugify');
+  assert.ok(registry.get(name));
+  assert.equal(registry.remove(name), true);
+  assert.equal(registry.get(name), undefined);
+});
+
+test('the disposer from registerWithDisposer only removes the skill it registered', () => {
+  const { registry } = load();
+  const disposeOld = registry.registerWithDisposer({ name: 'pack.tool', description: 'Old', action: () => '' });
+  const disposeNew = registry.registerWithDisposer({ name: 'pack.tool', description: 'New', action: () => '' });
+  assert.equal(disposeOld(), false);
+  assert.equal(registry.get('pack.tool').description, 'New');
+  assert.equal(disposeNew(), true);
+  assert.equal(registry.get('pack.tool'), undefined);
+  assert.equal(disposeNew(), false);
+});
+
+test('register generates a name when it is missing and never throws', () => {
+  const { registry } = load();
+  const name = registry.register({ description: 'Anonymous', action: () => '' });
+  assert.equal(typeof name, 'string');
+  assert.ok(registry.get(name));
+  assert.doesNotThrow(() => registry.register(null));
+});
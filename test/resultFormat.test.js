@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt } = require('./helpers/load');
+
+test('only objects with an envelope field besides ok are envelopes', () => {
+  const { resultFormat } = load();
+  assert.equal(resultFormat.isEnvelope({ ok: true, data: 1 }), true);
+  assert.equal(resultFormat.isEnvelope({ ok: false, error: 'quota' }), true);
+  assert.equal(resultFormat.isEnvelope({ ok: true, modelText: 'x', display: 'y' }), true);
+  assert.equal(resultFormat.isEnvelope({ ok: true }), false);
+  assert.equal(resultFormat.isEnvelope({ ok: true, city: 'Tokyo' }), false);
+  assert.equal(resultFormat.isEnvelope({ ok: 'yes', data: 1 }), false);
+  assert.equal(resultFormat.isEnvelope([{ ok: true, data: 1 }]), false);
+});
+
+test('plain values become the result text; a bare { ok: true } is kept as data', () => {
+  const { resultFormat } = load();
+  const plain = resultFormat.fromResult('s', { ok: true }, 4000);
+  assert.equal(plain.ok, true);
+  assert.deepEqual(plain.data, { ok: true });
+  assert.equal(plain.message, 'Skill result: s\n---\n{\n  "ok": true\n}');
+
+  assert.equal(resultFormat.fromResult('s', 'hello', 4000).message, 'Skill result: s\n---\nhello');
+  assert.equal(resultFormat.fromResult('s', undefined, 4000).message, 'Skill result: s\n---\n(empty result)');
+});
+
+test('envelopes split what the model reads from what the user sees', () => {
+  const { resultFormat } = load();
+  const envelope = { ok: true, data: { roll: 6 }, display: '🎲 6', modelText: 'It shows 6.' };
+  const r = resultFormat.fromResult('dice', envelope, 4000);
+  assert.deepEqual(r.data, { roll: 6 });
+  assert.equal(r.display, '🎲 6');
+  assert.equal(r.result, 'It shows 6.');
+
+  const failed = resultFormat.fromResult('quota', { ok: false, error: 'quota_exceeded', data: { left: 0 } }, 4000);
+  assert.equal(failed.ok, false);
+  assert.equal(failed.outcome, 'error');
+  assert.equal(failed.error, 'quota_exceeded');
+  assert.match(failed.message, /^Skill failed: quota \(error\)\n---\n/);
+  assert.deepEqual(JSON.parse(failed.message.split('---\n')[1]), {
+    ok: false,
+    error: 'quota_exceeded',
+    data: { left: 0 },
+  });
+});
+
+test('long text keeps its head and tail', () => {
+  const { resultFormat } = load();
+  const text = `${'a'.repeat(500)}${'z'.repeat(500)}`;
+  const clipped = resultFormat.clipText(text, 200);
+  assert.ok(clipped.length <= 200);
+  assert.match(clipped, /^a+\n\[… 1000 chars total, middle omitted …\]\nz+$/);
+  assert.equal(resultFormat.clipText(text, 0), text);
+});
+
+test('large JSON is shrunk structurally and stays valid JSON', () => {
+  const { resultFormat } = load();
+  const rows = Array.from({ length: 200 }, (_, i) => ({ id: i, note: 'x'.repeat(50) }));
+  const text = resultFormat.toText({ total: 200, rows }, 1500);
+  assert.ok(text.length <= 1500);
+  const parsed = JSON.parse(text);
+  assert.equal(parsed.total, 200);
+  assert.deepEqual(parsed.rows.at(-1), { id: 199, note: 'x'.repeat(50) });
+  assert.ok(parsed.rows.some((r) => typeof r === 'string' && /more items omitted/.test(r)));
+});
+
+test('the per-skill limit overrides the settings limit for the model text only', async () => {
+  const m = load();
+  fakeSt(m);
+  m.settingsStore.update({ confirmRisks: [], maxResultChars: 100 });
+  m.registry.register({ name: 'short', description: 'Short', action: () => 'x'.repeat(1000) });
+  m.registry.register({ name: 'full', description: 'Full', maxResultChars: 0, action: () => 'x'.repeat(1000) });
+  for (const name of ['short', 'full']) {
+    // invoke() 拿到的 data 不截断
+    assert.equal((await m.engine.invoke(name, {})).data.length, 1000);
+  }
+  // 给模型的文本（记在调用日志里）按各自的上限截断
+  const logged = await m.callLog.list();
+  assert.deepEqual(
+    logged.map((r) => [r.skill, r.result.length <= 100]),
+    [
+      ['full', false],
+      ['short', true],
+    ],
+  );
+  assert.equal(logged[0].result.length, 1000);
+});
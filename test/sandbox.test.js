@@ -0,0 +1,134 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { load, fakeSt } = require('./helpers/load');
+
+/**
+ * 假的沙箱 iframe：把 srcdoc 里的启动脚本放进独立的 vm 上下文运行（拿不到测试进程的全局对象）。
+ * - withWorker = false：模拟浏览器不允许在沙箱 iframe 里建 Worker
+ * - withWorker = true：blob Worker 的代码再放进一个 vm 上下文运行
+ */
+const fakeFrames = ({ withWorker }) => {
+  const blobs = new Map();
+  class FakeBlob {
+    constructor(parts) {
+      this.source = parts.join('');
+    }
+  }
+  const fakeUrl = {
+    createObjectURL: (blob) => {
+      const url = `blob:sandbox/${blobs.size}`;
+      blobs.set(url, blob.source);
+      return url;
+    },
+  };
+  class FakeWorker {
+    constructor(url) {
+      this.scope = {};
+      vm.runInContext(blobs.get(url), vm.createContext({ self: this.scope, setTimeout, AbortController }));
+    }
+    postMessage(data, ports) {
+      this.scope.onmessage({ data, ports });
+    }
+  }
+
+  const frames = [];
+  const createElement = document.createElement;
+  document.createElement = (tag) => {
+    if (tag !== 'iframe') return createElement(tag);
+    const frame = createElement(tag);
+    const listeners = new Map();
+    frame.attrs = {};
+    frame.setAttribute = (k, v) => {
+      frame.attrs[k] = v;
+    };
+    frame.addEventListener = (type, fn) => listeners.set(type, fn);
+    frame.remove = () => {
+      frame.removed = true;
+    };
+    frame.load = () => {
+      const script = /<script>([\s\S]*)<\/script>/.exec(frame.srcdoc)[1].replace(/<\\\//g, '</');
+      let onMessage = null;
+      const scope = vm.createContext({
+        addEventListener: (type, fn) => {
+          if (type === 'message') onMessage = fn;
+        },
+        URL: fakeUrl,
+        Blob: FakeBlob,
+        ...(withWorker ? { Worker: FakeWorker } : {}),
+      });
+      vm.runInContext(script, scope);
+      frame.contentWindow = { postMessage: (data, _origin, ports) => onMessage({ data, ports }) };
+      listeners.get('load')?.();
+    };
+    frames.push(frame);
+    return frame;
+  };
+  document.body.appendChild = (child) => {
+    if (child.load) setImmediate(child.load);
+    return child;
+  };
+  return frames;
+};
+
+const setup = ({ withWorker = true, skills }) => {
+  const m = load();
+  fakeSt(m);
+  window.location = { origin: 'http://st.local' };
+  m.settingsStore.update({ confirmRisks: [] });
+  const frames = fakeFrames({ withWorker });
+  for (const skill of skills) m.creatorStore.upsert({ type: 'js', ...skill });
+  m.creatorSkillRuntime.registerAll();
+  return { m, frames };
+};
+
+test('untrusted code runs in an opaque-origin iframe worker and the iframe is removed afterwards', async () => {
+  const { m, frames } = setup({ skills: [{ name: 'double', jsCode: 'return context.args.n * 2;' }] });
+  const r = await m.engine.invoke('double', { n: 21 });
+  assert.equal(r.ok, true);
+  assert.equal(r.data, 42);
+
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].attrs.sandbox, 'allow-scripts');
+  assert.match(frames[0].srcdoc, /Content-Security-Policy" content="default-src 'none';/);
+  assert.equal(frames[0].removed, true);
+});
+
+test('sandboxed safeFetch only reaches other origins', async () => {
+  const { m } = setup({
+    skills: [
+      {
+        name: 'fetcher',
+        jsCode: 'try { await helpers.safeFetch(context.args.url); return "fetched"; } catch (e) { return e.message; }',
+      },
+    ],
+  });
+  const relative = await m.engine.invoke('fetcher', { url: '/api/settings' });
+  assert.match(relative.data, /only absolute http\(s\) URLs/);
+  const sameOrigin = await m.engine.invoke('fetcher', { url: 'http://st.local/api/settings' });
+  assert.match(sameOrigin.data, /same-origin URLs are not allowed/);
+});
+
+test('untrusted code is refused when the sandbox cannot start a worker', async () => {
+  const { m, frames } = setup({
+    withWorker: false,
+    skills: [{ name: 'plain', jsCode: 'return "ran";' }],
+  });
+  const r = await m.engine.invoke('plain', {});
+  assert.equal(r.ok, false);
+  assert.match(r.error, /Worker/);
+  assert.equal(frames[0].removed, true);
+});
+
+test('trusted code still runs in the page without a worker', async () => {
+  const { m, frames } = setup({
+    withWorker: false,
+    skills: [{ name: 'local', trusted: true, jsCode: 'return typeof helpers.sleep + ":" + context.args.x;' }],
+  });
+  const r = await m.engine.invoke('local', { x: 'y' });
+  assert.equal(r.ok, true);
+  assert.equal(r.data, 'function:y');
+  assert.equal(frames.length, 0);
+});
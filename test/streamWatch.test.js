@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, fakeSt, flush } = require('./helpers/load');
+
+// 开启流式截停的实例：echo 技能记录每次执行的参数；不自动续写
+const setup = async (chat) => {
+  const m = load();
+  const st = fakeSt(m, { chat });
+  m.settingsStore.update({ confirmRisks: [], stopOnStreamedCall: true });
+  const runs = [];
+  m.registry.register({
+    name: 'echo',
+    description: 'Echo',
+    autoContinue: false,
+    action: ({ args }) => {
+      runs.push(args.n);
+      return 'ok';
+    },
+  });
+  await m.attach();
+  return { m, st, runs };
+};
+
+test('resumeScanAt keeps the earliest position where a tag may still be open', () => {
+  const { parser } = load();
+  const prose = 'word '.repeat(100);
+  assert.ok(parser.resumeScanAt(prose, 0) >= prose.length - 32);
+
+  const open = `${prose}[CALL: echo(n="${'x'.repeat(40)}`;
+  assert.equal(parser.resumeScanAt(open, 0), prose.length);
+  assert.equal(parser.findTags(`${open}")]`, prose.length).length, 1);
+
+  // 写了一半的开头在末尾的回看范围内
+  const partial = `${prose}\n[CA`;
+  assert.ok(parser.resumeScanAt(partial, 0) <= prose.length + 1);
+});
+
+test('a streamed call runs once even if MESSAGE_RECEIVED comes after handling', async () => {
+  const chat = [{ is_user: true, mes: 'hi' }];
+  const { st, runs } = await setup(chat);
+  st.eventSource.emit('GENERATION_STARTED', 'normal');
+
+  const full = 'Checking. [CALL: echo(n=1)] and then I made up a result';
+  chat.push({ is_user: false, mes: '', swipe_id: 0 });
+  for (let i = 1; i <= full.length; i += 1) {
+    chat[1].mes = full.slice(0, i);
+    st.eventSource.emit('STREAM_TOKEN_RECEIVED', chat[1].mes);
+  }
+  await flush(100);
+
+  assert.equal(st.stopped, 1);
+  assert.equal(chat[1].mes, 'Checking. [CALL: echo(n=1)]');
+  assert.deepEqual(runs, [1]);
+
+  // ST 写回最终文本时改动了前缀（解析进度对不上），MESSAGE_RECEIVED 也不能再执行一次
+  chat[1].mes = 'Checking… [CALL: echo(n=1)]';
+  st.eventSource.emit('MESSAGE_RECEIVED', 1);
+  await flush(20);
+  assert.deepEqual(runs, [1]);
+});